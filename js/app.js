@@ -42,8 +42,10 @@
                 // Set up event listeners
                 this.setupEventListeners();
                 
-                // Start with 'map' tab active
-                if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.switchTab === 'function') {
+                // Restore filters, tab and viewport from a shared link, or start with 'map' tab active
+                if (window.WorkBuddies.urlState && typeof window.WorkBuddies.urlState.init === 'function') {
+                    await window.WorkBuddies.urlState.init();
+                } else if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.switchTab === 'function') {
                     window.WorkBuddies.utils.switchTab('map');
                 } else if (typeof switchTab === 'function') {
                     switchTab('map');
@@ -74,6 +76,17 @@
             } catch (error) {
                 console.error("State visualization init error");
             }
+            
+            // Initialize choropleth (loads its outlines in the background)
+            try {
+                if (window.WorkBuddies.choroplethViz && typeof window.WorkBuddies.choroplethViz.initChoropleth === 'function') {
+                    window.WorkBuddies.choroplethViz.initChoropleth();
+                } else if (typeof initChoropleth === 'function') {
+                    initChoropleth();
+                }
+            } catch (error) {
+                console.error("Choropleth init error");
+            }
         },
         
         /**
@@ -100,11 +113,18 @@
             // Set up filters
             const nameFilter = document.getElementById('name-filter');
             const stateFilter = document.getElementById('state-filter');
+            const countryFilter = document.getElementById('country-filter');
+            const regionFilter = document.getElementById('region-filter');
             
             if (nameFilter) {
                 nameFilter.addEventListener('input', () => {
                     if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
-                        window.WorkBuddies.utils.filterData();
+                        // Suggest from the newly filtered Spuddies
+                        window.WorkBuddies.utils.filterData().then(() => {
+                            if (typeof window.WorkBuddies.fuzzySearch?.updateSuggestions === 'function') {
+                                window.WorkBuddies.fuzzySearch.updateSuggestions();
+                            }
+                        });
                     } else if (typeof filterData === 'function') {
                         filterData();
                     }
@@ -128,6 +148,33 @@
                 });
             }
             
+            if (countryFilter) {
+                countryFilter.addEventListener('change', () => {
+                    // Narrow the state list to the selected country
+                    if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.populateStateFilter === 'function') {
+                        window.WorkBuddies.utils.populateStateFilter();
+                    } else if (typeof populateStateFilter === 'function') {
+                        populateStateFilter();
+                    }
+                    
+                    if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
+                        window.WorkBuddies.utils.filterData();
+                    } else if (typeof filterData === 'function') {
+                        filterData();
+                    }
+                });
+            }
+            
+            if (regionFilter) {
+                regionFilter.addEventListener('change', () => {
+                    if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
+                        window.WorkBuddies.utils.filterData();
+                    } else if (typeof filterData === 'function') {
+                        filterData();
+                    }
+                });
+            }
+            
             // Set up export buttons
             const pngBtn = document.getElementById('export-png');
             
@@ -141,6 +188,15 @@
                 });
             }
             
+            // Data exports of the filtered roster
+            document.querySelectorAll('.export-data-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    if (window.WorkBuddies.dataExport && typeof window.WorkBuddies.dataExport.exportData === 'function') {
+                        window.WorkBuddies.dataExport.exportData(button.dataset.format);
+                    }
+                });
+            });
+            
             // Handle window resize
             this.setupResizeHandler();
         },
@@ -161,6 +217,20 @@
                             cleanupStateViz();
                         }
                         break;
+                    case 'network':
+                        if (window.WorkBuddies.networkViz && typeof window.WorkBuddies.networkViz.cleanupNetworkViz === 'function') {
+                            window.WorkBuddies.networkViz.cleanupNetworkViz();
+                        } else if (typeof cleanupNetworkViz === 'function') {
+                            cleanupNetworkViz();
+                        }
+                        break;
+                    case 'choropleth':
+                        if (window.WorkBuddies.choroplethViz && typeof window.WorkBuddies.choroplethViz.cleanupChoropleth === 'function') {
+                            window.WorkBuddies.choroplethViz.cleanupChoropleth();
+                        } else if (typeof cleanupChoropleth === 'function') {
+                            cleanupChoropleth();
+                        }
+                        break;
                 }
             } catch (e) {
                 console.error('Error during cleanup');
@@ -225,35 +295,12 @@
         },
         
         /**
-         * Network visualization placeholder
+         * Update the network visualization
          */
         updateNetworkViz: function() {
-            const container = document.getElementById('network-container');
-            if (!container) return;
-            
-            // Clear existing content
-            container.innerHTML = '';
-            
-            // Create elements safely
-            const wrapper = document.createElement('div');
-            wrapper.style.display = 'flex';
-            wrapper.style.flexDirection = 'column';
-            wrapper.style.alignItems = 'center';
-            wrapper.style.justifyContent = 'center';
-            wrapper.style.height = '100%';
-            
-            const heading = document.createElement('h2');
-            heading.textContent = 'Spuddy Network Visualization';
-            
-            const description = document.createElement('p');
-            description.style.marginTop = '20px';
-            description.style.textAlign = 'center';
-            description.style.maxWidth = '600px';
-            description.textContent = 'This visualization will show connections between Spuddies. Coming soon!';
-            
-            wrapper.appendChild(heading);
-            wrapper.appendChild(description);
-            container.appendChild(wrapper);
+            if (window.WorkBuddies.networkViz && typeof window.WorkBuddies.networkViz.updateNetworkViz === 'function') {
+                window.WorkBuddies.networkViz.updateNetworkViz();
+            }
         }
     };
     
@@ -0,0 +1,236 @@
+/**
+ * Basemap registry for WorkBuddies
+ * Defines light and dark tile variants for each provider and remembers the chosen basemap
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Attribution required by the tile providers
+    const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+    const CARTO_ATTRIBUTION = `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`;
+    
+    // Tile container class that darkens light-only tiles for dark mode
+    const DIMMED_CLASS = 'basemap-dimmed';
+    
+    // Available basemaps, in the order they are listed in the layers control
+    const BASEMAPS = {
+        osm: {
+            name: 'OpenStreetMap',
+            light: {
+                url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+                options: { attribution: OSM_ATTRIBUTION, maxZoom: 19 }
+            },
+            dark: {
+                url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+                options: { attribution: OSM_ATTRIBUTION, maxZoom: 19, className: DIMMED_CLASS }
+            }
+        },
+        carto: {
+            name: 'CARTO',
+            light: {
+                url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+                options: { attribution: CARTO_ATTRIBUTION, subdomains: 'abcd', maxZoom: 19 }
+            },
+            dark: {
+                url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+                options: { attribution: CARTO_ATTRIBUTION, subdomains: 'abcd', maxZoom: 19 }
+            }
+        },
+        local: {
+            name: 'Local tiles (offline)',
+            light: {
+                url: 'tiles/{z}/{x}/{y}.png',
+                options: { attribution: OSM_ATTRIBUTION, maxZoom: 18 }
+            },
+            dark: {
+                url: 'tiles/{z}/{x}/{y}.png',
+                options: { attribution: OSM_ATTRIBUTION, maxZoom: 18, className: DIMMED_CLASS }
+            }
+        }
+    };
+    
+    // Basemap used when nothing has been chosen yet
+    const DEFAULT_BASEMAP = 'osm';
+    
+    // Basemap registry module
+    const basemaps = {
+        BASEMAPS: BASEMAPS,
+        DIMMED_CLASS: DIMMED_CLASS,
+        STORAGE_KEY: 'workbuddies-basemap',
+        map: null,
+        control: null,
+        layers: {},
+        activeId: DEFAULT_BASEMAP,
+        isDark: false,
+        
+        /**
+         * Point the local basemap at another tile directory or server
+         * Use a relative or same-origin tile directory; tiles from other sites must also be allowed by the page's img-src policy
+         * @param {Object} config - Local tile settings
+         * @param {string} config.url - Tile URL template for light mode, e.g. 'tiles/{z}/{x}/{y}.png'
+         * @param {string} [config.darkUrl] - Tile URL template for dark mode (light tiles are dimmed if omitted)
+         * @param {string} [config.attribution] - Attribution for the tiles
+         * @param {number} [config.maxZoom] - Deepest zoom level available
+         */
+        setLocalTiles: function(config) {
+            if (!config || !config.url) return;
+            
+            const options = {
+                attribution: config.attribution || OSM_ATTRIBUTION,
+                maxZoom: config.maxZoom || 18
+            };
+            
+            BASEMAPS.local.light = { url: config.url, options: Object.assign({}, options) };
+            BASEMAPS.local.dark = config.darkUrl ?
+                { url: config.darkUrl, options: Object.assign({}, options) } :
+                { url: config.url, options: Object.assign({ className: DIMMED_CLASS }, options) };
+            
+            // Rebuild the layers so an open map picks up the new URLs
+            if (this.map) {
+                this.rebuildLayers();
+            }
+        },
+        
+        /**
+         * Get the tile settings for a basemap in a theme
+         * @param {string} id - Basemap id
+         * @param {boolean} isDark - Whether dark mode is on
+         * @returns {{url: string, options: Object}|null} - Tile URL template and Leaflet options
+         */
+        getVariant: function(id, isDark) {
+            const basemap = BASEMAPS[id];
+            if (!basemap) return null;
+            return isDark ? basemap.dark : basemap.light;
+        },
+        
+        /**
+         * Read the saved basemap choice
+         * @returns {string} - Basemap id
+         */
+        loadPreference: function() {
+            const darkMode = window.WorkBuddies.darkMode;
+            const stored = darkMode && typeof darkMode.safeGetStorageItem === 'function' ?
+                darkMode.safeGetStorageItem(this.STORAGE_KEY, Object.keys(BASEMAPS)) : null;
+            return stored || DEFAULT_BASEMAP;
+        },
+        
+        /**
+         * Save the basemap choice
+         * @param {string} id - Basemap id
+         */
+        savePreference: function(id) {
+            const darkMode = window.WorkBuddies.darkMode;
+            if (darkMode && typeof darkMode.safeSetStorageItem === 'function') {
+                darkMode.safeSetStorageItem(this.STORAGE_KEY, id, Object.keys(BASEMAPS));
+            }
+        },
+        
+        /**
+         * Add the saved basemap to a map and list every basemap in its layers control
+         * @param {Object} map - Leaflet map
+         * @param {Object} control - Leaflet layers control
+         */
+        attach: function(map, control) {
+            this.map = map;
+            this.control = control;
+            this.activeId = this.loadPreference();
+            this.isDark = document.body.classList.contains('dark-mode');
+            
+            this.buildLayers();
+            
+            // Remember choices made in the layers control
+            map.on('baselayerchange', event => {
+                const id = Object.keys(this.layers).find(key => this.layers[key] === event.layer);
+                if (id) {
+                    this.activeId = id;
+                    this.savePreference(id);
+                }
+            });
+        },
+        
+        /**
+         * Create a layer per basemap for the current theme and show the active one
+         */
+        buildLayers: function() {
+            this.layers = {};
+            
+            Object.keys(BASEMAPS).forEach(id => {
+                const variant = this.getVariant(id, this.isDark);
+                const layer = L.tileLayer(variant.url, Object.assign({}, variant.options));
+                
+                if (id === 'local') {
+                    // Missing tiles are expected until a tile directory is set up
+                    layer.once('tileerror', () => {
+                        console.warn("Local map tiles not found. Add tiles to the tiles directory or choose another basemap.");
+                    });
+                }
+                
+                this.layers[id] = layer;
+                if (this.control) {
+                    this.control.addBaseLayer(layer, BASEMAPS[id].name);
+                }
+            });
+            
+            (this.layers[this.activeId] || this.layers[DEFAULT_BASEMAP]).addTo(this.map);
+        },
+        
+        /**
+         * Replace this registry's layers, leaving overlays and other layers alone
+         */
+        rebuildLayers: function() {
+            Object.keys(this.layers).forEach(id => {
+                const layer = this.layers[id];
+                if (this.control) {
+                    this.control.removeLayer(layer);
+                }
+                if (this.map.hasLayer(layer)) {
+                    this.map.removeLayer(layer);
+                }
+            });
+            
+            this.buildLayers();
+        },
+        
+        /**
+         * Switch every basemap to its light or dark variant, keeping the current choice
+         * @param {boolean} isDark - Whether dark mode is on
+         */
+        setTheme: function(isDark) {
+            if (isDark === this.isDark) return;
+            this.isDark = isDark;
+            
+            // Before the map exists, attach() picks up the theme
+            if (this.map) {
+                this.rebuildLayers();
+            }
+        },
+        
+        /**
+         * Show a basemap and remember the choice
+         * @param {string} id - Basemap id
+         */
+        setActive: function(id) {
+            if (!BASEMAPS[id] || !this.map) return;
+            
+            Object.keys(this.layers).forEach(key => {
+                if (key !== id && this.map.hasLayer(this.layers[key])) {
+                    this.map.removeLayer(this.layers[key]);
+                }
+            });
+            
+            this.activeId = id;
+            this.layers[id].addTo(this.map);
+            this.savePreference(id);
+        }
+    };
+    
+    // Add basemap registry to the namespace
+    window.WorkBuddies.basemaps = basemaps;
+    
+})(window);
@@ -0,0 +1,351 @@
+/**
+ * Choropleth visualization for WorkBuddies
+ * Shades US states and Canadian provinces by Spuddy count from bundled GeoJSON
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Choropleth visualization module
+    const choroplethViz = {
+        POPULATION_PATH: 'data/population.json',
+        geoData: null,
+        population: null,
+        perCapita: false,
+        isInitialized: false,
+        
+        /**
+         * Check if D3 is available
+         * @returns {boolean} - Whether D3 is available
+         */
+        isD3Available: function() {
+            return typeof d3 !== 'undefined';
+        },
+        
+        /**
+         * Sanitize a string to prevent XSS
+         * @param {string} str - String to sanitize
+         * @returns {string} - Sanitized string
+         */
+        sanitizeString: function(str) {
+            if (!str) return '';
+            
+            // Use WorkBuddies.utils.sanitizeString if available
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.sanitizeString === 'function') {
+                return window.WorkBuddies.utils.sanitizeString(str);
+            }
+            
+            // Use DOMPurify if available
+            if (typeof DOMPurify !== 'undefined') {
+                return DOMPurify.sanitize(str, { ALLOWED_TAGS: [] });
+            }
+            
+            // Basic sanitization fallback
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+        
+        /**
+         * Initialize the choropleth visualization
+         */
+        initChoropleth: async function() {
+            try {
+                // Check if D3 is available
+                if (!this.isD3Available()) {
+                    console.warn("D3 library not available. Choropleth cannot be initialized.");
+                    this.showMessage('Visualization Library Not Available',
+                        'The D3 visualization library could not be loaded. Please refresh the page or check your internet connection.');
+                    return;
+                }
+                
+                const container = document.getElementById('choropleth-container');
+                if (!container) return;
+                
+                // Per-capita toggle
+                const perCapitaToggle = document.getElementById('choropleth-per-capita');
+                if (perCapitaToggle) {
+                    perCapitaToggle.addEventListener('change', () => {
+                        this.perCapita = perCapitaToggle.checked;
+                        this.updateChoropleth();
+                    });
+                }
+                
+                // Load the bundled boundaries and population table once
+                await this.loadGeoData();
+                
+                // Mark as initialized
+                this.isInitialized = true;
+                
+                // Update with data
+                this.updateChoropleth();
+            } catch (error) {
+                console.error("Error initializing choropleth");
+                this.showMessage('Map Outlines Not Available',
+                    'The state and province outlines could not be loaded. Please refresh the page and try again.');
+            }
+        },
+        
+        /**
+         * Load the bundled GeoJSON and population table
+         * @returns {Promise} Promise that resolves when both files are loaded
+         */
+        loadGeoData: async function() {
+            if (this.geoData && this.population) return;
+            
+            const [geoData, populationResponse] = await Promise.all([
+                window.WorkBuddies.regions.loadBoundaries(),
+                fetch(this.POPULATION_PATH)
+            ]);
+            
+            if (!populationResponse.ok) {
+                throw new Error('Failed to load choropleth data');
+            }
+            
+            this.geoData = geoData;
+            this.population = await populationResponse.json();
+        },
+        
+        /**
+         * Show a message in place of the choropleth
+         * @param {string} title - Message heading
+         * @param {string} text - Message body
+         */
+        showMessage: function(title, text) {
+            const container = document.getElementById('choropleth-container');
+            if (!container) return;
+            
+            container.innerHTML = '';
+            
+            const messageDiv = document.createElement('div');
+            messageDiv.className = 'choropleth-message';
+            
+            const messageHeading = document.createElement('h3');
+            messageHeading.textContent = title;
+            
+            const messageText = document.createElement('p');
+            messageText.textContent = text;
+            
+            messageDiv.appendChild(messageHeading);
+            messageDiv.appendChild(messageText);
+            container.appendChild(messageDiv);
+        },
+        
+        /**
+         * Get the population of a state or province
+         * @param {string} country - Country code
+         * @param {string} code - State or province postal code
+         * @returns {number|null} - Population, or null if unknown
+         */
+        getPopulation: function(country, code) {
+            if (!this.population || !this.population[country]) return null;
+            return this.population[country][code] || null;
+        },
+        
+        /**
+         * Update the choropleth with current data
+         */
+        updateChoropleth: function() {
+            try {
+                if (!this.isD3Available()) return;
+                
+                const container = document.getElementById('choropleth-container');
+                if (!container) return;
+                
+                // Wait for initialization to finish loading the outlines
+                if (!this.isInitialized || !this.geoData) return;
+                
+                container.innerHTML = '';
+                
+                // Get filtered data
+                const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered :
+                             (window.workBuddiesData ? window.workBuddiesData.filtered : []);
+                
+                // Reuse the state chart's counts so both views always agree
+                const stateViz = window.WorkBuddies.stateViz;
+                const counts = {};
+                stateViz.getStateCounts(data).forEach(d => {
+                    counts[d.state] = d.count;
+                });
+                
+                // Value shown for each region: raw count or Spuddies per million residents
+                const valueFor = feature => {
+                    const count = counts[feature.properties.code] || 0;
+                    if (!this.perCapita) return count;
+                    
+                    const population = this.getPopulation(feature.properties.country, feature.properties.code);
+                    return population ? (count / population) * 1000000 : 0;
+                };
+                
+                const maxValue = d3.max(this.geoData.features, valueFor) || 0;
+                
+                // Set up dimensions
+                const width = container.clientWidth || 800;
+                const height = 500;
+                
+                const svg = d3.select(container)
+                    .append('svg')
+                    .attr('width', '100%')
+                    .attr('height', `${height}px`)
+                    .attr('viewBox', `0 0 ${width} ${height}`)
+                    .attr('class', 'choropleth-svg');
+                
+                // Conic projection centred on North America, fitted to the outlines
+                const projection = d3.geoConicConformal()
+                    .parallels([30, 60])
+                    .rotate([96, 0])
+                    .fitExtent([[10, 40], [width - 10, height - 60]], this.geoData);
+                
+                const path = d3.geoPath(projection);
+                
+                // Title
+                svg.append('text')
+                    .attr('x', width / 2)
+                    .attr('y', 24)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '16px')
+                    .style('font-weight', 'bold')
+                    .text(this.perCapita ? 'Spuddies per Million Residents' : 'Spuddy Distribution by State and Province');
+                
+                // Hover readout
+                const readout = svg.append('text')
+                    .attr('class', 'choropleth-readout')
+                    .attr('x', width / 2)
+                    .attr('y', 44)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '12px');
+                
+                // Store reference to choroplethViz for event handlers
+                const self = this;
+                
+                const colorFor = feature => {
+                    const value = valueFor(feature);
+                    return value > 0 && maxValue > 0 ? stateViz.getCountColor(value / maxValue) : null;
+                };
+                
+                svg.append('g')
+                    .selectAll('path')
+                    .data(this.geoData.features)
+                    .enter()
+                    .append('path')
+                    .attr('d', path)
+                    .attr('class', d => colorFor(d) ? 'choropleth-region' : 'choropleth-region choropleth-empty')
+                    .attr('fill', d => colorFor(d))
+                    .on('mouseover', function(event, d) {
+                        d3.select(this).attr('fill', '#FFD700'); // Highlight on hover
+                        readout.text(self.describeRegion(d, counts[d.properties.code] || 0));
+                    })
+                    .on('mouseout', function(event, d) {
+                        d3.select(this).attr('fill', colorFor(d));
+                        readout.text('');
+                    })
+                    .on('click', function(event, d) {
+                        // Only regions with Spuddies can be filtered to
+                        if (counts[d.properties.code]) {
+                            stateViz.focusOnState(d.properties.code);
+                        }
+                    });
+                
+                this.drawLegend(svg, width, height, maxValue);
+            } catch (error) {
+                console.error("Error in choropleth visualization");
+            }
+        },
+        
+        /**
+         * Describe a region for the hover readout
+         * @param {Object} feature - GeoJSON feature
+         * @param {number} count - Spuddies in the region
+         * @returns {string} - Description text
+         */
+        describeRegion: function(feature, count) {
+            const name = this.sanitizeString(feature.properties.name);
+            let text = `${name}: ${count} ${count === 1 ? 'Spuddy' : 'Spuddies'}`;
+            
+            const population = this.getPopulation(feature.properties.country, feature.properties.code);
+            if (population) {
+                text += ` (${((count / population) * 1000000).toFixed(2)} per million residents)`;
+            }
+            
+            return text;
+        },
+        
+        /**
+         * Draw the gradient legend
+         * @param {Object} svg - D3 selection of the SVG
+         * @param {number} width - SVG width
+         * @param {number} height - SVG height
+         * @param {number} maxValue - Largest value on the scale
+         */
+        drawLegend: function(svg, width, height, maxValue) {
+            const legendWidth = 200;
+            const x = width - legendWidth - 20;
+            const y = height - 40;
+            const stateViz = window.WorkBuddies.stateViz;
+            
+            const gradient = svg.append('defs')
+                .append('linearGradient')
+                .attr('id', 'choropleth-gradient');
+            
+            [0, 0.5, 1].forEach(offset => {
+                gradient.append('stop')
+                    .attr('offset', `${offset * 100}%`)
+                    .attr('stop-color', stateViz.getCountColor(offset));
+            });
+            
+            const legend = svg.append('g')
+                .attr('class', 'choropleth-legend')
+                .attr('transform', `translate(${x},${y})`);
+            
+            legend.append('rect')
+                .attr('width', legendWidth)
+                .attr('height', 10)
+                .attr('fill', 'url(#choropleth-gradient)');
+            
+            const format = value => this.perCapita ? value.toFixed(2) : Math.round(value);
+            
+            legend.append('text')
+                .attr('y', 24)
+                .style('font-size', '11px')
+                .text(format(0));
+            
+            legend.append('text')
+                .attr('x', legendWidth)
+                .attr('y', 24)
+                .attr('text-anchor', 'end')
+                .style('font-size', '11px')
+                .text(format(maxValue));
+            
+            legend.append('text')
+                .attr('x', legendWidth / 2)
+                .attr('y', -4)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '11px')
+                .text(this.perCapita ? 'Per million residents' : 'Number of Spuddies');
+        },
+        
+        /**
+         * Clean up resources when switching tabs
+         */
+        cleanupChoropleth: function() {
+            // No specific cleanup needed for D3 maps
+        }
+    };
+    
+    // Add choropleth visualization to the namespace
+    window.WorkBuddies.choroplethViz = choroplethViz;
+    
+    // Backward compatibility for global functions
+    window.initChoropleth = function() { return choroplethViz.initChoropleth(); };
+    window.updateChoropleth = function() { choroplethViz.updateChoropleth(); };
+    window.cleanupChoropleth = function() { choroplethViz.cleanupChoropleth(); };
+    
+})(window);
@@ -16,16 +16,35 @@
         isDarkMode: false,
         STORAGE_KEY: 'workbuddies-dark-mode',
         
+        /**
+         * Check a storage value against a list of allowed values or a validator
+         * @param {string} value - Value to check
+         * @param {string[]|Function} allowedValues - Allowed values, or a function returning whether the value is valid
+         * @returns {boolean} - Whether the value is allowed
+         */
+        isAllowedStorageValue: function(value, allowedValues) {
+            if (typeof allowedValues === 'function') {
+                try {
+                    return !!allowedValues(value);
+                } catch (e) {
+                    return false;
+                }
+            }
+            return Array.isArray(allowedValues) && allowedValues.includes(value);
+        },
+        
         /**
          * Safely get item from localStorage with validation
          * @param {string} key - Storage key
+         * @param {string[]|Function} [allowedValues] - Values to accept, or a function that validates the value
+         *     (defaults to 'true' and 'false')
          * @returns {string|null} - Stored value or null if invalid/not found
          */
-        safeGetStorageItem: function(key) {
+        safeGetStorageItem: function(key, allowedValues = ['true', 'false']) {
             try {
                 const value = localStorage.getItem(key);
                 // Only accept expected values
-                if (value === 'true' || value === 'false') {
+                if (value !== null && this.isAllowedStorageValue(value, allowedValues)) {
                     return value;
                 }
                 return null;
@@ -39,12 +58,14 @@
          * Safely set item in localStorage
          * @param {string} key - Storage key
          * @param {string} value - Value to store
+         * @param {string[]|Function} [allowedValues] - Values to accept, or a function that validates the value
+         *     (defaults to 'true' and 'false')
          * @returns {boolean} - Success or failure
          */
-        safeSetStorageItem: function(key, value) {
+        safeSetStorageItem: function(key, value, allowedValues = ['true', 'false']) {
             try {
                 // Only store expected values
-                if (value === 'true' || value === 'false') {
+                if (typeof value === 'string' && this.isAllowedStorageValue(value, allowedValues)) {
                     localStorage.setItem(key, value);
                     return true;
                 }
@@ -247,29 +268,12 @@
             // Try to use map from namespace first
             const map = window.WorkBuddies.mapViz?.map || window.map;
             
+            // Swap basemaps to the matching variant, keeping the user's choice
+            if (window.WorkBuddies.basemaps && typeof window.WorkBuddies.basemaps.setTheme === 'function') {
+                window.WorkBuddies.basemaps.setTheme(this.isDarkMode);
+            }
+            
             if (map) {
-                // Remove current tile layer
-                map.eachLayer(layer => {
-                    if (layer instanceof L.TileLayer) {
-                        map.removeLayer(layer);
-                    }
-                });
-                
-                // Add appropriate tile layer
-                if (this.isDarkMode) {
-                    // Dark theme map tiles
-                    L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
-                        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
-                        maxZoom: 19
-                    }).addTo(map);
-                } else {
-                    // Light theme map tiles
-                    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-                        maxZoom: 19
-                    }).addTo(map);
-                }
-                
                 // Refresh markers with appropriate styling
                 if (window.WorkBuddies.mapViz && typeof window.WorkBuddies.mapViz.refreshMarkers === 'function') {
                     window.WorkBuddies.mapViz.refreshMarkers();
@@ -284,13 +288,26 @@
          */
         clearAllFilters: function() {
             // Clear all filter inputs
-            const filterInputs = document.querySelectorAll('input[type="text"], select');
+            const filterInputs = document.querySelectorAll('input[type="text"], input[type="date"], select');
             filterInputs.forEach(input => {
                 if (input.id && input.id.includes('filter')) {
-                    input.value = '';
+                    // Dropdowns reset to their "All" option rather than a blank selection
+                    input.value = input.tagName === 'SELECT' ? 'all' : '';
                 }
             });
             
+            // Restore the full state list now that no country is selected
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.populateStateFilter === 'function') {
+                window.WorkBuddies.utils.populateStateFilter();
+            } else if (typeof populateStateFilter === 'function') {
+                populateStateFilter();
+            }
+            
+            // Drop the "near me" radius without re-filtering twice
+            if (typeof window.WorkBuddies.nearbySearch?.clear === 'function') {
+                window.WorkBuddies.nearbySearch.clear(false);
+            }
+            
             // Apply filter changes
             if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
                 window.WorkBuddies.utils.filterData();
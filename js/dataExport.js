@@ -0,0 +1,276 @@
+/**
+ * Data exports for WorkBuddies
+ * Downloads the filtered roster as CSV, GeoJSON, KML or JSON
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Column order of data.csv; other columns from imported rosters follow
+    const BASE_COLUMNS = ['WorkbuddyName', 'City', 'State', 'Country', 'latitude', 'longitude'];
+    
+    // Fields the app adds to records, which are not roster columns
+    const DERIVED_FIELDS = ['geocoded', 'geoTimeZone'];
+    
+    // File extension and MIME type for each format
+    const FORMATS = {
+        csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+        kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+        json: { extension: 'json', mimeType: 'application/json' }
+    };
+    
+    // Data export module
+    const dataExport = {
+        FORMATS: FORMATS,
+        
+        /**
+         * Get the records that pass the active filters
+         * @returns {Object[]} - Filtered buddy records
+         */
+        getFilteredData: function() {
+            return window.WorkBuddies.data ? window.WorkBuddies.data.filtered || [] :
+                (window.workBuddiesData ? window.workBuddiesData.filtered || [] : []);
+        },
+        
+        /**
+         * Get the roster columns present in the records
+         * @param {Object[]} data - Buddy records
+         * @returns {string[]} - Column names, data.csv columns first
+         */
+        getColumns: function(data) {
+            const columns = BASE_COLUMNS.slice();
+            
+            data.forEach(buddy => {
+                Object.keys(buddy || {}).forEach(key => {
+                    if (!columns.includes(key) && !DERIVED_FIELDS.includes(key)) {
+                        columns.push(key);
+                    }
+                });
+            });
+            
+            return columns;
+        },
+        
+        /**
+         * Turn a stored value back into plain text
+         * Values are HTML-escaped when loaded, which other tools would show literally
+         * @param {*} value - Stored value
+         * @returns {string|number} - Plain value
+         */
+        toPlainValue: function(value) {
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'number') return value;
+            
+            const text = String(value);
+            if (!text.includes('&') || typeof DOMParser === 'undefined') return text;
+            
+            // Parsing as an inert document decodes entities without running anything
+            return new DOMParser().parseFromString(text, 'text/html').documentElement.textContent;
+        },
+        
+        /**
+         * Get a record as plain values in column order
+         * @param {Object} buddy - Buddy record
+         * @param {string[]} columns - Columns to include
+         * @returns {Object} - Plain record
+         */
+        toPlainRecord: function(buddy, columns) {
+            const record = {};
+            columns.forEach(column => {
+                record[column] = this.toPlainValue(buddy[column]);
+            });
+            return record;
+        },
+        
+        /**
+         * Escape a value for a CSV cell
+         * @param {string|number} value - Cell value
+         * @returns {string} - Escaped cell
+         */
+        escapeCSVValue: function(value) {
+            let text = String(value);
+            
+            // Keep spreadsheets from running text that looks like a formula
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+                text = `'${text}`;
+            }
+            
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        },
+        
+        /**
+         * Build a CSV file
+         * @param {Object[]} data - Buddy records
+         * @returns {string} - CSV content
+         */
+        toCSV: function(data) {
+            const columns = this.getColumns(data);
+            const lines = [columns.map(column => this.escapeCSVValue(column)).join(',')];
+            
+            data.forEach(buddy => {
+                const record = this.toPlainRecord(buddy, columns);
+                lines.push(columns.map(column => this.escapeCSVValue(record[column])).join(','));
+            });
+            
+            return lines.join('\r\n') + '\r\n';
+        },
+        
+        /**
+         * Build a GeoJSON FeatureCollection of points
+         * Records without coordinates are left out
+         * @param {Object[]} data - Buddy records
+         * @returns {string} - GeoJSON content
+         */
+        toGeoJSON: function(data) {
+            const columns = this.getColumns(data).filter(column => column !== 'latitude' && column !== 'longitude');
+            
+            const features = data
+                .filter(buddy => buddy && buddy.latitude && buddy.longitude)
+                .map(buddy => ({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: [buddy.longitude, buddy.latitude]
+                    },
+                    properties: this.toPlainRecord(buddy, columns)
+                }));
+            
+            return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+        },
+        
+        /**
+         * Escape text for XML
+         * @param {string|number} value - Text to escape
+         * @returns {string} - Escaped text
+         */
+        escapeXML: function(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&apos;');
+        },
+        
+        /**
+         * Build a KML document of placemarks
+         * Records without coordinates are left out
+         * @param {Object[]} data - Buddy records
+         * @returns {string} - KML content
+         */
+        toKML: function(data) {
+            const columns = this.getColumns(data).filter(column => column !== 'latitude' && column !== 'longitude');
+            
+            const placemarks = data
+                .filter(buddy => buddy && buddy.latitude && buddy.longitude)
+                .map(buddy => {
+                    const record = this.toPlainRecord(buddy, columns);
+                    const place = [record.City, record.State, record.Country].filter(Boolean).join(', ');
+                    const extendedData = columns
+                        .map(column => `        <Data name="${this.escapeXML(column)}"><value>${this.escapeXML(record[column])}</value></Data>`)
+                        .join('\n');
+                    
+                    return [
+                        '    <Placemark>',
+                        `      <name>${this.escapeXML(record.WorkbuddyName)}</name>`,
+                        `      <description>${this.escapeXML(place)}</description>`,
+                        '      <ExtendedData>',
+                        extendedData,
+                        '      </ExtendedData>',
+                        `      <Point><coordinates>${buddy.longitude},${buddy.latitude}</coordinates></Point>`,
+                        '    </Placemark>'
+                    ].join('\n');
+                });
+            
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<kml xmlns="http://www.opengis.net/kml/2.2">',
+                '  <Document>',
+                '    <name>WorkBuddies</name>',
+                ...placemarks,
+                '  </Document>',
+                '</kml>',
+                ''
+            ].join('\n');
+        },
+        
+        /**
+         * Build a JSON array of records
+         * @param {Object[]} data - Buddy records
+         * @returns {string} - JSON content
+         */
+        toJSON: function(data) {
+            const columns = this.getColumns(data);
+            return JSON.stringify(data.map(buddy => this.toPlainRecord(buddy, columns)), null, 2);
+        },
+        
+        /**
+         * Download the filtered roster in a format
+         * @param {string} format - One of csv, geojson, kml or json
+         */
+        exportData: function(format) {
+            const spec = FORMATS[format];
+            if (!spec) return;
+            
+            const data = this.getFilteredData();
+            if (data.length === 0) {
+                alert('No Spuddies match the current filters, so there is nothing to export.');
+                return;
+            }
+            
+            try {
+                let content;
+                switch (format) {
+                    case 'csv':
+                        content = this.toCSV(data);
+                        break;
+                    case 'geojson':
+                        content = this.toGeoJSON(data);
+                        break;
+                    case 'kml':
+                        content = this.toKML(data);
+                        break;
+                    default:
+                        content = this.toJSON(data);
+                }
+                
+                const utils = window.WorkBuddies.utils;
+                this.downloadFile(content, utils.getExportFileName(spec.extension), spec.mimeType);
+            } catch (error) {
+                console.error('Error exporting data');
+                alert('Failed to export. Please try again.');
+            }
+        },
+        
+        /**
+         * Download text as a file
+         * @param {string} content - File content
+         * @param {string} fileName - Download file name
+         * @param {string} mimeType - MIME type
+         */
+        downloadFile: function(content, fileName, mimeType) {
+            const blob = new Blob([content], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+            
+            const link = document.createElement('a');
+            link.download = fileName;
+            link.href = url;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            // Give the browser a moment to start the download before releasing the data
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    };
+    
+    // Add data export to the namespace
+    window.WorkBuddies.dataExport = dataExport;
+    
+})(window);
@@ -15,6 +15,7 @@
     // Data loader namespace
     window.WorkBuddies.dataLoader = {
         initialized: false,
+        MAX_IMPORT_BYTES: 5 * 1024 * 1024,
         
         /**
          * Initialize the data loader
@@ -63,10 +64,13 @@
                 const csvText = await response.text();
                 
                 // Parse CSV safely
-                const data = this.parseCSV(csvText);
+                const { data, report } = this.parseCSVWithReport(csvText);
+                
+                // Geocode, validate and apply privacy, showing any problems straight away
+                await this.prepareRecords(data, report, { open: true });
                 
                 // Update the global data
-                this.updateGlobalData(data);
+                this.updateGlobalData(data, report);
                 
                 return data;
             } catch (error) {
@@ -81,74 +85,25 @@
          * @returns {Array} Array of data objects
          */
         parseCSV: function(csvText) {
+            return this.parseCSVWithReport(csvText).data;
+        },
+        
+        /**
+         * Parse CSV content through the shared normalization pipeline
+         * @param {string} csvText - The CSV content
+         * @returns {{data: Object[], report: Object|null}} Parsed rows and the normalization report
+         */
+        parseCSVWithReport: function(csvText) {
             try {
-                // Use PapaParse if available for safer CSV parsing
-                if (typeof Papa !== 'undefined') {
-                    const results = Papa.parse(csvText, {
-                        header: true,
-                        skipEmptyLines: true,
-                        transformHeader: header => this.sanitizeString(header.trim()),
-                        transform: (value, header) => {
-                            // Convert latitude and longitude to numbers
-                            if (header.toLowerCase() === 'latitude' || header.toLowerCase() === 'longitude') {
-                                const num = parseFloat(value);
-                                return isNaN(num) ? 0 : num;
-                            }
-                            // Sanitize string values
-                            return this.sanitizeString(value);
-                        }
-                    });
-                    
-                    // Handle empty WorkbuddyName
-                    results.data.forEach((row, index) => {
-                        if (!row.WorkbuddyName || row.WorkbuddyName.trim() === '') {
-                            row.WorkbuddyName = `MysteriousSpuddy${1000 + index}`;
-                        }
-                    });
-                    
-                    return results.data;
+                const normalizer = window.WorkBuddies.dataNormalizer;
+                if (!normalizer || typeof normalizer.normalizeCSV !== 'function') {
+                    throw new Error('Data normalizer not available');
                 }
                 
-                // Basic CSV parsing as fallback with sanitization
-                const lines = csvText.split(/\r?\n/);
-                const headers = lines[0].split(',').map(h => this.sanitizeString(h.trim()));
-                
-                const data = [];
-                for (let i = 1; i < lines.length; i++) {
-                    if (lines[i].trim()) {
-                        const values = this.parseCSVLine(lines[i]);
-                        
-                        // Skip rows with wrong number of columns
-                        if (values.length !== headers.length) {
-                            continue;
-                        }
-                        
-                        const row = {};
-                        headers.forEach((header, index) => {
-                            // Convert latitude and longitude to numbers
-                            if (header.toLowerCase() === 'latitude' || header.toLowerCase() === 'longitude') {
-                                row[header] = parseFloat(values[index]);
-                                if (isNaN(row[header])) {
-                                    row[header] = 0;
-                                }
-                            } else {
-                                row[header] = this.sanitizeString(values[index] ? values[index].trim() : '');
-                            }
-                        });
-                        
-                        // Handle empty WorkbuddyName
-                        if (!row.WorkbuddyName || row.WorkbuddyName.trim() === '') {
-                            row.WorkbuddyName = `MysteriousSpuddy${1000 + i}`;
-                        }
-                        
-                        data.push(row);
-                    }
-                }
-                
-                return data;
+                return normalizer.normalizeCSV(csvText);
             } catch (error) {
                 console.error('Error parsing CSV');
-                return [];
+                return { data: [], report: null };
             }
         },
         
@@ -158,32 +113,151 @@
          * @returns {string[]} Array of values
          */
         parseCSVLine: function(line) {
-            const result = [];
-            let current = '';
-            let inQuotes = false;
+            return window.WorkBuddies.dataNormalizer.parseCSVLine(line);
+        },
+        
+        /**
+         * Read a roster file chosen or dropped by the user
+         * @param {File} file - CSV or JSON file
+         * @returns {Promise<{format: string, headers: string[], rows: string[][]}>} Promise that resolves with the raw table
+         */
+        readRosterFile: async function(file) {
+            if (!file) {
+                throw new Error('No file selected');
+            }
             
-            for (let i = 0; i < line.length; i++) {
-                const char = line[i];
-                
-                if (char === '"' && (i === 0 || line[i-1] !== '\\')) {
-                    inQuotes = !inQuotes;
-                } else if (char === ',' && !inQuotes) {
-                    result.push(current);
-                    current = '';
-                } else {
-                    current += char;
+            if (file.size > this.MAX_IMPORT_BYTES) {
+                throw new Error('That file is too large to import');
+            }
+            
+            const text = await file.text();
+            const isJSON = /\.json$/i.test(file.name) || file.type === 'application/json';
+            
+            if (isJSON) {
+                return Object.assign({ format: 'json' }, this.parseJSONRoster(text));
+            }
+            
+            const normalizer = window.WorkBuddies.dataNormalizer;
+            const rows = normalizer.splitCSV(text);
+            if (rows.length === 0) {
+                throw new Error('The file has no rows');
+            }
+            
+            return { format: 'csv', headers: rows[0], rows: rows.slice(1) };
+        },
+        
+        /**
+         * Turn a JSON roster into a table of headers and rows
+         * Accepts an array of objects, or an object with a "data" array
+         * @param {string} text - JSON content
+         * @returns {{headers: string[], rows: string[][]}} - Raw table
+         */
+        parseJSONRoster: function(text) {
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (e) {
+                throw new Error('The file is not valid JSON');
+            }
+            
+            const records = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.data) ? parsed.data : null);
+            if (!records || records.length === 0) {
+                throw new Error('The JSON file does not contain a list of people');
+            }
+            
+            // Columns are the union of keys, in first-seen order
+            const headers = [];
+            records.forEach(record => {
+                if (record && typeof record === 'object') {
+                    Object.keys(record).forEach(key => {
+                        if (!headers.includes(key)) headers.push(key);
+                    });
                 }
+            });
+            
+            // Nested values are not roster fields, so they are left blank
+            const rows = records.map(record => headers.map(key => {
+                const value = record && typeof record === 'object' ? record[key] : undefined;
+                return value === null || value === undefined || typeof value === 'object' ? '' : String(value);
+            }));
+            
+            return { headers, rows };
+        },
+        
+        /**
+         * Run the steps every loader applies after parsing, in order: fill in coordinates from the
+         * gazetteer, validate the records as entered, work out time zones, then coarsen or remove
+         * locations as each member's Visibility asks, so nothing that shows the data sees the entered coordinates
+         * @param {Object[]} data - Normalized buddy records (updated in place)
+         * @param {Object} [report] - Normalization report for the records
+         * @param {Object} [options] - Pipeline options
+         * @param {Object[]} [options.current] - Records already loaded that these will be merged into
+         * @param {boolean} [options.open] - Open the data quality report if any issues were found
+         * @returns {Promise<number>} Promise that resolves with the number of hidden members removed
+         */
+        prepareRecords: async function(data, report, options = {}) {
+            const current = options.current || null;
+            
+            if (typeof window.WorkBuddies.geocoder?.geocodeRecords === 'function') {
+                await window.WorkBuddies.geocoder.geocodeRecords(data, report);
+            }
+            
+            // Merges are checked against the records as entered, not as already coarsened;
+            // report row numbers only describe the imported file, so they are dropped
+            const validator = window.WorkBuddies.dataValidator;
+            if (validator && typeof validator.run === 'function') {
+                await validator.run(current ?
+                    { data: this.mergeData(validator.entered, data), report: null, open: options.open } :
+                    { data, report, open: options.open });
+            }
+            
+            // Time zones come from the entered coordinates, before privacy moves them
+            if (typeof window.WorkBuddies.timeZones?.assignZones === 'function') {
+                await window.WorkBuddies.timeZones.assignZones(data);
+            }
+            
+            // Members already loaded count towards group sizes when merging
+            if (typeof window.WorkBuddies.privacy?.apply === 'function') {
+                return window.WorkBuddies.privacy.apply(data, report, current || []);
             }
             
-            result.push(current);
-            return result;
+            return 0;
+        },
+        
+        /**
+         * Merge imported records into the current data
+         * A record with the same name, city and state as an existing one replaces it
+         * @param {Object[]} current - Current records
+         * @param {Object[]} incoming - Imported records
+         * @returns {Object[]} - Merged records
+         */
+        mergeData: function(current, incoming) {
+            const keyFor = buddy => [buddy.WorkbuddyName, buddy.City, buddy.State]
+                .map(value => String(value || '').trim().toLowerCase())
+                .join('|');
+            
+            const merged = [...current];
+            const positions = new Map(merged.map((buddy, index) => [keyFor(buddy), index]));
+            
+            incoming.forEach(buddy => {
+                const key = keyFor(buddy);
+                if (positions.has(key)) {
+                    merged[positions.get(key)] = buddy;
+                } else {
+                    positions.set(key, merged.length);
+                    merged.push(buddy);
+                }
+            });
+            
+            return merged;
         },
         
         /**
          * Update the global data
          * @param {Object[]} newData - Array of new data objects
+         * @param {Object} [report] - Normalization report for the new data
          */
-        updateGlobalData: function(newData) {
+        updateGlobalData: function(newData, report) {
             // Initialize WorkBuddies data store if it doesn't exist
             if (!window.WorkBuddies.data) {
                 window.WorkBuddies.data = {};
@@ -192,11 +266,16 @@
             // Update the data
             window.WorkBuddies.data.raw = newData;
             window.WorkBuddies.data.filtered = [...newData];
+            window.WorkBuddies.data.normalizationReport = report || null;
             
             // Extract unique states
             const statesSet = new Set(newData.map(item => item.State).filter(state => state));
             window.WorkBuddies.data.states = Array.from(statesSet).sort();
             
+            // Extract unique countries
+            const countriesSet = new Set(newData.map(item => item.Country).filter(country => country));
+            window.WorkBuddies.data.countries = Array.from(countriesSet).sort();
+            
             // Update UI if needed
             this.updateUI();
             
@@ -214,8 +293,10 @@
                 totalCountElement.textContent = window.WorkBuddies.data.raw.length || 0;
             }
             
-            // Populate state filter if function exists
-            if (typeof window.WorkBuddies.utils?.populateStateFilter === 'function') {
+            // Populate filter dropdowns if function exists
+            if (typeof window.WorkBuddies.utils?.populateFilters === 'function') {
+                window.WorkBuddies.utils.populateFilters();
+            } else if (typeof window.WorkBuddies.utils?.populateStateFilter === 'function') {
                 window.WorkBuddies.utils.populateStateFilter();
             } else if (typeof populateStateFilter === 'function') {
                 populateStateFilter();
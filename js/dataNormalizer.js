@@ -0,0 +1,513 @@
+/**
+ * Data normalization pipeline for WorkBuddies Visualization
+ * Shared by utils.loadData and dataLoader.parseCSV so every roster goes
+ * through the same parsing, sanitization and cleanup rules
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Canonical column names, keyed by their lowercase form
+    const CANONICAL_HEADERS = {
+        workbuddyname: 'WorkbuddyName',
+        city: 'City',
+        state: 'State',
+        country: 'Country',
+        latitude: 'latitude',
+        longitude: 'longitude',
+        joineddate: 'JoinedDate',
+        visibility: 'Visibility'
+    };
+    
+    // Other column names rosters use for each canonical column, keyed by their lowercase form
+    const HEADER_ALIASES = {
+        WorkbuddyName: ['name', 'buddy', 'buddyname', 'buddy name', 'workbuddy', 'workbuddy name', 'display name', 'username', 'spuddy'],
+        City: ['town', 'city name'],
+        State: ['province', 'state/province', 'state code', 'st', 'prov'],
+        Country: ['country code', 'nation'],
+        latitude: ['lat', 'y'],
+        longitude: ['lng', 'lon', 'long', 'x'],
+        JoinedDate: ['joined', 'joined date', 'join date', 'date joined', 'joined on', 'member since', 'joined_date'],
+        Visibility: ['privacy', 'location visibility', 'show location', 'location privacy']
+    };
+    
+    // Country spellings seen in rosters, keyed by their uppercase form
+    const COUNTRY_ALIASES = {
+        'US': 'US',
+        'USA': 'US',
+        'U.S.': 'US',
+        'U.S.A.': 'US',
+        'UNITED STATES': 'US',
+        'UNITED STATES OF AMERICA': 'US',
+        'CA': 'CA',
+        'CAN': 'CA',
+        'CANADA': 'CA'
+    };
+    
+    // Visibility spellings seen in rosters, keyed by their lowercase form
+    const VISIBILITY_ALIASES = {
+        'hidden': 'hidden',
+        'hide': 'hidden',
+        'private': 'hidden',
+        'none': 'hidden',
+        'country': 'country',
+        'state': 'state',
+        'province': 'state',
+        'state/province': 'state',
+        'city': 'city',
+        'town': 'city',
+        'exact': 'exact',
+        'precise': 'exact',
+        'full': 'exact',
+        'public': 'exact'
+    };
+    
+    // US states and Canadian provinces/territories by country code
+    const SUBDIVISIONS = {
+        US: {
+            AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+            CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+            FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+            IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+            ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+            MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+            NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+            NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+            PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+            TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+            WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+        },
+        CA: {
+            AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+            NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories',
+            NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec',
+            SK: 'Saskatchewan', YT: 'Yukon'
+        }
+    };
+    
+    // Data normalizer module
+    const dataNormalizer = {
+        CANONICAL_HEADERS: CANONICAL_HEADERS,
+        HEADER_ALIASES: HEADER_ALIASES,
+        COUNTRY_ALIASES: COUNTRY_ALIASES,
+        VISIBILITY_ALIASES: VISIBILITY_ALIASES,
+        SUBDIVISIONS: SUBDIVISIONS,
+        
+        /**
+         * Sanitize a string to prevent XSS
+         * @param {string} str - String to sanitize
+         * @returns {string} - Sanitized string
+         */
+        sanitizeString: function(str) {
+            if (typeof str !== 'string') return '';
+            
+            // Use WorkBuddies.utils.sanitizeString if available
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.sanitizeString === 'function') {
+                return window.WorkBuddies.utils.sanitizeString(str);
+            }
+            
+            // Use DOMPurify if available
+            if (typeof DOMPurify !== 'undefined') {
+                return DOMPurify.sanitize(str, { ALLOWED_TAGS: [] });
+            }
+            
+            // Basic sanitization fallback
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+        
+        /**
+         * Normalize CSV text into buddy records
+         * @param {string} csvText - The CSV content
+         * @returns {{data: Object[], report: Object}} - Normalized rows and a change report
+         */
+        normalizeCSV: function(csvText) {
+            const rows = this.splitCSV(csvText);
+            
+            if (rows.length === 0) {
+                return { data: [], report: this.createReport() };
+            }
+            
+            const headers = rows[0].map(header => this.normalizeHeader(header));
+            return this.normalizeRows(headers, rows.slice(1));
+        },
+        
+        /**
+         * Split CSV text into rows of raw cell values
+         * @param {string} csvText - The CSV content
+         * @returns {string[][]} - Rows of cells, header row first
+         */
+        splitCSV: function(csvText) {
+            if (typeof csvText !== 'string' || csvText.trim() === '') {
+                return [];
+            }
+            
+            // Use PapaParse if available for safer CSV parsing
+            if (typeof Papa !== 'undefined') {
+                const results = Papa.parse(csvText, {
+                    header: false,
+                    skipEmptyLines: 'greedy'
+                });
+                return results.data;
+            }
+            
+            // Basic CSV parsing as fallback
+            return csvText
+                .split(/\r?\n/)
+                .filter(line => line.trim() !== '')
+                .map(line => this.parseCSVLine(line));
+        },
+        
+        /**
+         * Parse a CSV line correctly handling quotes
+         * @param {string} line - Single line from CSV
+         * @returns {string[]} Array of values
+         */
+        parseCSVLine: function(line) {
+            const result = [];
+            let current = '';
+            let inQuotes = false;
+            
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                
+                if (char === '"') {
+                    // A doubled quote inside a quoted field is a literal quote
+                    if (inQuotes && line[i + 1] === '"') {
+                        current += '"';
+                        i++;
+                    } else {
+                        inQuotes = !inQuotes;
+                    }
+                } else if (char === ',' && !inQuotes) {
+                    result.push(current);
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            
+            result.push(current);
+            return result;
+        },
+        
+        /**
+         * Map a header onto its canonical column name
+         * @param {string} header - Raw header text
+         * @returns {string} - Canonical or sanitized header
+         */
+        normalizeHeader: function(header) {
+            const cleaned = this.sanitizeString(String(header || '').replace(/^\uFEFF/, '').trim());
+            return CANONICAL_HEADERS[cleaned.toLowerCase()] || cleaned;
+        },
+        
+        /**
+         * Suggest which source column holds each canonical column
+         * @param {string[]} headers - Source header names
+         * @returns {Object} - Column index for each canonical name, or -1 if none was recognized
+         */
+        suggestColumnMapping: function(headers) {
+            const lowered = headers.map(header => String(header || '').replace(/^\uFEFF/, '').trim().toLowerCase());
+            const mapping = {};
+            
+            Object.values(CANONICAL_HEADERS).forEach(field => {
+                const names = [field.toLowerCase()].concat(HEADER_ALIASES[field] || []);
+                mapping[field] = lowered.findIndex(header => names.includes(header));
+            });
+            
+            return mapping;
+        },
+        
+        /**
+         * Normalize rows whose columns are assigned to canonical names by a mapping
+         * Unmapped columns are kept under their own sanitized header
+         * @param {string[]} headers - Source header names
+         * @param {string[][]} rows - Raw cell values for each data row
+         * @param {Object} mapping - Column index for each canonical name (-1 for none)
+         * @returns {{data: Object[], report: Object}} - Normalized rows and a change report
+         */
+        normalizeMappedRows: function(headers, rows, mapping) {
+            const mappedHeaders = headers.map(header => {
+                const normalized = this.normalizeHeader(header);
+                
+                // A recognized header that was mapped elsewhere must not shadow the mapped column
+                return Object.values(CANONICAL_HEADERS).includes(normalized) ? `Original ${normalized}` : normalized;
+            });
+            
+            Object.keys(mapping).forEach(field => {
+                if (mapping[field] >= 0 && mapping[field] < mappedHeaders.length) {
+                    mappedHeaders[mapping[field]] = field;
+                }
+            });
+            
+            return this.normalizeRows(mappedHeaders, rows);
+        },
+        
+        /**
+         * Create an empty normalization report
+         * @returns {Object} - Report with changed and dropped lists, and the source row of each kept record
+         */
+        createReport: function() {
+            return {
+                total: 0,
+                kept: 0,
+                rows: [],
+                changed: [],
+                dropped: []
+            };
+        },
+        
+        /**
+         * Normalize parsed rows into buddy records
+         * @param {string[]} headers - Canonical header names
+         * @param {string[][]} rows - Raw cell values for each data row
+         * @returns {{data: Object[], report: Object}} - Normalized rows and a change report
+         */
+        normalizeRows: function(headers, rows) {
+            const report = this.createReport();
+            const data = [];
+            
+            rows.forEach((values, index) => {
+                // Row numbers in the report are 1-based and exclude the header
+                const rowNumber = index + 1;
+                report.total++;
+                
+                if (!Array.isArray(values) || values.every(value => String(value).trim() === '')) {
+                    report.dropped.push({ row: rowNumber, reason: 'Empty row' });
+                    return;
+                }
+                
+                if (values.length !== headers.length) {
+                    report.dropped.push({
+                        row: rowNumber,
+                        reason: `Expected ${headers.length} columns but found ${values.length}`
+                    });
+                    return;
+                }
+                
+                const record = {};
+                headers.forEach((header, column) => {
+                    record[header] = values[column];
+                });
+                
+                data.push(this.normalizeRecord(record, rowNumber, report));
+                report.rows.push(rowNumber);
+            });
+            
+            report.kept = data.length;
+            
+            return { data, report };
+        },
+        
+        /**
+         * Normalize a single record keyed by canonical headers
+         * @param {Object} record - Raw record
+         * @param {number} rowNumber - 1-based row number used in the report
+         * @param {Object} report - Report to append changes to
+         * @returns {Object} - Normalized record
+         */
+        normalizeRecord: function(record, rowNumber, report) {
+            const normalized = {};
+            
+            const recordChange = (field, from, to, reason) => {
+                report.changed.push({ row: rowNumber, field, from, to, reason });
+            };
+            
+            Object.keys(record).forEach(key => {
+                const raw = record[key];
+                
+                // Convert latitude and longitude to numbers
+                if (key === 'latitude' || key === 'longitude') {
+                    const num = parseFloat(raw);
+                    normalized[key] = isNaN(num) ? 0 : num;
+                    if (isNaN(num)) {
+                        recordChange(key, this.sanitizeString(String(raw == null ? '' : raw)), 0, 'Not a number');
+                    }
+                    return;
+                }
+                
+                // Store join dates as YYYY-MM-DD so they sort and compare as text
+                if (key === 'JoinedDate') {
+                    const text = String(raw == null ? '' : raw).trim();
+                    const date = this.normalizeDate(text);
+                    normalized[key] = date || '';
+                    if (text && !date) {
+                        recordChange(key, this.sanitizeString(text), '', 'Not a recognized date');
+                    } else if (date && date !== text) {
+                        recordChange(key, this.sanitizeString(text), date, 'Converted to YYYY-MM-DD');
+                    }
+                    return;
+                }
+                
+                // Visibility levels are stored lowercase; privacy.apply picks the default for blanks
+                if (key === 'Visibility') {
+                    const text = String(raw == null ? '' : raw).trim();
+                    const level = this.normalizeVisibility(text);
+                    normalized[key] = level || '';
+                    if (text && !level) {
+                        recordChange(key, this.sanitizeString(text), '', 'Not a recognized visibility level');
+                    }
+                    return;
+                }
+                
+                // Sanitize string values and collapse stray whitespace
+                normalized[key] = this.sanitizeString(String(raw == null ? '' : raw)).trim().replace(/\s+/g, ' ');
+            });
+            
+            // Handle empty WorkbuddyName
+            if (!normalized.WorkbuddyName) {
+                normalized.WorkbuddyName = `MysteriousSpuddy${1000 + rowNumber}`;
+                recordChange('WorkbuddyName', '', normalized.WorkbuddyName, 'Blank name replaced with placeholder');
+            }
+            
+            if (normalized.City) {
+                const city = this.toTitleCase(normalized.City);
+                if (city !== normalized.City) {
+                    recordChange('City', normalized.City, city, 'Title-cased');
+                    normalized.City = city;
+                }
+            }
+            
+            if (normalized.Country) {
+                const country = this.canonicalizeCountry(normalized.Country);
+                if (country !== normalized.Country) {
+                    recordChange('Country', normalized.Country, country, 'Canonical country code');
+                    normalized.Country = country;
+                }
+            }
+            
+            if (normalized.State) {
+                const state = this.canonicalizeState(normalized.State, normalized.Country);
+                if (state !== normalized.State) {
+                    recordChange('State', normalized.State, state, 'Canonical state code');
+                    normalized.State = state;
+                }
+                
+                // Fill in a missing country from an unambiguous state code
+                if (!normalized.Country) {
+                    const country = this.getCountryForState(state);
+                    if (country) {
+                        recordChange('Country', '', country, 'Inferred from state');
+                        normalized.Country = country;
+                    }
+                }
+            }
+            
+            return normalized;
+        },
+        
+        /**
+         * Title-case a place name that was typed in a single case
+         * Mixed-case names such as "McAllen" are left as entered
+         * @param {string} str - Place name
+         * @returns {string} - Title-cased name
+         */
+        toTitleCase: function(str) {
+            if (!str) return '';
+            
+            const isSingleCase = str === str.toLowerCase() || str === str.toUpperCase();
+            if (!isSingleCase) return str;
+            
+            return str
+                .toLowerCase()
+                .replace(/(^|[\s-])(\S)/g, (match, separator, letter) => separator + letter.toUpperCase());
+        },
+        
+        /**
+         * Convert a date as entered to YYYY-MM-DD
+         * Accepts YYYY-MM-DD (with an optional time), YYYY/MM/DD, YYYY-MM (the first of the month)
+         * and US-style MM/DD/YYYY
+         * @param {string} value - Date as entered
+         * @returns {string|null} - Date as YYYY-MM-DD, or null if it is not a real calendar date
+         */
+        normalizeDate: function(value) {
+            const text = String(value || '').trim();
+            let parts = null;
+            
+            let match = /^(\d{4})([-/.])(\d{1,2})\2(\d{1,2})(?:[T ][\d:.]+Z?)?$/.exec(text);
+            if (match) {
+                parts = [match[1], match[3], match[4]];
+            } else if ((match = /^(\d{4})-(\d{1,2})$/.exec(text))) {
+                parts = [match[1], match[2], 1];
+            } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text))) {
+                parts = [match[3], match[1], match[2]];
+            }
+            
+            if (!parts) return null;
+            
+            const [year, month, day] = parts.map(Number);
+            const date = new Date(Date.UTC(year, month - 1, day));
+            
+            // Reject dates that roll over, such as February 30
+            if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+                return null;
+            }
+            
+            return date.toISOString().slice(0, 10);
+        },
+        
+        /**
+         * Convert a visibility level as entered to hidden, country, state, city or exact
+         * @param {string} value - Level as entered
+         * @returns {string|null} - Canonical level, or null if it is not recognized
+         */
+        normalizeVisibility: function(value) {
+            const key = String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+            return VISIBILITY_ALIASES[key] || null;
+        },
+        
+        /**
+         * Canonicalize a country name to its code
+         * @param {string} country - Country as entered
+         * @returns {string} - Country code, or the trimmed input if unrecognized
+         */
+        canonicalizeCountry: function(country) {
+            const key = String(country || '').trim().toUpperCase();
+            return COUNTRY_ALIASES[key] || String(country || '').trim();
+        },
+        
+        /**
+         * Canonicalize a state or province to its postal code
+         * @param {string} state - State as entered
+         * @param {string} [country] - Canonical country code, if known
+         * @returns {string} - Postal code, or the uppercased input if unrecognized
+         */
+        canonicalizeState: function(state, country) {
+            const upper = String(state || '').trim().toUpperCase();
+            const countries = SUBDIVISIONS[country] ? [country] : Object.keys(SUBDIVISIONS);
+            
+            for (const code of countries) {
+                const subdivisions = SUBDIVISIONS[code];
+                if (subdivisions[upper]) return upper;
+                
+                const match = Object.keys(subdivisions).find(abbr => subdivisions[abbr].toUpperCase() === upper);
+                if (match) return match;
+            }
+            
+            return upper;
+        },
+        
+        /**
+         * Find the country a state code belongs to
+         * @param {string} state - State or province postal code
+         * @returns {string|null} - Country code, or null if unknown
+         */
+        getCountryForState: function(state) {
+            const matches = Object.keys(SUBDIVISIONS).filter(code => SUBDIVISIONS[code][state]);
+            return matches.length === 1 ? matches[0] : null;
+        }
+    };
+    
+    // Add data normalizer to the namespace
+    window.WorkBuddies.dataNormalizer = dataNormalizer;
+    
+})(window);
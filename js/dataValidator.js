@@ -0,0 +1,409 @@
+/**
+ * Data quality validation for WorkBuddies
+ * Flags rows that would be hidden or misplaced on the map and lists them in a report panel
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Labels for each kind of issue, in the order they are listed in the report
+    const ISSUE_TYPES = {
+        'missing-coordinates': 'Missing coordinates',
+        'invalid-coordinates': 'Non-numeric coordinates',
+        'outside-state': 'Outside stated state/province',
+        'outside-country': 'Outside stated country',
+        'unknown-state': 'Unrecognized state/province',
+        'far-from-city': 'Far from stated city',
+        'geocoded': 'Geocoded location',
+        'duplicate-name': 'Duplicate name',
+        'placeholder-name': 'Placeholder name',
+        'invalid-profile': 'Invalid profile field',
+        'invalid-visibility': 'Unrecognized visibility level'
+    };
+    
+    // Location issues for members who coarsen their location, worded without the places,
+    // coordinates or distances their Visibility level keeps out of view
+    const COARSE_MESSAGES = {
+        'missing-coordinates': 'Coordinates are missing, so this Spuddy is not on the map',
+        'invalid-coordinates': 'Coordinates are not valid numbers',
+        'outside-state': 'Coordinates are outside the stated state/province',
+        'outside-country': 'Coordinates are outside the stated country',
+        'unknown-state': 'State/province is not recognized, so only the country was checked',
+        'far-from-city': 'Coordinates are far from the stated city',
+        'geocoded': 'Coordinates were filled in or corrected from the gazetteer'
+    };
+    
+    // The bundled outlines are simplified, so points this close to a border still count as inside
+    const BOUNDS_TOLERANCE_KM = 25;
+    
+    // Coordinates further than this from every place with the stated city name are flagged
+    const CITY_DISTANCE_KM = 50;
+    
+    // Names the data file uses for people who did not give one
+    const PLACEHOLDER_PATTERN = /^mysterious\s*spuddy\s*\d*$/i;
+    
+    // Data validator module
+    const dataValidator = {
+        ISSUE_TYPES: ISSUE_TYPES,
+        issues: [],
+        entered: [],
+        enteredReport: null,
+        
+        /**
+         * Sanitize a string to prevent XSS
+         * @param {string} str - String to sanitize
+         * @returns {string} - Sanitized string
+         */
+        sanitizeString: function(str) {
+            if (!str) return '';
+            
+            // Use WorkBuddies.utils.sanitizeString if available
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.sanitizeString === 'function') {
+                return window.WorkBuddies.utils.sanitizeString(str);
+            }
+            
+            // Use DOMPurify if available
+            if (typeof DOMPurify !== 'undefined') {
+                return DOMPurify.sanitize(str, { ALLOWED_TAGS: [] });
+            }
+            
+            // Basic sanitization fallback
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+        
+        /**
+         * Set up the sidebar button and panel controls
+         */
+        init: function() {
+            const openBtn = document.getElementById('data-quality-btn');
+            const closeBtn = document.getElementById('data-quality-close');
+            
+            if (openBtn) {
+                openBtn.addEventListener('click', () => this.showPanel());
+            }
+            
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.hidePanel());
+            }
+            
+            document.addEventListener('keydown', event => {
+                if (event.key === 'Escape') {
+                    this.hidePanel();
+                }
+            });
+        },
+        
+        /**
+         * Validate records as entered and refresh the report
+         * Loaders run this before privacy.apply, so the checks see the coordinates in the data file
+         * rather than coarsened ones
+         * @param {Object} [options] - Run options
+         * @param {Object[]} [options.data] - Records to check (defaults to the records last checked)
+         * @param {Object} [options.report] - Normalization report for options.data
+         * @param {boolean} [options.open] - Open the report panel if any issues were found
+         * @returns {Promise<Object[]>} Promise that resolves with the issues found
+         */
+        run: async function(options = {}) {
+            // Keep copies, since privacy.apply coarsens the records and trims the report's rows in place
+            if (options.data) {
+                const report = options.report;
+                this.entered = options.data.map(buddy => Object.assign({}, buddy));
+                this.enteredReport = report ?
+                    Object.assign({}, report, { rows: Array.isArray(report.rows) ? report.rows.slice() : report.rows }) : null;
+            }
+            
+            // Bounds checks need the outlines; the other checks still run without them
+            const regions = window.WorkBuddies.regions;
+            if (regions && typeof regions.loadBoundaries === 'function') {
+                try {
+                    await regions.loadBoundaries();
+                } catch (error) {
+                    console.warn("State outlines not available. Skipping bounds checks.");
+                }
+            }
+            
+            const store = window.WorkBuddies.data || {};
+            this.issues = this.validate(this.entered, this.enteredReport);
+            store.validationIssues = this.issues;
+            
+            this.renderSummary();
+            this.renderPanel();
+            
+            if (options.open && this.issues.length > 0) {
+                this.showPanel();
+            }
+            
+            return this.issues;
+        },
+        
+        /**
+         * Validate buddy records
+         * Hidden members are left out, and location issues for coarsened members name no places or numbers
+         * @param {Object[]} data - Normalized buddy records
+         * @param {Object} [report] - Normalization report for the same records
+         * @returns {Object[]} - Issues as {row, name, type, message}, ordered by row
+         */
+        validate: function(data, report) {
+            const issues = [];
+            const profileSchema = window.WorkBuddies.profileSchema;
+            const privacy = window.WorkBuddies.privacy;
+            const levelOf = buddy => privacy ? privacy.getLevel(buddy) : 'exact';
+            
+            // Report rows line up with the records only if nothing was added since parsing
+            const rowFor = index => report && report.rows && report.rows.length === data.length ?
+                report.rows[index] : index + 1;
+            
+            // Index the normalizer's changes by row
+            const changesByRow = {};
+            if (report && Array.isArray(report.changed)) {
+                report.changed.forEach(change => {
+                    (changesByRow[change.row] = changesByRow[change.row] || []).push(change);
+                });
+            }
+            
+            // Group rows by name to find duplicates
+            const rowsByName = {};
+            // Hidden members are left out of the report, as they are of every other view
+            data.forEach((buddy, index) => {
+                if (buddy && levelOf(buddy) === 'hidden') return;
+                
+                const key = String(buddy && buddy.WorkbuddyName || '').trim().toLowerCase();
+                if (key) {
+                    (rowsByName[key] = rowsByName[key] || []).push(rowFor(index));
+                }
+            });
+            
+            data.forEach((buddy, index) => {
+                if (!buddy) return;
+                
+                const level = levelOf(buddy);
+                if (level === 'hidden') return;
+                
+                const row = rowFor(index);
+                const changes = changesByRow[row] || [];
+                const add = (type, message) => {
+                    const text = level !== 'exact' && COARSE_MESSAGES[type] ? COARSE_MESSAGES[type] : message;
+                    issues.push({ row, name: buddy.WorkbuddyName || '', type, message: text });
+                };
+                
+                this.checkCoordinates(buddy, changes, add);
+                
+                const placeholder = changes.find(change =>
+                    change.field === 'WorkbuddyName' && change.reason === 'Blank name replaced with placeholder');
+                if (placeholder) {
+                    add('placeholder-name', 'Name was blank, so a placeholder was used');
+                } else if (PLACEHOLDER_PATTERN.test(buddy.WorkbuddyName || '')) {
+                    add('placeholder-name', 'Name is a placeholder in the data file');
+                }
+                
+                const sameName = rowsByName[String(buddy.WorkbuddyName || '').trim().toLowerCase()] || [];
+                if (sameName.length > 1) {
+                    const others = sameName.filter(other => other !== row);
+                    add('duplicate-name', `Name also used on ${others.length === 1 ? 'row' : 'rows'} ${others.join(', ')}`);
+                }
+                
+                const visibility = changes.find(change =>
+                    change.field === 'Visibility' && change.reason === 'Not a recognized visibility level');
+                if (visibility) {
+                    const fallback = window.WorkBuddies.privacy ? window.WorkBuddies.privacy.DEFAULT_VISIBILITY : 'exact';
+                    add('invalid-visibility', `"${visibility.from}" is not a visibility level, so ${fallback} is used`);
+                }
+                
+                // Invalid profile values are left out of the popup rather than shown
+                if (profileSchema) {
+                    profileSchema.parse(buddy).errors.forEach(error => {
+                        add('invalid-profile', `${error.label}: ${error.message}`);
+                    });
+                }
+            });
+            
+            return issues.sort((a, b) => a.row - b.row);
+        },
+        
+        /**
+         * Check a record's coordinates against its stated state and country
+         * Bounds checks cannot see a point that is inside its state but far from its city (such as a
+         * Sherman, TX row placed in the panhandle); those rely on the gazetteer, which either corrects
+         * them while geocoding or flags them as far from the stated city
+         * @param {Object} buddy - Buddy data object
+         * @param {Object[]} changes - Normalizer changes for the record's row
+         * @param {Function} add - Callback taking (type, message) to record an issue
+         */
+        checkCoordinates: function(buddy, changes, add) {
+            // The normalizer turns unreadable coordinates into 0, which the map then hides
+            const coerced = changes.filter(change =>
+                (change.field === 'latitude' || change.field === 'longitude') && change.reason === 'Not a number');
+            
+            // Geocoded rows are on the map, but data.csv still needs fixing
+            if (buddy.geocoded === 'filled') {
+                add('geocoded', 'Coordinates were missing, so the city center from the gazetteer is used');
+            } else if (buddy.geocoded === 'corrected') {
+                const change = changes.find(entry => entry.field === 'latitude' && /gazetteer/.test(entry.reason));
+                add('geocoded', change ? change.reason : 'Coordinates were corrected from the gazetteer');
+            } else if (coerced.length > 0) {
+                coerced.forEach(change => {
+                    if (change.from === '') {
+                        add('missing-coordinates', `${change.field} is blank, so this Spuddy is not on the map`);
+                    } else {
+                        add('invalid-coordinates', `${change.field} "${change.from}" is not a number, so this Spuddy is not on the map`);
+                    }
+                });
+                return;
+            }
+            
+            const lat = buddy.latitude;
+            const lng = buddy.longitude;
+            
+            if (!lat || !lng) {
+                add('missing-coordinates', 'Coordinates are 0, so this Spuddy is not on the map');
+                return;
+            }
+            
+            if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                add('invalid-coordinates', `Coordinates (${lat}, ${lng}) are out of range`);
+                return;
+            }
+            
+            // Ambiguous city names are not corrected by the geocoder, so flag them here instead
+            const geocoder = window.WorkBuddies.geocoder;
+            if (!buddy.geocoded && geocoder && geocoder.isLoaded()) {
+                const nearest = geocoder.findNearest(buddy);
+                if (nearest && nearest.distanceKm > CITY_DISTANCE_KM) {
+                    add('far-from-city', `Coordinates are ${Math.round(nearest.distanceKm)} km from the nearest ${nearest.place.name}`);
+                }
+            }
+            
+            const regions = window.WorkBuddies.regions;
+            if (!regions || !regions.boundaries) return;
+            
+            const isNear = feature => regions.isPointInFeature(lat, lng, feature) ||
+                regions.distanceToFeature(lat, lng, feature) <= BOUNDS_TOLERANCE_KM;
+            
+            // Name where the point really is, to help whoever fixes the row
+            const describeActual = () => {
+                const actual = regions.findBoundaryAt(lat, lng);
+                return actual ? ` (they fall in ${actual.properties.name})` : '';
+            };
+            
+            const stateFeature = buddy.State ? regions.getBoundary(buddy.State, buddy.Country) : null;
+            
+            if (stateFeature) {
+                if (!isNear(stateFeature)) {
+                    add('outside-state', `Coordinates are outside ${stateFeature.properties.name}${describeActual()}`);
+                }
+                return;
+            }
+            
+            const countryFeatures = regions.boundaries.features.filter(feature =>
+                feature.properties.country === buddy.Country);
+            
+            // Only the bundled countries have outlines to check against
+            if (countryFeatures.length === 0) return;
+            
+            if (buddy.State) {
+                add('unknown-state', `"${buddy.State}" is not a recognized state or province, so only the country was checked`);
+            }
+            
+            if (!countryFeatures.some(isNear)) {
+                add('outside-country',
+                    `Coordinates are outside ${regions.getCountryName(buddy.Country)}${describeActual()}`);
+            }
+        },
+        
+        /**
+         * Update the sidebar summary line
+         */
+        renderSummary: function() {
+            const summary = document.getElementById('data-quality-summary');
+            const openBtn = document.getElementById('data-quality-btn');
+            
+            if (summary) {
+                const count = this.issues.length;
+                summary.textContent = count === 0 ? 'No data issues found.' :
+                    `${count} ${count === 1 ? 'issue' : 'issues'} found in the data.`;
+            }
+            
+            if (openBtn) {
+                openBtn.disabled = this.issues.length === 0;
+            }
+        },
+        
+        /**
+         * Rebuild the report panel contents
+         */
+        renderPanel: function() {
+            const counts = document.getElementById('data-quality-counts');
+            const tableBody = document.getElementById('data-quality-rows');
+            if (!counts || !tableBody) return;
+            
+            counts.innerHTML = '';
+            tableBody.innerHTML = '';
+            
+            Object.keys(ISSUE_TYPES).forEach(type => {
+                const total = this.issues.filter(issue => issue.type === type).length;
+                if (total === 0) return;
+                
+                const item = document.createElement('li');
+                item.textContent = `${ISSUE_TYPES[type]}: ${total}`;
+                counts.appendChild(item);
+            });
+            
+            this.issues.forEach(issue => {
+                const tr = document.createElement('tr');
+                
+                [String(issue.row), issue.name, ISSUE_TYPES[issue.type], issue.message].forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = this.sanitizeString(text);
+                    tr.appendChild(td);
+                });
+                
+                tableBody.appendChild(tr);
+            });
+        },
+        
+        /**
+         * Open the report panel
+         */
+        showPanel: function() {
+            const panel = document.getElementById('data-quality-panel');
+            if (!panel) return;
+            
+            panel.hidden = false;
+            
+            const closeBtn = document.getElementById('data-quality-close');
+            if (closeBtn) closeBtn.focus();
+        },
+        
+        /**
+         * Dismiss the report panel
+         */
+        hidePanel: function() {
+            const panel = document.getElementById('data-quality-panel');
+            if (!panel || panel.hidden) return;
+            
+            panel.hidden = true;
+            
+            const openBtn = document.getElementById('data-quality-btn');
+            if (openBtn) openBtn.focus();
+        }
+    };
+    
+    // Add data validator to the namespace
+    window.WorkBuddies.dataValidator = dataValidator;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        dataValidator.init();
+    });
+    
+})(window);
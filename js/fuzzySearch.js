@@ -0,0 +1,494 @@
+/**
+ * Fuzzy search for WorkBuddies
+ * Typo-tolerant matching across name, city, state and country, with highlighting and a type-ahead list
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Fields searched, in order of importance when ranking
+    const SEARCH_FIELDS = ['WorkbuddyName', 'City', 'State', 'Country'];
+    
+    // Extra weight for matches in each field
+    const FIELD_WEIGHTS = {
+        WorkbuddyName: 1.5,
+        City: 1.2,
+        State: 1,
+        Country: 1
+    };
+    
+    // Suggestions shown under the name filter
+    const MAX_SUGGESTIONS = 8;
+    
+    // Fuzzy search module
+    const fuzzySearch = {
+        suggestions: [],
+        activeIndex: -1,
+        
+        /**
+         * Set up the type-ahead list under the name filter
+         */
+        init: function() {
+            const input = document.getElementById('name-filter');
+            const list = document.getElementById('name-suggestions');
+            if (!input || !list) return;
+            
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-controls', 'name-suggestions');
+            input.setAttribute('aria-expanded', 'false');
+            input.setAttribute('autocomplete', 'off');
+            
+            input.addEventListener('keydown', event => this.handleKeydown(event));
+            
+            // Let a click on a suggestion land before the list closes
+            input.addEventListener('blur', () => {
+                setTimeout(() => this.hideSuggestions(), 150);
+            });
+            
+            list.addEventListener('mousedown', event => event.preventDefault());
+        },
+        
+        /**
+         * Lowercase text and strip accents for matching
+         * @param {string} text - Text to normalize
+         * @returns {string} - Normalized text (same length as the input for precomposed characters)
+         */
+        normalize: function(text) {
+            return String(text || '')
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase();
+        },
+        
+        /**
+         * Turn a stored (HTML-escaped) value into plain text
+         * @param {*} value - Stored value
+         * @returns {string} - Plain text
+         */
+        toPlainText: function(value) {
+            const dataExport = window.WorkBuddies.dataExport;
+            return dataExport && typeof dataExport.toPlainValue === 'function' ?
+                String(dataExport.toPlainValue(value)) : String(value || '');
+        },
+        
+        /**
+         * Escape text for use in HTML
+         * @param {string} text - Plain text
+         * @returns {string} - Escaped text
+         */
+        escapeHTML: function(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+        
+        /**
+         * Get the number of typos tolerated for a search term
+         * @param {number} length - Term length
+         * @returns {number} - Allowed edits
+         */
+        getAllowedTypos: function(length) {
+            if (length <= 3) return 0;
+            if (length <= 6) return 1;
+            return 2;
+        },
+        
+        /**
+         * Count the edits (insertions, deletions, substitutions, swaps) between two strings
+         * @param {string} a - First string
+         * @param {string} b - Second string
+         * @param {number} max - Stop counting once this is exceeded
+         * @returns {number} - Edit distance, or max + 1 if it is larger than max
+         */
+        editDistance: function(a, b, max) {
+            if (Math.abs(a.length - b.length) > max) return max + 1;
+            
+            let previousPrevious = null;
+            let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+            
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let rowMin = i;
+                
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                    
+                    // Adjacent letters typed in the wrong order count as one edit
+                    if (previousPrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+                    }
+                    
+                    rowMin = Math.min(rowMin, current[j]);
+                }
+                
+                if (rowMin > max) return max + 1;
+                
+                previousPrevious = previous;
+                previous = current;
+            }
+            
+            return previous[b.length];
+        },
+        
+        /**
+         * Match one search term against a field value
+         * @param {string} term - Normalized search term
+         * @param {string} text - Plain field value
+         * @returns {{score: number, range: number[]}|null} - Match quality and matched character range, or null
+         */
+        matchTerm: function(term, text) {
+            const normalized = this.normalize(text);
+            if (!normalized) return null;
+            
+            const index = normalized.indexOf(term);
+            if (index !== -1) {
+                // Matches at the start of a word rank above matches inside one
+                const atWordStart = index === 0 || /[\s,.'-]/.test(normalized[index - 1]);
+                return { score: atWordStart ? 3 : 2, range: [index, index + term.length] };
+            }
+            
+            const allowed = this.getAllowedTypos(term.length);
+            if (allowed === 0) return null;
+            
+            let best = null;
+            const wordPattern = /[^\s,.-]+/g;
+            let word;
+            
+            while ((word = wordPattern.exec(normalized)) !== null) {
+                const value = word[0];
+                
+                // Compare with the whole word, and with its start so partly typed words still match
+                const distance = Math.min(
+                    this.editDistance(term, value, allowed),
+                    value.length > term.length ? this.editDistance(term, value.slice(0, term.length), allowed) : allowed + 1
+                );
+                
+                if (distance <= allowed && (!best || distance < best.distance)) {
+                    best = { distance, range: [word.index, word.index + value.length] };
+                }
+            }
+            
+            return best ? { score: 1.5 - best.distance * 0.5, range: best.range } : null;
+        },
+        
+        /**
+         * Get the text searched for each field, including full state and country names
+         * @param {Object} buddy - Buddy data object
+         * @returns {Object[]} - Entries as {field, text, highlight}
+         */
+        getSearchTexts: function(buddy) {
+            const texts = SEARCH_FIELDS.map(field => ({ field, text: this.toPlainText(buddy[field]), highlight: true }));
+            
+            // Let "texas" find TX and "canada" find CA, without highlighting the code
+            const subdivisions = window.WorkBuddies.dataNormalizer?.SUBDIVISIONS;
+            const stateName = subdivisions && subdivisions[buddy.Country] ? subdivisions[buddy.Country][buddy.State] : null;
+            if (stateName) {
+                texts.push({ field: 'State', text: stateName, highlight: false });
+            }
+            
+            const regions = window.WorkBuddies.regions;
+            if (regions && typeof regions.getCountryName === 'function' && buddy.Country) {
+                const countryName = regions.getCountryName(buddy.Country);
+                if (countryName && countryName !== buddy.Country) {
+                    texts.push({ field: 'Country', text: countryName, highlight: false });
+                }
+            }
+            
+            return texts;
+        },
+        
+        /**
+         * Match a buddy against a search query
+         * Every word in the query has to match one of the fields
+         * @param {Object} buddy - Buddy data object
+         * @param {string} query - Search query
+         * @returns {{score: number, ranges: Object}|null} - Score and matched ranges per field, or null if no match
+         */
+        match: function(buddy, query) {
+            const terms = this.normalize(query).split(/\s+/).filter(Boolean);
+            if (!buddy || terms.length === 0) return null;
+            
+            const texts = this.getSearchTexts(buddy);
+            const ranges = {};
+            let score = 0;
+            
+            for (const term of terms) {
+                let best = null;
+                
+                texts.forEach(entry => {
+                    const result = this.matchTerm(term, entry.text);
+                    if (!result) return;
+                    
+                    const weighted = result.score * FIELD_WEIGHTS[entry.field];
+                    if (!best || weighted > best.score) {
+                        best = { score: weighted, field: entry.field, range: entry.highlight ? result.range : null };
+                    }
+                });
+                
+                if (!best) return null;
+                
+                score += best.score;
+                if (best.range) {
+                    (ranges[best.field] = ranges[best.field] || []).push(best.range);
+                }
+            }
+            
+            return { score, ranges };
+        },
+        
+        /**
+         * Check whether a buddy matches a search query
+         * @param {Object} buddy - Buddy data object
+         * @param {string} query - Search query
+         * @returns {boolean} - Whether the buddy matches
+         */
+        matches: function(buddy, query) {
+            return !!this.match(buddy, query);
+        },
+        
+        /**
+         * Get the current search query
+         * @returns {string} - Text in the name filter
+         */
+        getQuery: function() {
+            return document.getElementById('name-filter')?.value?.trim() || '';
+        },
+        
+        /**
+         * Get the matched ranges for a buddy under the current query
+         * @param {Object} buddy - Buddy data object
+         * @returns {Object} - Ranges per field (empty when there is no query)
+         */
+        getHighlightRanges: function(buddy) {
+            const query = this.getQuery();
+            if (!query) return {};
+            
+            const result = this.match(buddy, query);
+            return result ? result.ranges : {};
+        },
+        
+        /**
+         * Split text into plain and matched segments
+         * @param {string} text - Plain text
+         * @param {number[][]} ranges - Matched [start, end] ranges
+         * @returns {Object[]} - Segments as {text, matched}
+         */
+        getSegments: function(text, ranges) {
+            // Ranges refer to the normalized text, which only lines up when lengths agree
+            if (!ranges || ranges.length === 0 || this.normalize(text).length !== text.length) {
+                return [{ text, matched: false }];
+            }
+            
+            // Merge overlapping ranges
+            const merged = [];
+            ranges.slice().sort((a, b) => a[0] - b[0]).forEach(range => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push(range.slice());
+                }
+            });
+            
+            const segments = [];
+            let position = 0;
+            merged.forEach(([start, end]) => {
+                if (start > position) segments.push({ text: text.slice(position, start), matched: false });
+                segments.push({ text: text.slice(start, end), matched: true });
+                position = end;
+            });
+            if (position < text.length) segments.push({ text: text.slice(position), matched: false });
+            
+            return segments;
+        },
+        
+        /**
+         * Build escaped HTML with matched parts wrapped in <mark>
+         * @param {string} text - Plain text
+         * @param {number[][]} ranges - Matched ranges
+         * @returns {string} - Safe HTML
+         */
+        highlightHTML: function(text, ranges) {
+            return this.getSegments(text, ranges)
+                .map(segment => segment.matched ?
+                    `<mark class="search-match">${this.escapeHTML(segment.text)}</mark>` :
+                    this.escapeHTML(segment.text))
+                .join('');
+        },
+        
+        /**
+         * Append text to an element with matched parts wrapped in <mark>
+         * @param {HTMLElement} element - Element to fill
+         * @param {string} text - Plain text
+         * @param {number[][]} ranges - Matched ranges
+         */
+        highlightInto: function(element, text, ranges) {
+            this.getSegments(text, ranges).forEach(segment => {
+                if (segment.matched) {
+                    const mark = document.createElement('mark');
+                    mark.className = 'search-match';
+                    mark.textContent = segment.text;
+                    element.appendChild(mark);
+                } else {
+                    element.appendChild(document.createTextNode(segment.text));
+                }
+            });
+        },
+        
+        /**
+         * Rank the filtered Spuddies against the current query and show the best as suggestions
+         */
+        updateSuggestions: function() {
+            const query = this.getQuery();
+            const input = document.getElementById('name-filter');
+            
+            if (!query || document.activeElement !== input) {
+                this.hideSuggestions();
+                return;
+            }
+            
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered || [] : [];
+            
+            this.suggestions = data
+                .map(buddy => ({ buddy, result: this.match(buddy, query) }))
+                .filter(entry => entry.result)
+                .sort((a, b) => b.result.score - a.result.score)
+                .slice(0, MAX_SUGGESTIONS);
+            
+            this.activeIndex = -1;
+            this.renderSuggestions();
+        },
+        
+        /**
+         * Draw the suggestion list
+         */
+        renderSuggestions: function() {
+            const input = document.getElementById('name-filter');
+            const list = document.getElementById('name-suggestions');
+            if (!input || !list) return;
+            
+            list.innerHTML = '';
+            
+            this.suggestions.forEach((entry, index) => {
+                const { buddy, result } = entry;
+                const option = document.createElement('li');
+                option.id = `name-suggestion-${index}`;
+                option.className = 'name-suggestion';
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', index === this.activeIndex ? 'true' : 'false');
+                
+                const name = document.createElement('span');
+                name.className = 'name-suggestion-name';
+                this.highlightInto(name, this.toPlainText(buddy.WorkbuddyName), result.ranges.WorkbuddyName);
+                
+                const place = document.createElement('span');
+                place.className = 'name-suggestion-place';
+                ['City', 'State', 'Country'].forEach((field, i) => {
+                    if (i > 0) place.appendChild(document.createTextNode(', '));
+                    this.highlightInto(place, this.toPlainText(buddy[field]), result.ranges[field]);
+                });
+                
+                option.appendChild(name);
+                option.appendChild(place);
+                option.addEventListener('click', () => this.selectSuggestion(index));
+                list.appendChild(option);
+            });
+            
+            const open = this.suggestions.length > 0;
+            list.hidden = !open;
+            input.setAttribute('aria-expanded', open ? 'true' : 'false');
+            
+            if (this.activeIndex >= 0) {
+                input.setAttribute('aria-activedescendant', `name-suggestion-${this.activeIndex}`);
+            } else {
+                input.removeAttribute('aria-activedescendant');
+            }
+        },
+        
+        /**
+         * Close the suggestion list
+         */
+        hideSuggestions: function() {
+            const input = document.getElementById('name-filter');
+            const list = document.getElementById('name-suggestions');
+            
+            this.suggestions = [];
+            this.activeIndex = -1;
+            
+            if (list) {
+                list.hidden = true;
+                list.innerHTML = '';
+            }
+            
+            if (input) {
+                input.setAttribute('aria-expanded', 'false');
+                input.removeAttribute('aria-activedescendant');
+            }
+        },
+        
+        /**
+         * Move through the suggestions with the arrow keys and pick one with Enter
+         * @param {KeyboardEvent} event - Key event
+         */
+        handleKeydown: function(event) {
+            if (this.suggestions.length === 0) return;
+            
+            switch (event.key) {
+                case 'ArrowDown':
+                    this.activeIndex = (this.activeIndex + 1) % this.suggestions.length;
+                    break;
+                case 'ArrowUp':
+                    this.activeIndex = this.activeIndex <= 0 ? this.suggestions.length - 1 : this.activeIndex - 1;
+                    break;
+                case 'Enter':
+                    if (this.activeIndex < 0) return;
+                    this.selectSuggestion(this.activeIndex);
+                    break;
+                case 'Escape':
+                    this.hideSuggestions();
+                    break;
+                default:
+                    return;
+            }
+            
+            event.preventDefault();
+            if (this.suggestions.length > 0) {
+                this.renderSuggestions();
+            }
+        },
+        
+        /**
+         * Jump to a suggested Spuddy on the map
+         * @param {number} index - Suggestion index
+         */
+        selectSuggestion: function(index) {
+            const entry = this.suggestions[index];
+            if (!entry) return;
+            
+            this.hideSuggestions();
+            
+            if (typeof window.WorkBuddies.mapViz?.showOnMap === 'function') {
+                window.WorkBuddies.mapViz.showOnMap(entry.buddy.WorkbuddyName);
+            }
+        }
+    };
+    
+    // Add fuzzy search to the namespace
+    window.WorkBuddies.fuzzySearch = fuzzySearch;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        fuzzySearch.init();
+    });
+    
+})(window);
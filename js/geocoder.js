@@ -0,0 +1,234 @@
+/**
+ * Offline geocoding for WorkBuddies
+ * Fills in or corrects coordinates from City, State and Country using a bundled gazetteer
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Entered coordinates further than this from the named place are replaced
+    const CORRECTION_DISTANCE_KM = 50;
+    
+    // Same-named places closer together than this are treated as one place
+    const SAME_PLACE_KM = 25;
+    
+    // Common abbreviations in place names, expanded before matching
+    const NAME_ABBREVIATIONS = {
+        st: 'saint',
+        ste: 'sainte',
+        ft: 'fort',
+        mt: 'mount',
+        pt: 'point'
+    };
+    
+    // Geocoder module
+    const geocoder = {
+        GAZETTEER_PATH: 'data/gazetteer.json',
+        index: null,
+        loadPromise: null,
+        
+        /**
+         * Load the bundled gazetteer and index it by country, state and place name
+         * @returns {Promise} Promise that resolves once the gazetteer is ready
+         */
+        load: function() {
+            if (!this.loadPromise) {
+                this.loadPromise = fetch(this.GAZETTEER_PATH)
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Failed to load gazetteer: ${response.status} ${response.statusText}`);
+                        }
+                        return response.json();
+                    })
+                    .then(gazetteer => {
+                        this.index = this.buildIndex(gazetteer.places || {});
+                    })
+                    .catch(error => {
+                        // Allow a later retry
+                        this.loadPromise = null;
+                        throw error;
+                    });
+            }
+            
+            return this.loadPromise;
+        },
+        
+        /**
+         * Build the lookup index from the gazetteer's places
+         * @param {Object} places - Places keyed by country, then state, as [name, lat, lng] entries
+         * @returns {Object} - Index of country -> state -> normalized name -> places
+         */
+        buildIndex: function(places) {
+            const index = {};
+            
+            Object.keys(places).forEach(country => {
+                index[country] = {};
+                
+                Object.keys(places[country]).forEach(state => {
+                    const byName = new Map();
+                    
+                    places[country][state].forEach(([name, lat, lng]) => {
+                        const key = this.normalizeName(name);
+                        if (!byName.has(key)) byName.set(key, []);
+                        byName.get(key).push({ name, lat, lng });
+                    });
+                    
+                    index[country][state] = byName;
+                });
+            });
+            
+            return index;
+        },
+        
+        /**
+         * Check whether the gazetteer has been loaded
+         * @returns {boolean} - Whether lookups are available
+         */
+        isLoaded: function() {
+            return !!this.index;
+        },
+        
+        /**
+         * Normalize a place name for matching
+         * @param {string} name - Place name
+         * @returns {string} - Lowercase name without accents, punctuation or abbreviations
+         */
+        normalizeName: function(name) {
+            return String(name || '')
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .replace(/[.'\u2019]/g, '')
+                .replace(/[-,]/g, ' ')
+                .trim()
+                .split(/\s+/)
+                .map(word => NAME_ABBREVIATIONS[word] || word)
+                .join(' ');
+        },
+        
+        /**
+         * Find gazetteer places matching a city, state and country
+         * @param {string} city - City name
+         * @param {string} state - State or province code
+         * @param {string} country - Country code
+         * @returns {Object[]} - Matching places as {name, lat, lng}
+         */
+        lookup: function(city, state, country) {
+            if (!this.index || !city || !state || !this.index[country] || !this.index[country][state]) {
+                return [];
+            }
+            
+            return this.index[country][state].get(this.normalizeName(city)) || [];
+        },
+        
+        /**
+         * Find the gazetteer place closest to a buddy's coordinates
+         * @param {Object} buddy - Buddy data object
+         * @returns {{place: Object, distanceKm: number, count: number}|null} - Closest match, or null if none
+         */
+        findNearest: function(buddy) {
+            const candidates = this.lookup(buddy.City, buddy.State, buddy.Country);
+            if (candidates.length === 0 || !buddy.latitude || !buddy.longitude) return null;
+            
+            const utils = window.WorkBuddies.utils;
+            let nearest = null;
+            
+            candidates.forEach(place => {
+                const distanceKm = utils.haversineDistance(buddy.latitude, buddy.longitude, place.lat, place.lng);
+                if (!nearest || distanceKm < nearest.distanceKm) {
+                    nearest = { place, distanceKm, count: candidates.length };
+                }
+            });
+            
+            return nearest;
+        },
+        
+        /**
+         * Get the single place a city name refers to
+         * @param {Object[]} candidates - Matching places
+         * @returns {Object|null} - The place, or null if the name is ambiguous
+         */
+        resolvePlace: function(candidates) {
+            if (candidates.length === 0) return null;
+            
+            const utils = window.WorkBuddies.utils;
+            const first = candidates[0];
+            const allClose = candidates.every(place =>
+                utils.haversineDistance(first.lat, first.lng, place.lat, place.lng) <= SAME_PLACE_KM);
+            
+            return allClose ? first : null;
+        },
+        
+        /**
+         * Fill in or correct coordinates for loaded records
+         * Changed records are marked with geocoded = 'filled' or 'corrected'
+         * @param {Object[]} data - Normalized buddy records (updated in place)
+         * @param {Object} [report] - Normalization report to record changes in
+         * @returns {Promise<number>} Promise that resolves with the number of records geocoded
+         */
+        geocodeRecords: async function(data, report) {
+            try {
+                await this.load();
+            } catch (error) {
+                console.warn("Gazetteer not available. Coordinates will be used as entered.");
+                return 0;
+            }
+            
+            let count = 0;
+            
+            data.forEach((buddy, index) => {
+                const row = report && report.rows ? report.rows[index] : index + 1;
+                if (this.geocodeRecord(buddy, row, report)) {
+                    count++;
+                }
+            });
+            
+            return count;
+        },
+        
+        /**
+         * Fill in or correct a single record's coordinates
+         * @param {Object} buddy - Buddy data object (updated in place)
+         * @param {number} row - Row number used in the report
+         * @param {Object} [report] - Normalization report to record changes in
+         * @returns {boolean} - Whether the coordinates were changed
+         */
+        geocodeRecord: function(buddy, row, report) {
+            if (!buddy) return false;
+            
+            const place = this.resolvePlace(this.lookup(buddy.City, buddy.State, buddy.Country));
+            if (!place) return false;
+            
+            let reason;
+            if (!buddy.latitude || !buddy.longitude) {
+                reason = 'Filled in from gazetteer';
+                buddy.geocoded = 'filled';
+            } else {
+                const nearest = this.findNearest(buddy);
+                if (!nearest || nearest.distanceKm <= CORRECTION_DISTANCE_KM) return false;
+                
+                reason = `Corrected from gazetteer (was ${Math.round(nearest.distanceKm)} km from ${place.name})`;
+                buddy.geocoded = 'corrected';
+            }
+            
+            if (report && Array.isArray(report.changed)) {
+                report.changed.push({ row, field: 'latitude', from: buddy.latitude, to: place.lat, reason });
+                report.changed.push({ row, field: 'longitude', from: buddy.longitude, to: place.lng, reason });
+            }
+            
+            buddy.latitude = place.lat;
+            buddy.longitude = place.lng;
+            
+            return true;
+        }
+    };
+    
+    // Add geocoder to the namespace
+    window.WorkBuddies.geocoder = geocoder;
+    
+})(window);
@@ -0,0 +1,379 @@
+/**
+ * Accessible list view for WorkBuddies
+ * A sortable, paginated table of the filtered Spuddies with keyboard navigation and live announcements
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Columns shown in the table, in order
+    const COLUMNS = [
+        { key: 'WorkbuddyName', label: 'Name' },
+        { key: 'City', label: 'City' },
+        { key: 'State', label: 'State/Province' },
+        { key: 'Country', label: 'Country' }
+    ];
+    
+    // Rows per page offered in the page size menu
+    const PAGE_SIZES = [10, 25, 50, 100];
+    
+    // List view module
+    const listView = {
+        sortKey: 'WorkbuddyName',
+        sortDirection: 'ascending',
+        page: 0,
+        pageSize: 25,
+        focusIndex: 0,
+        lastAnnouncedCount: null,
+        
+        /**
+         * Set up the pagination controls and keyboard handling
+         */
+        init: function() {
+            const pageSizeSelect = document.getElementById('list-page-size');
+            const prevBtn = document.getElementById('list-prev');
+            const nextBtn = document.getElementById('list-next');
+            const tbody = document.getElementById('list-rows');
+            
+            if (pageSizeSelect) {
+                pageSizeSelect.value = String(this.pageSize);
+                pageSizeSelect.addEventListener('change', () => {
+                    const size = parseInt(pageSizeSelect.value, 10);
+                    this.pageSize = PAGE_SIZES.includes(size) ? size : 25;
+                    this.page = 0;
+                    this.focusIndex = 0;
+                    this.updateListView();
+                });
+            }
+            
+            if (prevBtn) {
+                prevBtn.addEventListener('click', () => this.goToPage(this.page - 1, false));
+            }
+            
+            if (nextBtn) {
+                nextBtn.addEventListener('click', () => this.goToPage(this.page + 1, false));
+            }
+            
+            if (tbody) {
+                tbody.addEventListener('keydown', event => this.handleKeydown(event));
+            }
+            
+            this.renderHeader();
+        },
+        
+        /**
+         * Turn a stored (HTML-escaped) value into plain text for display
+         * @param {*} value - Stored value
+         * @returns {string} - Plain text
+         */
+        toPlainText: function(value) {
+            const dataExport = window.WorkBuddies.dataExport;
+            return dataExport && typeof dataExport.toPlainValue === 'function' ?
+                String(dataExport.toPlainValue(value)) : String(value || '');
+        },
+        
+        /**
+         * Get the filtered records in the current sort order
+         * @returns {Object[]} - Sorted buddy records
+         */
+        getSortedData: function() {
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered || [] : [];
+            const key = this.sortKey;
+            const direction = this.sortDirection === 'ascending' ? 1 : -1;
+            const compare = (a, b) => String(a || '').localeCompare(String(b || ''), undefined,
+                { sensitivity: 'base', numeric: true });
+            
+            // Fall back to the name so rows with equal values keep a stable order
+            return data.filter(Boolean).slice().sort((a, b) =>
+                direction * compare(a[key], b[key]) || compare(a.WorkbuddyName, b.WorkbuddyName));
+        },
+        
+        /**
+         * Build the column headers with sort buttons
+         */
+        renderHeader: function() {
+            const headRow = document.getElementById('list-head');
+            if (!headRow) return;
+            
+            headRow.innerHTML = '';
+            
+            COLUMNS.forEach(column => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.setAttribute('aria-sort', column.key === this.sortKey ? this.sortDirection : 'none');
+                
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'list-sort-btn';
+                button.textContent = column.label;
+                
+                const arrow = document.createElement('span');
+                arrow.className = 'list-sort-arrow';
+                arrow.setAttribute('aria-hidden', 'true');
+                arrow.textContent = column.key !== this.sortKey ? '' :
+                    (this.sortDirection === 'ascending' ? ' ▲' : ' ▼');
+                button.appendChild(arrow);
+                
+                button.addEventListener('click', () => this.sortBy(column.key));
+                
+                th.appendChild(button);
+                headRow.appendChild(th);
+            });
+            
+            const actionTh = document.createElement('th');
+            actionTh.scope = 'col';
+            actionTh.textContent = 'Map';
+            headRow.appendChild(actionTh);
+        },
+        
+        /**
+         * Sort by a column, toggling the direction if it is already the sort column
+         * @param {string} key - Column key
+         */
+        sortBy: function(key) {
+            if (this.sortKey === key) {
+                this.sortDirection = this.sortDirection === 'ascending' ? 'descending' : 'ascending';
+            } else {
+                this.sortKey = key;
+                this.sortDirection = 'ascending';
+            }
+            
+            this.page = 0;
+            this.focusIndex = 0;
+            this.renderHeader();
+            this.updateListView();
+            
+            const column = COLUMNS.find(entry => entry.key === key);
+            this.announce(`Sorted by ${column.label}, ${this.sortDirection}`);
+            
+            // Re-rendering the header replaces the button that had focus
+            const headRow = document.getElementById('list-head');
+            const index = COLUMNS.indexOf(column);
+            if (headRow && headRow.children[index]) {
+                headRow.children[index].querySelector('button').focus();
+            }
+        },
+        
+        /**
+         * Render the current page of the table
+         */
+        updateListView: function() {
+            const tbody = document.getElementById('list-rows');
+            if (!tbody) return;
+            
+            const data = this.getSortedData();
+            const pageCount = Math.max(1, Math.ceil(data.length / this.pageSize));
+            this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+            
+            const start = this.page * this.pageSize;
+            const pageData = data.slice(start, start + this.pageSize);
+            this.focusIndex = Math.min(this.focusIndex, Math.max(pageData.length - 1, 0));
+            
+            tbody.innerHTML = '';
+            
+            if (pageData.length === 0) {
+                const tr = document.createElement('tr');
+                const td = document.createElement('td');
+                td.colSpan = COLUMNS.length + 1;
+                td.className = 'list-empty';
+                td.textContent = 'No Spuddies match the current filters.';
+                tr.appendChild(td);
+                tbody.appendChild(tr);
+            }
+            
+            pageData.forEach((buddy, index) => {
+                const tr = document.createElement('tr');
+                const name = this.toPlainText(buddy.WorkbuddyName);
+                
+                COLUMNS.forEach(column => {
+                    // The name cell labels the row for screen readers
+                    const cell = document.createElement(column.key === 'WorkbuddyName' ? 'th' : 'td');
+                    if (column.key === 'WorkbuddyName') cell.scope = 'row';
+                    cell.textContent = this.toPlainText(buddy[column.key]);
+                    tr.appendChild(cell);
+                });
+                
+                const actionTd = document.createElement('td');
+                const showBtn = document.createElement('button');
+                showBtn.type = 'button';
+                showBtn.className = 'list-show-btn';
+                showBtn.textContent = 'Show on map';
+                showBtn.setAttribute('aria-label', `Show ${name} on map`);
+                
+                // Only one button per table is in the tab order; arrow keys move between them
+                showBtn.tabIndex = index === this.focusIndex ? 0 : -1;
+                showBtn.disabled = !buddy.latitude || !buddy.longitude;
+                
+                showBtn.addEventListener('click', () => this.showOnMap(buddy.WorkbuddyName));
+                showBtn.addEventListener('focus', () => {
+                    this.focusIndex = index;
+                });
+                
+                actionTd.appendChild(showBtn);
+                tr.appendChild(actionTd);
+                tbody.appendChild(tr);
+            });
+            
+            this.renderPagination(data.length, pageCount);
+        },
+        
+        /**
+         * Update the page label and buttons
+         * @param {number} total - Number of filtered Spuddies
+         * @param {number} pageCount - Number of pages
+         */
+        renderPagination: function(total, pageCount) {
+            const label = document.getElementById('list-page-label');
+            const prevBtn = document.getElementById('list-prev');
+            const nextBtn = document.getElementById('list-next');
+            
+            if (label) {
+                const first = total === 0 ? 0 : this.page * this.pageSize + 1;
+                const last = Math.min(total, (this.page + 1) * this.pageSize);
+                label.textContent = `Page ${this.page + 1} of ${pageCount} (${first}–${last} of ${total})`;
+            }
+            
+            if (prevBtn) prevBtn.disabled = this.page === 0;
+            if (nextBtn) nextBtn.disabled = this.page >= pageCount - 1;
+        },
+        
+        /**
+         * Change page
+         * @param {number} page - Zero-based page number
+         * @param {boolean} focusRows - Whether to move focus into the table
+         */
+        goToPage: function(page, focusRows) {
+            const pageCount = Math.max(1, Math.ceil(this.getSortedData().length / this.pageSize));
+            const target = Math.min(Math.max(page, 0), pageCount - 1);
+            if (target === this.page) return;
+            
+            this.page = target;
+            this.focusIndex = 0;
+            this.updateListView();
+            this.announce(`Page ${this.page + 1} of ${pageCount}`);
+            
+            if (focusRows) {
+                this.focusRow(0);
+            }
+        },
+        
+        /**
+         * Move focus to a row's "show on map" button
+         * @param {number} index - Row index on the current page
+         */
+        focusRow: function(index) {
+            const buttons = document.querySelectorAll('#list-rows .list-show-btn');
+            if (buttons.length === 0) return;
+            
+            const target = Math.min(Math.max(index, 0), buttons.length - 1);
+            buttons.forEach((button, i) => {
+                button.tabIndex = i === target ? 0 : -1;
+            });
+            
+            this.focusIndex = target;
+            buttons[target].focus();
+        },
+        
+        /**
+         * Handle arrow, Home/End and Page Up/Down keys within the table body
+         * @param {KeyboardEvent} event - Key event
+         */
+        handleKeydown: function(event) {
+            if (!event.target.classList.contains('list-show-btn')) return;
+            
+            const rowCount = document.querySelectorAll('#list-rows .list-show-btn').length;
+            
+            switch (event.key) {
+                case 'ArrowDown':
+                    if (this.focusIndex < rowCount - 1) {
+                        this.focusRow(this.focusIndex + 1);
+                    } else {
+                        this.goToPage(this.page + 1, true);
+                    }
+                    break;
+                case 'ArrowUp':
+                    if (this.focusIndex > 0) {
+                        this.focusRow(this.focusIndex - 1);
+                    } else if (this.page > 0) {
+                        this.goToPage(this.page - 1, true);
+                        this.focusRow(this.pageSize - 1);
+                    }
+                    break;
+                case 'Home':
+                    this.focusRow(0);
+                    break;
+                case 'End':
+                    this.focusRow(rowCount - 1);
+                    break;
+                case 'PageDown':
+                    this.goToPage(this.page + 1, true);
+                    break;
+                case 'PageUp':
+                    this.goToPage(this.page - 1, true);
+                    break;
+                default:
+                    return;
+            }
+            
+            event.preventDefault();
+        },
+        
+        /**
+         * Switch to the map and zoom to a Spuddy
+         * @param {string} buddyName - Name of the Spuddy
+         */
+        showOnMap: function(buddyName) {
+            const mapViz = window.WorkBuddies.mapViz;
+            if (!mapViz || typeof mapViz.showOnMap !== 'function') return;
+            
+            this.announce(`Showing ${this.toPlainText(buddyName)} on the map`);
+            mapViz.showOnMap(buddyName);
+        },
+        
+        /**
+         * Reset to the first page and announce the new count after filters change
+         * @param {number} count - Number of Spuddies matching the filters
+         */
+        onFilterChange: function(count) {
+            this.page = 0;
+            this.focusIndex = 0;
+            
+            if (count === this.lastAnnouncedCount) return;
+            this.lastAnnouncedCount = count;
+            
+            this.announce(`${count} ${count === 1 ? 'Spuddy matches' : 'Spuddies match'} the current filters`);
+        },
+        
+        /**
+         * Read a message out through the live region
+         * @param {string} message - Message to announce
+         */
+        announce: function(message) {
+            const announcer = document.getElementById('results-announcer');
+            if (!announcer) return;
+            
+            // Clearing first makes screen readers repeat an identical message
+            announcer.textContent = '';
+            setTimeout(() => {
+                announcer.textContent = message;
+            }, 50);
+        }
+    };
+    
+    // Add list view to the namespace
+    window.WorkBuddies.listView = listView;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        listView.init();
+    });
+    
+    // Backward compatibility for global functions
+    window.updateListView = function() { listView.updateListView(); };
+    
+})(window);
@@ -15,7 +15,23 @@
     const mapViz = {
         map: null,
         markers: [],
+        markerLayer: null,
+        layersControl: null,
         mapLegend: null,
+        heatLayer: null,
+        heatControls: null,
+        heatOptions: {
+            radius: 25,
+            intensity: 0.6
+        },
+        
+        /**
+         * Check if the Leaflet.markercluster plugin is available
+         * @returns {boolean} - Whether marker clustering is available
+         */
+        isClusteringAvailable: function() {
+            return typeof L !== 'undefined' && typeof L.markerClusterGroup === 'function';
+        },
         
         /**
          * Sanitize a string to prevent XSS
@@ -64,6 +80,32 @@
             return 'hsl(210, 70%, 60%)';
         },
         
+        /**
+         * Get a stored value as plain text for attributes and text nodes
+         * @param {string} value - Stored (HTML-escaped) value
+         * @returns {string} - Plain text
+         */
+        getPlainText: function(value) {
+            const dataExport = window.WorkBuddies.dataExport;
+            return dataExport && typeof dataExport.toPlainValue === 'function' ?
+                String(dataExport.toPlainValue(value)) : String(value || '');
+        },
+        
+        /**
+         * Get the marker label for a buddy, with any search match highlighted
+         * @param {Object} buddy - Buddy data object
+         * @returns {string} - Safe label HTML
+         */
+        getLabelHTML: function(buddy) {
+            const fuzzySearch = window.WorkBuddies.fuzzySearch;
+            if (!fuzzySearch || !fuzzySearch.getQuery()) {
+                return this.sanitizeString(buddy.WorkbuddyName);
+            }
+            
+            const ranges = fuzzySearch.getHighlightRanges(buddy);
+            return fuzzySearch.highlightHTML(this.getPlainText(buddy.WorkbuddyName), ranges.WorkbuddyName);
+        },
+        
         /**
          * Initialize the map
          */
@@ -72,32 +114,26 @@
             if (!this.map) {
                 this.map = L.map('map-container').setView([20, 0], 2);
                 
-                // Add multiple tile layer options
-                const osmLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-                    maxZoom: 18
-                });
+                // Add the layer control, listing every basemap from the registry
+                this.layersControl = L.control.layers().addTo(this.map);
                 
-                const cartoDBLayer = L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', {
-                    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
-                    subdomains: 'abcd',
-                    maxZoom: 19
-                });
+                if (window.WorkBuddies.basemaps && typeof window.WorkBuddies.basemaps.attach === 'function') {
+                    window.WorkBuddies.basemaps.attach(this.map, this.layersControl);
+                }
                 
-                // Add base maps to the map
-                const baseMaps = {
-                    "OpenStreetMap": osmLayer,
-                    "CartoDB Light": cartoDBLayer
-                };
+                // Add scale control
+                L.control.scale().addTo(this.map);
                 
-                // Set default layer
-                osmLayer.addTo(this.map);
+                // Create the layer that holds the potato markers
+                this.createMarkerLayer();
                 
-                // Add layer control
-                L.control.layers(baseMaps).addTo(this.map);
+                // Offer a density heatmap as an overlay
+                this.createHeatLayer();
                 
-                // Add scale control
-                L.control.scale().addTo(this.map);
+                // Add the join-date timeline slider
+                if (window.WorkBuddies.timeline && typeof window.WorkBuddies.timeline.attach === 'function') {
+                    window.WorkBuddies.timeline.attach(this.map);
+                }
                 
                 // Create map legend
                 this.createMapLegend();
@@ -115,6 +151,196 @@
             }, 100);
         },
         
+        /**
+         * Create the layer that holds buddy markers.
+         * Uses a cluster group when Leaflet.markercluster is loaded, so buddies
+         * sharing a city collapse into a single counted badge.
+         */
+        createMarkerLayer: function() {
+            if (this.isClusteringAvailable()) {
+                const self = this;
+                
+                this.markerLayer = L.markerClusterGroup({
+                    showCoverageOnHover: false,
+                    zoomToBoundsOnClick: false,
+                    spiderfyOnMaxZoom: true,
+                    maxClusterRadius: 40,
+                    iconCreateFunction: function(cluster) {
+                        return self.createClusterIcon(cluster);
+                    }
+                });
+                
+                // Fan the group out on click instead of zooming the whole map
+                this.markerLayer.on('clusterclick', function(event) {
+                    event.layer.spiderfy();
+                });
+            } else {
+                console.warn("Leaflet.markercluster not available. Markers will not be grouped.");
+                this.markerLayer = L.layerGroup();
+            }
+            
+            this.markerLayer.addTo(this.map);
+        },
+        
+        /**
+         * Create the density heatmap overlay and its controls
+         */
+        createHeatLayer: function() {
+            if (typeof L.heatLayer !== 'function') {
+                console.warn("Leaflet.heat not available. The density heatmap will not be offered.");
+                return;
+            }
+            
+            this.heatLayer = L.heatLayer([], this.getHeatLayerOptions());
+            
+            if (this.layersControl) {
+                this.layersControl.addOverlay(this.heatLayer, 'Density heatmap');
+            }
+            
+            this.createHeatmapControls();
+            
+            // Only show the radius and intensity sliders while the heatmap is on
+            this.map.on('overlayadd', event => {
+                if (event.layer === this.heatLayer) {
+                    this.heatControls.addTo(this.map);
+                }
+            });
+            
+            this.map.on('overlayremove', event => {
+                if (event.layer === this.heatLayer) {
+                    this.heatControls.remove();
+                }
+            });
+        },
+        
+        /**
+         * Get the Leaflet.heat options for the current radius
+         * @returns {Object} - Heat layer options
+         */
+        getHeatLayerOptions: function() {
+            return {
+                radius: this.heatOptions.radius,
+                blur: Math.round(this.heatOptions.radius * 0.6),
+                maxZoom: 10,
+                max: 1
+            };
+        },
+        
+        /**
+         * Build heatmap points from buddy records
+         * @param {Object[]} data - Buddy records
+         * @returns {Array[]} - Points as [lat, lng, intensity]
+         */
+        getHeatPoints: function(data) {
+            const intensity = this.heatOptions.intensity;
+            
+            return (data || [])
+                .filter(buddy => buddy && buddy.latitude && buddy.longitude &&
+                    !isNaN(buddy.latitude) && !isNaN(buddy.longitude))
+                .map(buddy => [buddy.latitude, buddy.longitude, intensity]);
+        },
+        
+        /**
+         * Replace the heatmap points
+         * @param {Object[]} data - Buddy records to plot
+         */
+        updateHeatLayer: function(data) {
+            if (!this.heatLayer) return;
+            this.heatLayer.setLatLngs(this.getHeatPoints(data));
+        },
+        
+        /**
+         * Change the heatmap radius or intensity
+         * @param {Object} options - New settings
+         * @param {number} [options.radius] - Blob radius in pixels
+         * @param {number} [options.intensity] - Weight of each Spuddy, from 0.1 to 1
+         */
+        setHeatOptions: function(options) {
+            if (options.radius) {
+                this.heatOptions.radius = Math.max(5, Math.min(60, options.radius));
+            }
+            if (options.intensity) {
+                this.heatOptions.intensity = Math.max(0.1, Math.min(1, options.intensity));
+            }
+            
+            if (!this.heatLayer) return;
+            
+            this.heatLayer.setOptions(this.getHeatLayerOptions());
+            this.updateHeatLayer(window.WorkBuddies.data ? window.WorkBuddies.data.filtered : []);
+        },
+        
+        /**
+         * Create the radius and intensity sliders shown with the heatmap
+         */
+        createHeatmapControls: function() {
+            this.heatControls = L.control({position: 'bottomleft'});
+            
+            // Store reference to mapViz
+            const self = this;
+            
+            this.heatControls.onAdd = function() {
+                const div = L.DomUtil.create('div', 'heatmap-controls');
+                
+                const sliders = [
+                    { key: 'radius', label: 'Radius', min: 5, max: 60, step: 1 },
+                    { key: 'intensity', label: 'Intensity', min: 0.1, max: 1, step: 0.05 }
+                ];
+                
+                sliders.forEach(slider => {
+                    const label = L.DomUtil.create('label', '', div);
+                    label.htmlFor = `heatmap-${slider.key}`;
+                    label.textContent = slider.label;
+                    
+                    const input = L.DomUtil.create('input', '', div);
+                    input.type = 'range';
+                    input.id = `heatmap-${slider.key}`;
+                    input.min = slider.min;
+                    input.max = slider.max;
+                    input.step = slider.step;
+                    input.value = self.heatOptions[slider.key];
+                    
+                    input.addEventListener('input', function() {
+                        self.setHeatOptions({ [slider.key]: parseFloat(input.value) });
+                    });
+                });
+                
+                // Keep slider drags from panning the map
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+                
+                return div;
+            };
+        },
+        
+        /**
+         * Create the potato badge icon for a marker cluster
+         * @param {Object} cluster - Leaflet.markercluster cluster
+         * @returns {Object} - Leaflet divIcon
+         */
+        createClusterIcon: function(cluster) {
+            const count = cluster.getChildCount();
+            
+            // Step the badge size up with the number of members
+            let sizeClass = 'small';
+            if (count >= 25) {
+                sizeClass = 'large';
+            } else if (count >= 10) {
+                sizeClass = 'medium';
+            }
+            
+            return L.divIcon({
+                className: `potato-cluster-wrapper potato-cluster-${sizeClass}`,
+                html: `
+                    <div class="potato-cluster">
+                        <div class="potato-cluster-emoji">🥔</div>
+                        <div class="potato-cluster-count">${count}</div>
+                    </div>
+                `,
+                iconSize: [44, 44],
+                iconAnchor: [22, 22]
+            });
+        },
+        
         /**
          * Create a popup content element safely
          * @param {Object} buddy - Buddy data object
@@ -125,23 +351,67 @@
             const container = document.createElement('div');
             container.className = 'buddy-popup';
             
+            // Parts that match the search are highlighted
+            const fuzzySearch = window.WorkBuddies.fuzzySearch;
+            const ranges = fuzzySearch ? fuzzySearch.getHighlightRanges(buddy) : {};
+            
             // Name div
             const nameDiv = document.createElement('div');
             nameDiv.className = 'name';
-            nameDiv.textContent = this.sanitizeString(buddy.WorkbuddyName);
+            if (fuzzySearch) {
+                fuzzySearch.highlightInto(nameDiv, this.getPlainText(buddy.WorkbuddyName), ranges.WorkbuddyName);
+            } else {
+                nameDiv.textContent = this.sanitizeString(buddy.WorkbuddyName);
+            }
             container.appendChild(nameDiv);
             
             // Location div
             const locationDiv = document.createElement('div');
             locationDiv.className = 'location';
             
-            const city = this.sanitizeString(buddy.City) || "Unknown City";
-            const state = this.sanitizeString(buddy.State) || "Unknown State";
-            const country = this.sanitizeString(buddy.Country) || "Unknown Country";
-            
-            locationDiv.textContent = `${city}, ${state}, ${country}`;
+            // Fields removed for privacy are left out rather than shown as unknown
+            const privacyNote = window.WorkBuddies.privacy ? window.WorkBuddies.privacy.describeLevel(buddy) : '';
+            const coarsened = buddy.Visibility === 'country' ? ['City', 'State'] :
+                (buddy.Visibility === 'state' ? ['City'] : []);
+            
+            if (fuzzySearch) {
+                const fallbacks = { City: 'Unknown City', State: 'Unknown State', Country: 'Unknown Country' };
+                Object.keys(fallbacks).filter(field => !coarsened.includes(field)).forEach((field, index) => {
+                    if (index > 0) locationDiv.appendChild(document.createTextNode(', '));
+                    const value = this.getPlainText(buddy[field]);
+                    fuzzySearch.highlightInto(locationDiv, value || fallbacks[field], value ? ranges[field] : null);
+                });
+            } else {
+                const city = this.sanitizeString(buddy.City) || "Unknown City";
+                const state = this.sanitizeString(buddy.State) || "Unknown State";
+                const country = this.sanitizeString(buddy.Country) || "Unknown Country";
+                
+                const parts = { City: city, State: state, Country: country };
+                locationDiv.textContent = Object.keys(parts)
+                    .filter(field => !coarsened.includes(field))
+                    .map(field => parts[field])
+                    .join(', ');
+            }
             container.appendChild(locationDiv);
             
+            // Coarsened and geocoded markers sit at a center rather than an entered location
+            if (privacyNote || buddy.geocoded) {
+                const approximateDiv = document.createElement('div');
+                approximateDiv.className = 'approximate';
+                approximateDiv.textContent = privacyNote || 'Approximate location';
+                container.appendChild(approximateDiv);
+            }
+            
+            // The Spuddy's current local time
+            if (window.WorkBuddies.timeZones) {
+                window.WorkBuddies.timeZones.renderInto(container, buddy);
+            }
+            
+            // Optional profile columns such as pronouns and interests
+            if (window.WorkBuddies.profileSchema) {
+                window.WorkBuddies.profileSchema.renderInto(container, buddy);
+            }
+            
             // Actions div
             const actionsDiv = document.createElement('div');
             actionsDiv.className = 'actions';
@@ -167,23 +437,30 @@
         
         /**
          * Update the map with current data
+         * @param {Object} [options] - Update options
+         * @param {boolean} [options.keepView] - Whether to keep the viewport instead of fitting it to the markers
          */
-        updateMap: function() {
+        updateMap: function(options = {}) {
             const map = this.map;
             if (!map) return;
             
             // Clear existing markers
-            this.markers.forEach(marker => {
-                if (map.hasLayer(marker)) {
-                    map.removeLayer(marker);
-                }
-            });
+            if (this.markerLayer) {
+                this.markerLayer.clearLayers();
+            }
             this.markers = [];
             
             // Get filtered data
             const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered : 
                           (window.workBuddiesData ? window.workBuddiesData.filtered : []);
             
+            // Only plot Spuddies who had joined by the timeline's date
+            const timeline = window.WorkBuddies.timeline;
+            const revealed = timeline ? data.filter(buddy => timeline.isRevealed(buddy)) : data;
+            
+            // Keep the heatmap in step with the markers
+            this.updateHeatLayer(revealed);
+            
             // Update the "No Data" message if needed
             const mapContainer = document.getElementById('map-container');
             let noDataMessage = document.getElementById('map-no-data');
@@ -228,7 +505,7 @@
             }
             
             // Add markers for each buddy
-            data.forEach(buddy => {
+            revealed.forEach(buddy => {
                 // Skip if latitude or longitude is missing or invalid
                 if (
                     !buddy.latitude || 
@@ -250,7 +527,7 @@
                                 <div class="potato-emoji-container" style="background: radial-gradient(circle, ${potatoColor} 60%, rgba(0,0,0,0.2) 100%);">
                                     <div class="potato-emoji">🥔</div>
                                 </div>
-                                <div class="potato-label" style="color: var(--light-text); background-color: rgba(255, 255, 255, 0.85); border: 2px solid ${potatoColor}; text-shadow: 0px 0px 2px #fff;">${this.sanitizeString(buddy.WorkbuddyName)}</div>
+                                <div class="potato-label" style="color: var(--light-text); background-color: rgba(255, 255, 255, 0.85); border: 2px solid ${potatoColor}; text-shadow: 0px 0px 2px #fff;">${this.getLabelHTML(buddy)}</div>
                             </div>
                         `,
                         iconSize: [40, 60],
@@ -259,7 +536,12 @@
                     });
                     
                     // Create marker with custom icon
-                    const marker = L.marker([buddy.latitude, buddy.longitude], { icon: potatoIcon });
+                    // The title gives the marker an accessible name
+                    const marker = L.marker([buddy.latitude, buddy.longitude], {
+                        icon: potatoIcon,
+                        title: this.getPlainText(buddy.WorkbuddyName)
+                    });
+                    marker.buddyName = buddy.WorkbuddyName;
                     
                     // Create popup content
                     const popupContent = this.createPopupContent(buddy);
@@ -267,16 +549,30 @@
                     // Bind popup with content
                     marker.bindPopup(popupContent);
                     
-                    // Add marker directly to map
-                    marker.addTo(map);
+                    // The popup is built now, so bring its local time up to date when it opens
+                    marker.on('popupopen', () => {
+                        if (window.WorkBuddies.timeZones) {
+                            window.WorkBuddies.timeZones.updateTimes(popupContent);
+                        }
+                    });
+                    
                     this.markers.push(marker);
                 } catch (e) {
                     console.error('Error adding marker');
                 }
             });
             
+            // Add all markers in one pass so the cluster group only recalculates once
+            if (this.markerLayer) {
+                if (typeof this.markerLayer.addLayers === 'function') {
+                    this.markerLayer.addLayers(this.markers);
+                } else {
+                    this.markers.forEach(marker => this.markerLayer.addLayer(marker));
+                }
+            }
+            
             // Adjust view to fit all markers if we have any
-            if (this.markers.length > 0) {
+            if (this.markers.length > 0 && !options.keepView) {
                 try {
                     const group = L.featureGroup(this.markers);
                     const bounds = group.getBounds();
@@ -288,6 +584,10 @@
             
             // Update legend
             this.updateMapLegend();
+            
+            if (timeline && typeof timeline.updateLabel === 'function') {
+                timeline.updateLabel();
+            }
         },
         
         /**
@@ -296,9 +596,31 @@
         resetFilters: function() {
             const nameFilter = document.getElementById('name-filter');
             const stateFilter = document.getElementById('state-filter');
+            const countryFilter = document.getElementById('country-filter');
+            const regionFilter = document.getElementById('region-filter');
+            const timeZoneFilter = document.getElementById('timezone-filter');
+            const queryFilter = document.getElementById('query-filter');
+            const joinedFrom = document.getElementById('joined-from-filter');
+            const joinedTo = document.getElementById('joined-to-filter');
             
             if (nameFilter) nameFilter.value = '';
             if (stateFilter) stateFilter.value = 'all';
+            if (countryFilter) countryFilter.value = 'all';
+            if (regionFilter) regionFilter.value = 'all';
+            if (timeZoneFilter) timeZoneFilter.value = 'all';
+            if (queryFilter) queryFilter.value = '';
+            if (joinedFrom) joinedFrom.value = '';
+            if (joinedTo) joinedTo.value = '';
+            
+            // Restore the full state list now that no country is selected
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.populateStateFilter === 'function') {
+                window.WorkBuddies.utils.populateStateFilter();
+            }
+            
+            // Drop the "near me" radius without re-filtering twice
+            if (typeof window.WorkBuddies.nearbySearch?.clear === 'function') {
+                window.WorkBuddies.nearbySearch.clear(false);
+            }
             
             // Use our own filterData if available
             if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
@@ -321,6 +643,16 @@
             const buddy = data.find(b => b.WorkbuddyName === buddyName);
             
             if (buddy && buddy.latitude && buddy.longitude) {
+                // Buddies sharing a location stay clustered at any zoom, so let the
+                // cluster group zoom in and spiderfy until the marker is visible
+                const marker = this.markers.find(m => m.buddyName === buddyName);
+                if (marker && this.markerLayer && typeof this.markerLayer.zoomToShowLayer === 'function') {
+                    this.markerLayer.zoomToShowLayer(marker, function() {
+                        marker.openPopup();
+                    });
+                    return;
+                }
+                
                 // Use flyTo for smoother animation
                 this.map.flyTo([buddy.latitude, buddy.longitude], 12, {
                     duration: 1.5,
@@ -329,6 +661,33 @@
             }
         },
         
+        /**
+         * Switch to the map tab if needed and zoom to a buddy
+         * @param {string} buddyName - The name of the buddy to show
+         */
+        showOnMap: function(buddyName) {
+            const data = window.WorkBuddies.data;
+            const utils = window.WorkBuddies.utils;
+            
+            if (!data || data.activeTab === 'map' || !utils) {
+                this.zoomToSpuddy(buddyName);
+                return;
+            }
+            
+            if (window.WorkBuddies.app && typeof window.WorkBuddies.app.cleanupCurrentTab === 'function') {
+                window.WorkBuddies.app.cleanupCurrentTab();
+            }
+            utils.switchTab('map');
+            
+            // The map needs to measure its now-visible container before zooming
+            setTimeout(() => {
+                if (this.map) {
+                    this.map.invalidateSize();
+                }
+                this.zoomToSpuddy(buddyName);
+            }, 100);
+        },
+        
         /**
          * Create a custom legend for the map
          */
@@ -349,6 +708,12 @@
                         </div>
                         <span>Spuddy Location</span>
                     </div>
+                    <div class="legend-item">
+                        <div class="legend-marker potato-cluster-legend">
+                            <span class="legend-emoji">🥔</span>
+                        </div>
+                        <span>Group of Spuddies (click to expand)</span>
+                    </div>
                     <div class="legend-count">
                         <span id="visible-count">0</span> Spuddies visible
                     </div>
@@ -381,9 +746,15 @@
          * Export the map as PNG
          */
         exportMapAsPNG: function() {
-            // Use html2canvas to capture the map
             if (!this.map) return;
             
+            // Draw the map directly onto a canvas so tiles from other sites cannot taint it
+            if (typeof window.WorkBuddies.mapExport?.exportMap === 'function') {
+                window.WorkBuddies.mapExport.exportMap();
+                return;
+            }
+            
+            // Fall back to capturing the page with html2canvas
             // Check if html2canvas is available
             if (typeof html2canvas === 'undefined') {
                 alert('Export library not loaded. Please refresh the page and try again.');
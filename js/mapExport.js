@@ -0,0 +1,584 @@
+/**
+ * Tile-independent map export for WorkBuddies
+ * Draws the basemap, potato markers, legend, scale bar and attribution straight onto a canvas
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Colors for the offline outline basemap and overlays in each theme
+    const PALETTES = {
+        light: {
+            water: '#DCE9F5',
+            land: '#F7F5F0',
+            border: '#9AA5B1',
+            panel: 'rgba(255, 255, 255, 0.9)',
+            text: '#333333',
+            labelBackground: 'rgba(255, 255, 255, 0.85)',
+            orange: '#FF8C00',
+            countBackground: '#4682B4',
+            countBorder: '#FFFFFF'
+        },
+        dark: {
+            water: '#1B2733',
+            land: '#2A2A2A',
+            border: '#5A6470',
+            panel: 'rgba(42, 42, 42, 0.9)',
+            text: '#F0F0F0',
+            labelBackground: 'rgba(42, 42, 42, 0.9)',
+            orange: '#FF8C00',
+            countBackground: '#61A0D0',
+            countBorder: '#2A2A2A'
+        }
+    };
+    
+    // Tile size of standard slippy-map tiles, in pixels
+    const TILE_SIZE = 256;
+    
+    // Canvas filter matching the .basemap-dimmed style for light tiles in dark mode
+    const DIMMED_FILTER = 'invert(1) hue-rotate(180deg) brightness(0.95) contrast(0.9)';
+    
+    // Font stack for text drawn on the canvas
+    const FONT_FAMILY = '"Segoe UI", Tahoma, Geneva, Verdana, sans-serif';
+    
+    // Map export module
+    const mapExport = {
+        /**
+         * Read the export options chosen in the sidebar
+         * @returns {{scale: number, basemap: string}} - Export options
+         */
+        getOptions: function() {
+            const scale = parseInt(document.getElementById('map-export-scale')?.value, 10);
+            const basemap = document.getElementById('map-export-basemap')?.value;
+            
+            return {
+                scale: [1, 2, 3, 4].includes(scale) ? scale : 2,
+                basemap: basemap === 'local' ? 'local' : 'outline'
+            };
+        },
+        
+        /**
+         * Export the current map view as a PNG
+         * @param {{scale: number, basemap: string}} [options] - Export options (defaults to the sidebar choices)
+         * @returns {Promise} Promise that resolves once the download has started
+         */
+        exportMap: async function(options) {
+            const mapViz = window.WorkBuddies.mapViz;
+            const map = mapViz && mapViz.map;
+            if (!map) return;
+            
+            const { scale, basemap } = Object.assign(this.getOptions(), options || {});
+            const utils = window.WorkBuddies.utils;
+            
+            try {
+                // The map has to be laid out to measure and project it
+                if (window.WorkBuddies.data && window.WorkBuddies.data.activeTab !== 'map') {
+                    utils.switchTab('map');
+                    map.invalidateSize();
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                }
+                
+                const canvas = await this.renderMap(map, scale, basemap);
+                
+                const link = document.createElement('a');
+                link.download = utils.getExportFileName('png', 'map');
+                link.href = canvas.toDataURL('image/png');
+                link.click();
+            } catch (error) {
+                console.error('Error exporting map');
+                alert('Failed to export map. Please try again.');
+            }
+        },
+        
+        /**
+         * Draw the map view onto a new canvas
+         * @param {Object} map - Leaflet map
+         * @param {number} scale - Pixel density multiplier
+         * @param {string} basemap - 'outline' or 'local'
+         * @returns {Promise<HTMLCanvasElement>} Promise that resolves with the finished canvas
+         */
+        renderMap: async function(map, scale, basemap) {
+            const size = map.getSize();
+            const isDark = document.body.classList.contains('dark-mode');
+            const palette = isDark ? PALETTES.dark : PALETTES.light;
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = size.x * scale;
+            canvas.height = size.y * scale;
+            
+            const ctx = canvas.getContext('2d');
+            
+            // Work in map container pixels; the scale only affects resolution
+            ctx.scale(scale, scale);
+            
+            ctx.fillStyle = palette.water;
+            ctx.fillRect(0, 0, size.x, size.y);
+            
+            // The outline also fills any gaps left by missing local tiles
+            const attribution = [];
+            if (await this.drawOutline(ctx, map, palette)) {
+                attribution.push('Outlines: US Census Bureau, Natural Earth');
+            }
+            
+            // Local tiles come from the same basemap registry as the live map
+            const variant = basemap === 'local' && window.WorkBuddies.basemaps ?
+                window.WorkBuddies.basemaps.getVariant('local', isDark) : null;
+            
+            if (variant) {
+                const drawn = await this.drawTiles(ctx, map, scale, variant);
+                if (drawn > 0) {
+                    attribution.unshift(this.toPlainText(String(variant.options.attribution || '').replace(/<[^>]*>/g, '')));
+                } else {
+                    console.warn("No local tiles found. Exporting with the outline basemap.");
+                }
+            }
+            
+            this.drawMarkers(ctx, map, palette);
+            
+            this.drawScaleBar(ctx, map, size, palette);
+            this.drawLegend(ctx, size, window.WorkBuddies.mapViz.markers.length, palette);
+            this.drawAttribution(ctx, size, attribution.join(' | '), palette);
+            
+            return canvas;
+        },
+        
+        /**
+         * Draw the bundled state and province outlines
+         * @param {CanvasRenderingContext2D} ctx - Canvas context
+         * @param {Object} map - Leaflet map
+         * @param {Object} palette - Theme colors
+         * @returns {Promise<boolean>} Promise that resolves with whether the outlines were drawn
+         */
+        drawOutline: async function(ctx, map, palette) {
+            let geoData;
+            try {
+                geoData = await window.WorkBuddies.regions.loadBoundaries();
+            } catch (error) {
+                console.warn("State outlines not available for the map export.");
+                return false;
+            }
+            
+            ctx.fillStyle = palette.land;
+            ctx.strokeStyle = palette.border;
+            ctx.lineWidth = 0.75;
+            ctx.lineJoin = 'round';
+            
+            geoData.features.forEach(feature => {
+                const geometry = feature.geometry;
+                const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] :
+                    geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+                
+                ctx.beginPath();
+                polygons.forEach(rings => rings.forEach(ring => {
+                    ring.forEach(([lng, lat], index) => {
+                        const point = map.latLngToContainerPoint([lat, lng]);
+                        if (index === 0) {
+                            ctx.moveTo(point.x, point.y);
+                        } else {
+                            ctx.lineTo(point.x, point.y);
+                        }
+                    });
+                    ctx.closePath();
+                }));
+                
+                // Even-odd keeps lakes and other holes open
+                ctx.fill('evenodd');
+                ctx.stroke();
+            });
+            
+            return true;
+        },
+        
+        /**
+         * Draw basemap tiles from the local tile directory
+         * Tiles are fetched one zoom level deeper per doubling of resolution so they stay sharp
+         * @param {CanvasRenderingContext2D} ctx - Canvas context
+         * @param {Object} map - Leaflet map
+         * @param {number} scale - Pixel density multiplier
+         * @param {{url: string, options: Object}} variant - Tile settings from the basemap registry
+         * @returns {Promise<number>} Promise that resolves with the number of tiles drawn
+         */
+        drawTiles: async function(ctx, map, scale, variant) {
+            const size = map.getSize();
+            const zoom = map.getZoom();
+            const maxZoom = variant.options.maxZoom || 18;
+            const tileZoom = Math.max(0, Math.min(maxZoom, Math.round(zoom + Math.log2(scale))));
+            
+            // Container pixels per pixel at the tile zoom level
+            const zoomScale = map.getZoomScale(zoom, tileZoom);
+            const topLeft = map.project(map.containerPointToLatLng([0, 0]), tileZoom);
+            const bottomRight = map.project(map.containerPointToLatLng([size.x, size.y]), tileZoom);
+            const tileCount = Math.pow(2, tileZoom);
+            
+            // Dark mode dims light-only tiles the same way the live map does
+            ctx.save();
+            if (variant.options.className === window.WorkBuddies.basemaps.DIMMED_CLASS) {
+                ctx.filter = DIMMED_FILTER;
+            }
+            
+            const requests = [];
+            for (let x = Math.floor(topLeft.x / TILE_SIZE); x <= Math.floor(bottomRight.x / TILE_SIZE); x++) {
+                for (let y = Math.floor(topLeft.y / TILE_SIZE); y <= Math.floor(bottomRight.y / TILE_SIZE); y++) {
+                    if (y < 0 || y >= tileCount) continue;
+                    
+                    // Wrap around the antimeridian
+                    const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+                    const url = variant.url
+                        .replace('{z}', tileZoom)
+                        .replace('{x}', wrappedX)
+                        .replace('{y}', y);
+                    
+                    requests.push(this.loadImage(url).then(image => {
+                        if (!image) return false;
+                        
+                        const left = (x * TILE_SIZE - topLeft.x) * zoomScale;
+                        const top = (y * TILE_SIZE - topLeft.y) * zoomScale;
+                        const tileSize = TILE_SIZE * zoomScale;
+                        
+                        ctx.drawImage(image, left, top, tileSize, tileSize);
+                        return true;
+                    }));
+                }
+            }
+            
+            const results = await Promise.all(requests);
+            ctx.restore();
+            
+            return results.filter(Boolean).length;
+        },
+        
+        /**
+         * Load an image
+         * @param {string} url - Image URL
+         * @returns {Promise<HTMLImageElement|null>} Promise that resolves with the image, or null if it failed
+         */
+        loadImage: function(url) {
+            return new Promise(resolve => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => resolve(null);
+                image.src = url;
+            });
+        },
+        
+        /**
+         * Draw the potato markers and cluster badges as they appear on the map
+         * @param {CanvasRenderingContext2D} ctx - Canvas context
+         * @param {Object} map - Leaflet map
+         * @param {Object} palette - Theme colors
+         */
+        drawMarkers: function(ctx, map, palette) {
+            const mapViz = window.WorkBuddies.mapViz;
+            const layer = mapViz.markerLayer;
+            const bounds = map.getBounds();
+            const clusters = new Set();
+            const singles = [];
+            
+            mapViz.markers.forEach(marker => {
+                if (!bounds.contains(marker.getLatLng())) return;
+                
+                // With clustering, draw whichever badge or marker is showing for this buddy
+                const parent = layer && typeof layer.getVisibleParent === 'function' ?
+                    layer.getVisibleParent(marker) : marker;
+                
+                if (!parent) return;
+                if (parent === marker) {
+                    singles.push(marker);
+                } else {
+                    clusters.add(parent);
+                }
+            });
+            
+            // Draw from the top of the map down so lower markers overlap higher ones, as on screen
+            const byY = (a, b) => a.getLatLng().lat < b.getLatLng().lat ? 1 : -1;
+            
+            singles.sort(byY).forEach(marker => {
+                const point = map.latLngToContainerPoint(marker.getLatLng());
+                this.drawPotato(ctx, point, mapViz.getBuddyColor(marker.buddyName), this.toPlainText(marker.buddyName), palette);
+            });
+            
+            Array.from(clusters).sort(byY).forEach(cluster => {
+                const point = map.latLngToContainerPoint(cluster.getLatLng());
+                this.drawCluster(ctx, point, cluster.getChildCount(), palette);
+            });
+        },
+        
+        /**
+         * Turn a stored (HTML-escaped) value into plain text for the canvas
+         * @param {string} value - Stored value
+         * @returns {string} - Plain text
+         */
+        toPlainText: function(value) {
+            const dataExport = window.WorkBuddies.dataExport;
+            return dataExport && typeof dataExport.toPlainValue === 'function' ?
+                String(dataExport.toPlainValue(value)) : String(value || '');
+        },
+        
+        /**
+         * Draw a rounded rectangle path
+         * @param {CanvasRenderingContext2D} ctx - Canvas context
+         * @param {number} x - Left edge
+         * @param {number} y - Top edge
+         * @param {number} width - Width
+         * @param {number} height - Height
+         * @param {number} radius - Corner radius
+         */
+        roundedRect: function(ctx, x, y, width, height, radius) {
+            ctx.beginPath();
+            ctx.moveTo(x + radius, y);
+            ctx.arcTo(x + width, y, x + width, y + height, radius);
+            ctx.arcTo(x + width, y + height, x, y + height, radius);
+            ctx.arcTo(x, y + height, x, y, radius);
+            ctx.arcTo(x, y, x + width, y, radius);
+            ctx.closePath();
+        },
+        
+        /**
+         * Draw a single potato marker with its name label
+         * Matches the 40x60 marker icon anchored 40px down from its top
+         * @param {CanvasRenderingContext2D} ctx - Canvas context
+         * @param {Object} point - Container point of the marker
+         * @param {string} color - Buddy color
+         * @param {string} name - Buddy name
+         * @param {Object} palette - Theme colors
+         */
+        drawPotato: function(ctx, point, color, name, palette) {
+            const centerX = point.x;
+            const centerY = point.y - 22;
+            
+            // Colored disc with the same radial fade as the marker
+            const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, 18);
+            gradient.addColorStop(0.6, color);
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0.2)');
+            
+            ctx.save();
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+            ctx.shadowBlur = 5;
+            ctx.shadowOffsetY = 2;
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, 18, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+            
+            ctx.font = `22px ${FONT_FAMILY}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('🥔', centerX, centerY);
+            
+            // Name label, truncated like the 100px CSS label
+            ctx.font = `bold 10px ${FONT_FAMILY}`;
+            let label = name;
+            while (label.length > 1 && ctx.measureText(label).width > 88) {
+                label = label.slice(0, -1);
+            }
+            if (label !== name) label = label.slice(0, -1) + '…';
+            
+            const labelWidth = ctx.measureText(label).width + 12;
+            const labelTop = point.y - 2;
+            
+            this.roundedRect(ctx, centerX - labelWidth / 2, labelTop, labelWidth, 16, 8);
+            ctx.fillStyle = palette.labelBackground;
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = color;
+            ctx.stroke();
+            
+            ctx.fillStyle = palette.text;
+            ctx.fillText(label, centerX, labelTop + 8);
+        },
+        
+        /**
+         * Draw a potato cluster badge with its member count
+         * Bigger clusters are scaled up as they are on the map
+         * @param {CanvasRenderingContext2D} ctx - Canvas context
+         * @param {Object} point - Container point of the cluster
+         * @param {number} count - Number of members
+         * @param {Object} palette - Theme colors
+         */
+        drawCluster: function(ctx, point, count, palette) {
+            const size = count >= 25 ? 1.3 : count >= 10 ? 1.15 : 1;
+            
+            ctx.save();
+            ctx.translate(point.x, point.y);
+            ctx.scale(size, size);
+            
+            const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, 22);
+            gradient.addColorStop(0.55, palette.orange);
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0.2)');
+            
+            ctx.save();
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+            ctx.shadowBlur = 5;
+            ctx.shadowOffsetY = 2;
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(0, 0, 22, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+            
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = `24px ${FONT_FAMILY}`;
+            ctx.fillText('🥔', 0, 0);
+            
+            // Count pill overlapping the top-right edge
+            ctx.font = `bold 11px ${FONT_FAMILY}`;
+            const text = String(count);
+            const pillWidth = Math.max(22, ctx.measureText(text).width + 14);
+            const pillLeft = 28 - pillWidth;
+            
+            this.roundedRect(ctx, pillLeft, -28, pillWidth, 22, 11);
+            ctx.fillStyle = palette.countBackground;
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = palette.countBorder;
+            ctx.stroke();
+            
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(text, pillLeft + pillWidth / 2, -17);
+            
+            ctx.restore();
+        },
+        
+        /**
+         * Round a distance down to 1, 2, 3 or 5 times a power of ten
+         * @param {number} value - Distance
+         * @returns {number} - Rounded distance
+         */
+        getRoundNumber: function(value) {
+            const power = Math.pow(10, Math.floor(Math.log10(value)));
+            const ratio = value / power;
+            const step = ratio >= 5 ? 5 : ratio >= 3 ? 3 : ratio >= 2 ? 2 : 1;
+            return power * step;
+        },
+        
+        /**
+         * Draw metric and imperial scale bars in the bottom-left corner
+         * @param {CanvasRenderingContext2D} ctx - Canvas context
+         * @param {Object} map - Leaflet map
+         * @param {Object} size - Map size in container pixels
+         * @param {Object} palette - Theme colors
+         */
+        drawScaleBar: function(ctx, map, size, palette) {
+            const maxWidth = 100;
+            const y = size.y / 2;
+            const meters = map.distance(map.containerPointToLatLng([0, y]), map.containerPointToLatLng([maxWidth, y]));
+            if (!meters) return;
+            
+            const metric = this.getRoundNumber(meters);
+            const metricLabel = metric < 1000 ? `${metric} m` : `${metric / 1000} km`;
+            
+            const feet = meters * 3.2808399;
+            let imperial;
+            let imperialLabel;
+            if (feet > 5280) {
+                const miles = this.getRoundNumber(feet / 5280);
+                imperial = miles * 5280;
+                imperialLabel = `${miles} mi`;
+            } else {
+                imperial = this.getRoundNumber(feet);
+                imperialLabel = `${imperial} ft`;
+            }
+            
+            const bars = [
+                { width: maxWidth * metric / meters, label: metricLabel },
+                { width: maxWidth * imperial / feet, label: imperialLabel }
+            ];
+            
+            ctx.font = `11px ${FONT_FAMILY}`;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            
+            bars.forEach((bar, index) => {
+                const left = 10;
+                const top = size.y - 48 + index * 20;
+                
+                ctx.fillStyle = palette.panel;
+                ctx.fillRect(left, top, bar.width, 16);
+                ctx.strokeStyle = palette.text;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(left, top);
+                ctx.lineTo(left, top + 16);
+                ctx.lineTo(left + bar.width, top + 16);
+                ctx.lineTo(left + bar.width, top);
+                ctx.stroke();
+                
+                ctx.fillStyle = palette.text;
+                ctx.fillText(bar.label, left + 4, top + 9);
+            });
+        },
+        
+        /**
+         * Draw the legend in the bottom-right corner, above the attribution
+         * @param {CanvasRenderingContext2D} ctx - Canvas context
+         * @param {Object} size - Map size in container pixels
+         * @param {number} visibleCount - Number of Spuddies on the map, as the live legend counts them
+         * @param {Object} palette - Theme colors
+         */
+        drawLegend: function(ctx, size, visibleCount, palette) {
+            const width = 190;
+            const height = 92;
+            const left = size.x - width - 10;
+            const top = size.y - height - 28;
+            
+            this.roundedRect(ctx, left, top, width, height, 5);
+            ctx.fillStyle = palette.panel;
+            ctx.fill();
+            
+            ctx.fillStyle = palette.text;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            
+            ctx.font = `bold 13px ${FONT_FAMILY}`;
+            ctx.fillText('WorkBuddies Map', left + 10, top + 16);
+            
+            ctx.font = `16px ${FONT_FAMILY}`;
+            ctx.fillText('🥔', left + 10, top + 38);
+            ctx.font = `11px ${FONT_FAMILY}`;
+            ctx.fillText('Spuddy Location', left + 34, top + 38);
+            
+            ctx.fillStyle = palette.countBackground;
+            ctx.beginPath();
+            ctx.arc(left + 18, top + 58, 9, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = palette.text;
+            ctx.fillText('Group of Spuddies', left + 34, top + 58);
+            
+            ctx.font = `bold 11px ${FONT_FAMILY}`;
+            ctx.fillText(`${visibleCount} Spuddies visible`, left + 10, top + 80);
+        },
+        
+        /**
+         * Draw the attribution line in the bottom-right corner
+         * @param {CanvasRenderingContext2D} ctx - Canvas context
+         * @param {Object} size - Map size in container pixels
+         * @param {string} text - Attribution text
+         * @param {Object} palette - Theme colors
+         */
+        drawAttribution: function(ctx, size, text, palette) {
+            if (!text) return;
+            
+            ctx.font = `10px ${FONT_FAMILY}`;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            
+            const width = ctx.measureText(text).width + 10;
+            ctx.fillStyle = palette.panel;
+            ctx.fillRect(size.x - width, size.y - 16, width, 16);
+            
+            ctx.fillStyle = palette.text;
+            ctx.fillText(text, size.x - 5, size.y - 8);
+        }
+    };
+    
+    // Add map export to the namespace
+    window.WorkBuddies.mapExport = mapExport;
+    
+})(window);
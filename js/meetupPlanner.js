@@ -0,0 +1,609 @@
+/**
+ * Meetup planner for WorkBuddies
+ * Suggests meeting places for a group of buddies chosen by the filters or a lasso on the map
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Kilometres per mile, for converting distances
+    const KM_PER_MILE = 1.609344;
+    
+    // Iteration limits for the median and minimax searches
+    const MEDIAN_ITERATIONS = 200;
+    const MINIMAX_ITERATIONS = 5000;
+    
+    // The median search stops once a step moves the point less than this
+    const CONVERGENCE_KM = 0.001;
+    
+    // Labels and colors for the two suggested points
+    const POINT_STYLES = {
+        median: { label: 'Shortest total travel', color: '#FF8C00' },
+        minimax: { label: 'Shortest longest trip', color: '#4682B4' }
+    };
+    
+    // Meetup planner module
+    const meetupPlanner = {
+        unit: 'mi',
+        lassoRing: null,
+        lassoLayer: null,
+        resultLayer: null,
+        isDrawing: false,
+        
+        /**
+         * Set up the sidebar controls
+         */
+        init: function() {
+            const lassoBtn = document.getElementById('meetup-lasso');
+            const planBtn = document.getElementById('meetup-plan');
+            const clearBtn = document.getElementById('meetup-clear');
+            const unitSelect = document.getElementById('meetup-unit');
+            
+            if (lassoBtn) {
+                lassoBtn.addEventListener('click', () => this.startLasso());
+            }
+            
+            if (planBtn) {
+                planBtn.addEventListener('click', () => this.plan());
+            }
+            
+            if (clearBtn) {
+                clearBtn.addEventListener('click', () => this.clear());
+            }
+            
+            if (unitSelect) {
+                unitSelect.value = this.unit;
+                unitSelect.addEventListener('change', () => {
+                    this.unit = unitSelect.value === 'km' ? 'km' : 'mi';
+                    
+                    // Re-list the distances in the new unit
+                    if (this.resultLayer) {
+                        this.plan();
+                    }
+                });
+            }
+        },
+        
+        /**
+         * Turn a stored (HTML-escaped) value into plain text for display
+         * @param {*} value - Stored value
+         * @returns {string} - Plain text
+         */
+        toPlainText: function(value) {
+            const dataExport = window.WorkBuddies.dataExport;
+            return dataExport && typeof dataExport.toPlainValue === 'function' ?
+                String(dataExport.toPlainValue(value)) : String(value || '');
+        },
+        
+        /**
+         * Get the Leaflet map
+         * @returns {Object|null} - Leaflet map
+         */
+        getMap: function() {
+            return window.WorkBuddies.mapViz?.map || window.map || null;
+        },
+        
+        /**
+         * Get the selected source of attendees
+         * @returns {string} - 'filtered' or 'lasso'
+         */
+        getSource: function() {
+            const checked = document.querySelector('input[name="meetup-source"]:checked');
+            return checked && checked.value === 'lasso' ? 'lasso' : 'filtered';
+        },
+        
+        /**
+         * Get the buddies to plan for: everyone matching the filters, or only those inside the lasso
+         * @returns {Object[]} - Buddies with coordinates
+         */
+        getAttendees: function() {
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered || [] : [];
+            const located = data.filter(buddy => buddy && buddy.latitude && buddy.longitude);
+            
+            if (this.getSource() !== 'lasso') return located;
+            if (!this.lassoRing) return [];
+            
+            const regions = window.WorkBuddies.regions;
+            return located.filter(buddy => regions.isPointInRing(buddy.latitude, buddy.longitude, this.lassoRing));
+        },
+        
+        /**
+         * Get one entry per city in the data, used to snap suggested points to a real place
+         * @returns {Object[]} - Cities as {label, lat, lng}
+         */
+        getCities: function() {
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.raw || [] : [];
+            const cities = new Map();
+            
+            // One entry per city, using the first buddy's coordinates
+            data.forEach(buddy => {
+                if (!buddy || !buddy.City || !buddy.latitude || !buddy.longitude) return;
+                
+                const label = this.toPlainText(buddy.State ? `${buddy.City}, ${buddy.State}` : buddy.City);
+                const key = label.toLowerCase();
+                if (!cities.has(key)) {
+                    cities.set(key, { label, lat: buddy.latitude, lng: buddy.longitude });
+                }
+            });
+            
+            return Array.from(cities.values());
+        },
+        
+        /**
+         * Convert a position to a unit vector
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @returns {number[]} - [x, y, z]
+         */
+        toVector: function(lat, lng) {
+            const phi = lat * Math.PI / 180;
+            const lambda = lng * Math.PI / 180;
+            return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+        },
+        
+        /**
+         * Convert a vector back to a position, projecting it onto the sphere
+         * @param {number[]} vector - [x, y, z]
+         * @returns {{lat: number, lng: number}|null} - Position, or null for a zero vector
+         */
+        fromVector: function([x, y, z]) {
+            if (Math.hypot(x, y, z) < 1e-12) return null;
+            
+            return {
+                lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+                lng: Math.atan2(y, x) * 180 / Math.PI
+            };
+        },
+        
+        /**
+         * Find the geographic median, the point with the smallest total distance to everyone
+         * Uses Weiszfeld's algorithm, re-weighting each position by the inverse of its distance
+         * @param {Object[]} points - Positions as {lat, lng}
+         * @returns {{lat: number, lng: number}} - Median point
+         */
+        findMedian: function(points) {
+            const utils = window.WorkBuddies.utils;
+            const vectors = points.map(point => this.toVector(point.lat, point.lng));
+            
+            // Start from the centroid, or any point if the group surrounds the globe
+            const sum = vectors.reduce((total, v) => total.map((value, i) => value + v[i]), [0, 0, 0]);
+            let current = this.fromVector(sum) || points[0];
+            
+            for (let iteration = 0; iteration < MEDIAN_ITERATIONS; iteration++) {
+                const next = [0, 0, 0];
+                
+                vectors.forEach((v, index) => {
+                    // Keep the weight finite when the estimate sits on a point
+                    const distance = Math.max(utils.haversineDistance(current.lat, current.lng,
+                        points[index].lat, points[index].lng), 1e-6);
+                    next[0] += v[0] / distance;
+                    next[1] += v[1] / distance;
+                    next[2] += v[2] / distance;
+                });
+                
+                const moved = this.fromVector(next);
+                if (!moved) break;
+                
+                const step = utils.haversineDistance(current.lat, current.lng, moved.lat, moved.lng);
+                current = moved;
+                if (step < CONVERGENCE_KM) break;
+            }
+            
+            return current;
+        },
+        
+        /**
+         * Find the minimax point, the point whose farthest attendee is as close as possible
+         * Moves towards the farthest point with a shrinking step (Bădoiu–Clarkson); the direction
+         * of the smallest enclosing ball of the unit vectors is the minimax point on the sphere
+         * @param {Object[]} points - Positions as {lat, lng}
+         * @returns {{lat: number, lng: number}} - Minimax point
+         */
+        findMinimax: function(points) {
+            const vectors = points.map(point => this.toVector(point.lat, point.lng));
+            const center = vectors[0].slice();
+            
+            for (let iteration = 1; iteration <= MINIMAX_ITERATIONS; iteration++) {
+                let farthest = vectors[0];
+                let farthestDistance = -1;
+                
+                vectors.forEach(v => {
+                    const distance = (v[0] - center[0]) ** 2 + (v[1] - center[1]) ** 2 + (v[2] - center[2]) ** 2;
+                    if (distance > farthestDistance) {
+                        farthest = v;
+                        farthestDistance = distance;
+                    }
+                });
+                
+                for (let i = 0; i < 3; i++) {
+                    center[i] += (farthest[i] - center[i]) / (iteration + 1);
+                }
+            }
+            
+            return this.fromVector(center) || points[0];
+        },
+        
+        /**
+         * Find the city in the data closest to a point
+         * @param {{lat: number, lng: number}} point - Position
+         * @param {Object[]} cities - Cities as {label, lat, lng}
+         * @returns {Object|null} - Closest city
+         */
+        snapToCity: function(point, cities) {
+            const utils = window.WorkBuddies.utils;
+            let closest = null;
+            let closestDistance = Infinity;
+            
+            cities.forEach(city => {
+                const distance = utils.haversineDistance(point.lat, point.lng, city.lat, city.lng);
+                if (distance < closestDistance) {
+                    closest = city;
+                    closestDistance = distance;
+                }
+            });
+            
+            return closest;
+        },
+        
+        /**
+         * Summarize how far everyone travels to a place
+         * @param {Object} place - Position as {lat, lng}
+         * @param {Object[]} attendees - Buddies with coordinates
+         * @returns {{total: number, farthest: number, distances: number[]}} - Distances in km
+         */
+        measureTrips: function(place, attendees) {
+            const utils = window.WorkBuddies.utils;
+            const distances = attendees.map(buddy =>
+                utils.haversineDistance(place.lat, place.lng, buddy.latitude, buddy.longitude));
+            
+            return {
+                total: distances.reduce((sum, distance) => sum + distance, 0),
+                farthest: Math.max(...distances),
+                distances
+            };
+        },
+        
+        /**
+         * Compute both meeting points for a group and snap them to cities
+         * @param {Object[]} attendees - Buddies with coordinates
+         * @returns {Object|null} - {median, minimax}, each {point, city, trips}, or null if there are no cities
+         */
+        computePlan: function(attendees) {
+            const cities = this.getCities();
+            if (cities.length === 0) return null;
+            
+            const points = attendees.map(buddy => ({ lat: buddy.latitude, lng: buddy.longitude }));
+            const plan = {};
+            
+            [['median', this.findMedian(points)], ['minimax', this.findMinimax(points)]].forEach(([key, point]) => {
+                const city = this.snapToCity(point, cities);
+                plan[key] = { point, city, trips: this.measureTrips(city, attendees) };
+            });
+            
+            return plan;
+        },
+        
+        /**
+         * Plan a meetup for the selected attendees and show the result
+         */
+        plan: function() {
+            const attendees = this.getAttendees();
+            
+            if (this.getSource() === 'lasso' && !this.lassoRing) {
+                this.showStatus('Draw a lasso around the group on the map first.');
+                return;
+            }
+            
+            if (attendees.length < 2) {
+                this.showStatus('Select at least two Spuddies with a known location.');
+                return;
+            }
+            
+            const plan = this.computePlan(attendees);
+            if (!plan) {
+                this.showStatus('No cities are available to meet in.');
+                return;
+            }
+            
+            this.drawPlan(plan);
+            this.renderResults(plan, attendees);
+        },
+        
+        /**
+         * Format a distance in the selected unit
+         * @param {number} km - Distance in km
+         * @returns {string} - Formatted distance
+         */
+        formatDistance: function(km) {
+            const value = this.unit === 'km' ? km : km / KM_PER_MILE;
+            return `${value.toFixed(value < 10 ? 1 : 0)} ${this.unit}`;
+        },
+        
+        /**
+         * Draw the suggested meeting places on the map
+         * @param {Object} plan - Result of computePlan
+         */
+        drawPlan: function(plan) {
+            const map = this.getMap();
+            if (!map) return;
+            
+            this.removeResultLayer();
+            this.resultLayer = L.layerGroup().addTo(map);
+            
+            Object.keys(POINT_STYLES).forEach(key => {
+                const style = POINT_STYLES[key];
+                const { point, city, trips } = plan[key];
+                
+                // The computed point, joined to the city it was snapped to
+                this.resultLayer.addLayer(L.polyline([[point.lat, point.lng], [city.lat, city.lng]], {
+                    color: style.color,
+                    weight: 2,
+                    dashArray: '4 4',
+                    interactive: false
+                }));
+                this.resultLayer.addLayer(L.circleMarker([point.lat, point.lng], {
+                    radius: 4,
+                    color: style.color,
+                    weight: 2,
+                    fillOpacity: 0,
+                    interactive: false
+                }));
+                
+                const marker = L.circleMarker([city.lat, city.lng], {
+                    radius: 10,
+                    color: '#FFFFFF',
+                    weight: 3,
+                    fillColor: style.color,
+                    fillOpacity: 1,
+                    className: `meetup-marker meetup-marker-${key}`
+                });
+                
+                // Popup text is built from DOM nodes so city names are never parsed as HTML
+                const content = document.createElement('div');
+                const title = document.createElement('strong');
+                title.textContent = `${style.label}: ${city.label}`;
+                const detail = document.createElement('div');
+                detail.textContent = `Longest trip ${this.formatDistance(trips.farthest)}`;
+                content.appendChild(title);
+                content.appendChild(detail);
+                
+                marker.bindPopup(content);
+                this.resultLayer.addLayer(marker);
+            });
+        },
+        
+        /**
+         * List the suggested places and each attendee's distance to them
+         * @param {Object} plan - Result of computePlan
+         * @param {Object[]} attendees - Buddies with coordinates
+         */
+        renderResults: function(plan, attendees) {
+            const summary = document.getElementById('meetup-summary');
+            const results = document.getElementById('meetup-results');
+            
+            if (summary) {
+                summary.innerHTML = '';
+                
+                Object.keys(POINT_STYLES).forEach(key => {
+                    const { point, city, trips } = plan[key];
+                    
+                    const item = document.createElement('li');
+                    item.className = `meetup-choice meetup-choice-${key}`;
+                    
+                    const name = document.createElement('button');
+                    name.type = 'button';
+                    name.className = 'meetup-choice-name';
+                    name.textContent = `${POINT_STYLES[key].label}: ${city.label}`;
+                    name.addEventListener('click', () => this.focusPlace(city));
+                    
+                    const detail = document.createElement('span');
+                    detail.className = 'meetup-choice-detail';
+                    detail.textContent = `Nearest city to ${point.lat.toFixed(2)}, ${point.lng.toFixed(2)} · ` +
+                        `total ${this.formatDistance(trips.total)} · longest trip ${this.formatDistance(trips.farthest)}`;
+                    
+                    item.appendChild(name);
+                    item.appendChild(detail);
+                    summary.appendChild(item);
+                });
+            }
+            
+            if (results) {
+                results.innerHTML = '';
+                
+                // Farthest from the fairest place first, as they are the ones to check with
+                const rows = attendees.map((buddy, index) => ({
+                    buddy,
+                    median: plan.median.trips.distances[index],
+                    minimax: plan.minimax.trips.distances[index]
+                })).sort((a, b) => b.minimax - a.minimax);
+                
+                rows.forEach(row => {
+                    const item = document.createElement('li');
+                    item.className = 'meetup-attendee';
+                    
+                    const name = document.createElement('span');
+                    name.className = 'meetup-attendee-name';
+                    name.textContent = this.toPlainText(row.buddy.WorkbuddyName);
+                    
+                    const detail = document.createElement('span');
+                    detail.className = 'meetup-attendee-detail';
+                    detail.textContent = `${this.formatDistance(row.median)} to ${plan.median.city.label} · ` +
+                        `${this.formatDistance(row.minimax)} to ${plan.minimax.city.label}`;
+                    
+                    item.appendChild(name);
+                    item.appendChild(detail);
+                    results.appendChild(item);
+                });
+            }
+            
+            this.showStatus(`Planned for ${attendees.length} Spuddies`);
+        },
+        
+        /**
+         * Show a suggested place on the map
+         * @param {Object} city - City as {label, lat, lng}
+         */
+        focusPlace: function(city) {
+            const map = this.getMap();
+            if (!map) return;
+            
+            if (window.WorkBuddies.data && window.WorkBuddies.data.activeTab !== 'map' &&
+                window.WorkBuddies.utils && typeof window.WorkBuddies.utils.switchTab === 'function') {
+                window.WorkBuddies.utils.switchTab('map');
+            }
+            
+            map.setView([city.lat, city.lng], Math.max(map.getZoom(), 8));
+        },
+        
+        /**
+         * Let the user draw a freehand lasso on the map to select attendees
+         * Press Escape to cancel
+         */
+        startLasso: function() {
+            const map = this.getMap();
+            if (!map || this.isDrawing) return;
+            
+            // The map has to be visible to draw on
+            if (window.WorkBuddies.data && window.WorkBuddies.data.activeTab !== 'map' &&
+                window.WorkBuddies.utils && typeof window.WorkBuddies.utils.switchTab === 'function') {
+                window.WorkBuddies.utils.switchTab('map');
+            }
+            
+            const lassoRadio = document.querySelector('input[name="meetup-source"][value="lasso"]');
+            if (lassoRadio) lassoRadio.checked = true;
+            
+            this.isDrawing = true;
+            this.removeLasso();
+            map.dragging.disable();
+            map.getContainer().classList.add('meetup-lassoing');
+            this.showStatus('Drag around the Spuddies to include. Press Escape to cancel.');
+            
+            let latlngs = null;
+            
+            const finish = () => {
+                this.isDrawing = false;
+                map.dragging.enable();
+                map.getContainer().classList.remove('meetup-lassoing');
+                map.off('mousedown', onDown);
+                map.off('mousemove', onMove);
+                map.off('mouseup', onUp);
+                document.removeEventListener('keydown', onKey);
+            };
+            
+            const onDown = event => {
+                latlngs = [event.latlng];
+                this.lassoLayer = L.polyline(latlngs, {
+                    className: 'meetup-lasso',
+                    color: '#FF8C00',
+                    weight: 2,
+                    dashArray: '4 4',
+                    interactive: false
+                }).addTo(map);
+            };
+            
+            const onMove = event => {
+                if (!latlngs) return;
+                latlngs.push(event.latlng);
+                this.lassoLayer.setLatLngs(latlngs);
+            };
+            
+            const onUp = () => {
+                if (!latlngs) return;
+                finish();
+                
+                if (latlngs.length < 3) {
+                    this.removeLasso();
+                    this.showStatus('The lasso was too small. Try again.');
+                    return;
+                }
+                
+                // Close the shape and keep it as a [lng, lat] ring for the point-in-polygon test
+                map.removeLayer(this.lassoLayer);
+                this.lassoLayer = L.polygon(latlngs, {
+                    className: 'meetup-lasso',
+                    color: '#FF8C00',
+                    weight: 2,
+                    fillOpacity: 0.08,
+                    interactive: false
+                }).addTo(map);
+                this.lassoRing = latlngs.map(latlng => [latlng.lng, latlng.lat]);
+                
+                this.plan();
+            };
+            
+            const onKey = event => {
+                if (event.key !== 'Escape') return;
+                finish();
+                this.removeLasso();
+                this.showStatus('');
+            };
+            
+            map.on('mousedown', onDown);
+            map.on('mousemove', onMove);
+            map.on('mouseup', onUp);
+            document.addEventListener('keydown', onKey);
+        },
+        
+        /**
+         * Remove the lasso from the map and forget its selection
+         */
+        removeLasso: function() {
+            const map = this.getMap();
+            if (map && this.lassoLayer) {
+                map.removeLayer(this.lassoLayer);
+            }
+            this.lassoLayer = null;
+            this.lassoRing = null;
+        },
+        
+        /**
+         * Remove the suggested places from the map
+         */
+        removeResultLayer: function() {
+            const map = this.getMap();
+            if (map && this.resultLayer) {
+                map.removeLayer(this.resultLayer);
+            }
+            this.resultLayer = null;
+        },
+        
+        /**
+         * Clear the lasso, the suggested places and the results
+         */
+        clear: function() {
+            this.removeLasso();
+            this.removeResultLayer();
+            
+            const summary = document.getElementById('meetup-summary');
+            const results = document.getElementById('meetup-results');
+            if (summary) summary.innerHTML = '';
+            if (results) results.innerHTML = '';
+            this.showStatus('');
+        },
+        
+        /**
+         * Show a status line under the planner controls
+         * @param {string} message - Message to show
+         */
+        showStatus: function(message) {
+            const status = document.getElementById('meetup-status');
+            if (status) {
+                status.textContent = message;
+            }
+        }
+    };
+    
+    // Add meetup planner to the namespace
+    window.WorkBuddies.meetupPlanner = meetupPlanner;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        meetupPlanner.init();
+    });
+    
+})(window);
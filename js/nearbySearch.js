@@ -0,0 +1,401 @@
+/**
+ * "Spuddies near me" radius search for WorkBuddies
+ * Filters buddies to a radius around a city or a point picked on the map
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Kilometres per mile, for converting the radius and distances
+    const KM_PER_MILE = 1.609344;
+    
+    // Nearby search module
+    const nearbySearch = {
+        origins: [],
+        origin: null,
+        radius: 100,
+        unit: 'mi',
+        isActive: false,
+        isPicking: false,
+        circle: null,
+        originMarker: null,
+        
+        /**
+         * Sanitize a string to prevent XSS
+         * @param {string} str - String to sanitize
+         * @returns {string} - Sanitized string
+         */
+        sanitizeString: function(str) {
+            if (!str) return '';
+            
+            // Use WorkBuddies.utils.sanitizeString if available
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.sanitizeString === 'function') {
+                return window.WorkBuddies.utils.sanitizeString(str);
+            }
+            
+            // Use DOMPurify if available
+            if (typeof DOMPurify !== 'undefined') {
+                return DOMPurify.sanitize(str, { ALLOWED_TAGS: [] });
+            }
+            
+            // Basic sanitization fallback
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+        
+        /**
+         * Set up the sidebar controls
+         */
+        init: function() {
+            const originSelect = document.getElementById('nearby-origin');
+            const pickBtn = document.getElementById('nearby-pick');
+            const radiusInput = document.getElementById('nearby-radius');
+            const unitSelect = document.getElementById('nearby-unit');
+            const searchBtn = document.getElementById('nearby-search-btn');
+            const clearBtn = document.getElementById('nearby-clear-btn');
+            
+            if (originSelect) {
+                originSelect.addEventListener('change', () => {
+                    const origin = this.origins[parseInt(originSelect.value, 10)];
+                    if (origin) {
+                        this.setOrigin(origin.lat, origin.lng, origin.label);
+                    }
+                });
+            }
+            
+            if (pickBtn) {
+                pickBtn.addEventListener('click', () => this.startPicking());
+            }
+            
+            if (radiusInput) {
+                radiusInput.value = this.radius;
+            }
+            
+            if (unitSelect) {
+                unitSelect.value = this.unit;
+                unitSelect.addEventListener('change', () => {
+                    this.unit = unitSelect.value === 'km' ? 'km' : 'mi';
+                    
+                    // Re-run so the radius is read in the new unit
+                    if (this.isActive) {
+                        this.search();
+                    }
+                });
+            }
+            
+            if (searchBtn) {
+                searchBtn.addEventListener('click', () => this.search());
+            }
+            
+            if (clearBtn) {
+                clearBtn.addEventListener('click', () => this.clear());
+            }
+            
+            this.populateOrigins();
+        },
+        
+        /**
+         * Populate the origin dropdown with the cities in the data
+         */
+        populateOrigins: function() {
+            const originSelect = document.getElementById('nearby-origin');
+            if (!originSelect) return;
+            
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.raw || [] : [];
+            const seen = new Set();
+            
+            // One entry per city, using the first buddy's coordinates
+            this.origins = [];
+            data.forEach(buddy => {
+                if (!buddy || !buddy.City || !buddy.latitude || !buddy.longitude) return;
+                
+                const label = buddy.State ? `${buddy.City}, ${buddy.State}` : buddy.City;
+                const key = label.toLowerCase();
+                if (seen.has(key)) return;
+                
+                seen.add(key);
+                this.origins.push({ label, lat: buddy.latitude, lng: buddy.longitude });
+            });
+            this.origins.sort((a, b) => a.label.localeCompare(b.label));
+            
+            // Clear existing options (except the placeholder)
+            while (originSelect.options.length > 1) {
+                originSelect.remove(1);
+            }
+            
+            this.origins.forEach((origin, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = this.sanitizeString(origin.label);
+                originSelect.appendChild(option);
+            });
+        },
+        
+        /**
+         * Set the search origin
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @param {string} label - Description of the origin
+         */
+        setOrigin: function(lat, lng, label) {
+            this.origin = { lat, lng, label };
+            
+            const originLabel = document.getElementById('nearby-origin-label');
+            if (originLabel) {
+                originLabel.textContent = `Center: ${this.sanitizeString(label)}`;
+            }
+        },
+        
+        /**
+         * Wait for a click on the map and use it as the origin
+         */
+        startPicking: function() {
+            const map = window.WorkBuddies.mapViz?.map || window.map;
+            if (!map || this.isPicking) return;
+            
+            // The map has to be visible to be clicked
+            if (window.WorkBuddies.data && window.WorkBuddies.data.activeTab !== 'map' &&
+                window.WorkBuddies.utils && typeof window.WorkBuddies.utils.switchTab === 'function') {
+                window.WorkBuddies.utils.switchTab('map');
+            }
+            
+            this.isPicking = true;
+            map.getContainer().classList.add('nearby-picking');
+            
+            const originLabel = document.getElementById('nearby-origin-label');
+            if (originLabel) {
+                originLabel.textContent = 'Click a point on the map...';
+            }
+            
+            map.once('click', event => {
+                this.isPicking = false;
+                map.getContainer().classList.remove('nearby-picking');
+                
+                const originSelect = document.getElementById('nearby-origin');
+                if (originSelect) originSelect.value = '';
+                
+                const lat = event.latlng.lat;
+                const lng = event.latlng.lng;
+                this.setOrigin(lat, lng, `Map point (${lat.toFixed(3)}, ${lng.toFixed(3)})`);
+                this.search();
+            });
+        },
+        
+        /**
+         * Run the radius search and apply it to the filters
+         */
+        search: function() {
+            const radiusInput = document.getElementById('nearby-radius');
+            const radius = parseFloat(radiusInput ? radiusInput.value : this.radius);
+            
+            if (!this.origin) {
+                this.showStatus('Choose a city or pick a point on the map first.');
+                return;
+            }
+            
+            if (isNaN(radius) || radius <= 0) {
+                this.showStatus('Enter a radius greater than zero.');
+                return;
+            }
+            
+            this.radius = radius;
+            this.isActive = true;
+            this.drawCircle();
+            
+            this.applyFilters();
+        },
+        
+        /**
+         * Clear the radius search
+         * @param {boolean} [refilter=true] - Whether to re-run the filters afterwards
+         */
+        clear: function(refilter = true) {
+            this.isActive = false;
+            this.removeCircle();
+            
+            const results = document.getElementById('nearby-results');
+            if (results) results.innerHTML = '';
+            this.showStatus('');
+            
+            if (refilter) {
+                this.applyFilters();
+            }
+        },
+        
+        /**
+         * Re-run the shared filters
+         */
+        applyFilters: function() {
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
+                window.WorkBuddies.utils.filterData();
+            } else if (typeof filterData === 'function') {
+                filterData();
+            }
+        },
+        
+        /**
+         * Get the radius in kilometres
+         * @returns {number} - Radius in km
+         */
+        getRadiusKm: function() {
+            return this.unit === 'km' ? this.radius : this.radius * KM_PER_MILE;
+        },
+        
+        /**
+         * Get a buddy's distance from the origin
+         * @param {Object} buddy - Buddy data object
+         * @returns {number|null} - Distance in km, or null if the buddy has no location
+         */
+        getDistanceKm: function(buddy) {
+            if (!this.origin || !buddy || !buddy.latitude || !buddy.longitude) return null;
+            
+            return window.WorkBuddies.utils.haversineDistance(
+                this.origin.lat, this.origin.lng, buddy.latitude, buddy.longitude);
+        },
+        
+        /**
+         * Check whether a buddy passes the radius filter
+         * Used by utils.filterData; always true while the search is inactive
+         * @param {Object} buddy - Buddy data object
+         * @returns {boolean} - Whether the buddy is inside the radius
+         */
+        matches: function(buddy) {
+            if (!this.isActive) return true;
+            
+            const distance = this.getDistanceKm(buddy);
+            return distance !== null && distance <= this.getRadiusKm();
+        },
+        
+        /**
+         * Format a distance in the selected unit
+         * @param {number} km - Distance in km
+         * @returns {string} - Formatted distance
+         */
+        formatDistance: function(km) {
+            const value = this.unit === 'km' ? km : km / KM_PER_MILE;
+            return `${value.toFixed(value < 10 ? 1 : 0)} ${this.unit}`;
+        },
+        
+        /**
+         * Draw the radius circle and origin marker on the map
+         */
+        drawCircle: function() {
+            const map = window.WorkBuddies.mapViz?.map || window.map;
+            if (!map || !this.origin) return;
+            
+            this.removeCircle();
+            
+            this.circle = L.circle([this.origin.lat, this.origin.lng], {
+                radius: this.getRadiusKm() * 1000,
+                className: 'nearby-circle',
+                color: '#FF8C00',
+                weight: 2,
+                fillOpacity: 0.08,
+                interactive: false
+            }).addTo(map);
+            
+            this.originMarker = L.circleMarker([this.origin.lat, this.origin.lng], {
+                radius: 5,
+                color: '#4682B4',
+                fillColor: '#4682B4',
+                fillOpacity: 1,
+                interactive: false
+            }).addTo(map);
+        },
+        
+        /**
+         * Remove the radius circle and origin marker from the map
+         */
+        removeCircle: function() {
+            const map = window.WorkBuddies.mapViz?.map || window.map;
+            if (!map) return;
+            
+            if (this.circle) {
+                map.removeLayer(this.circle);
+                this.circle = null;
+            }
+            
+            if (this.originMarker) {
+                map.removeLayer(this.originMarker);
+                this.originMarker = null;
+            }
+        },
+        
+        /**
+         * Show a status line under the search controls
+         * @param {string} message - Message to show
+         */
+        showStatus: function(message) {
+            const status = document.getElementById('nearby-status');
+            if (status) {
+                status.textContent = this.sanitizeString(message);
+            }
+        },
+        
+        /**
+         * List the buddies inside the radius, nearest first
+         * Called by utils.filterData after every filter change
+         */
+        renderResults: function() {
+            const results = document.getElementById('nearby-results');
+            if (!results || !this.isActive) return;
+            
+            results.innerHTML = '';
+            
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered || [] : [];
+            const ranked = data
+                .map(buddy => ({ buddy, distance: this.getDistanceKm(buddy) }))
+                .filter(entry => entry.distance !== null)
+                .sort((a, b) => a.distance - b.distance);
+            
+            const radiusText = `${this.radius} ${this.unit}`;
+            this.showStatus(`${ranked.length} ${ranked.length === 1 ? 'Spuddy' : 'Spuddies'} within ${radiusText}`);
+            
+            // Store reference to nearbySearch for event handlers
+            const self = this;
+            
+            ranked.forEach(entry => {
+                const item = document.createElement('li');
+                item.className = 'nearby-result';
+                
+                const nameBtn = document.createElement('button');
+                nameBtn.type = 'button';
+                nameBtn.className = 'nearby-result-name';
+                nameBtn.textContent = self.sanitizeString(entry.buddy.WorkbuddyName);
+                nameBtn.title = 'Show on map';
+                nameBtn.addEventListener('click', function() {
+                    if (window.WorkBuddies.mapViz && typeof window.WorkBuddies.mapViz.zoomToSpuddy === 'function') {
+                        window.WorkBuddies.mapViz.zoomToSpuddy(entry.buddy.WorkbuddyName);
+                    }
+                });
+                
+                const detail = document.createElement('span');
+                detail.className = 'nearby-result-detail';
+                const place = [entry.buddy.City, entry.buddy.State].filter(Boolean).join(', ');
+                detail.textContent = `${self.sanitizeString(place)} · ${self.formatDistance(entry.distance)}`;
+                
+                item.appendChild(nameBtn);
+                item.appendChild(detail);
+                results.appendChild(item);
+            });
+        }
+    };
+    
+    // Add nearby search to the namespace
+    window.WorkBuddies.nearbySearch = nearbySearch;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        nearbySearch.init();
+    });
+    
+})(window);
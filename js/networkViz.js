@@ -0,0 +1,346 @@
+/**
+ * Network visualization for WorkBuddies
+ * Force-directed graph linking Spuddies by shared city, shared state or distance
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Kilometres per mile, for the distance radius control
+    const KM_PER_MILE = 1.609344;
+    
+    // Network visualization module
+    const networkViz = {
+        simulation: null,
+        linkMode: 'city',
+        radiusMiles: 100,
+        isInitialized: false,
+        
+        /**
+         * Check if D3 is available
+         * @returns {boolean} - Whether D3 is available
+         */
+        isD3Available: function() {
+            return typeof d3 !== 'undefined';
+        },
+        
+        /**
+         * Sanitize a string to prevent XSS
+         * @param {string} str - String to sanitize
+         * @returns {string} - Sanitized string
+         */
+        sanitizeString: function(str) {
+            if (!str) return '';
+            
+            // Use WorkBuddies.utils.sanitizeString if available
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.sanitizeString === 'function') {
+                return window.WorkBuddies.utils.sanitizeString(str);
+            }
+            
+            // Use DOMPurify if available
+            if (typeof DOMPurify !== 'undefined') {
+                return DOMPurify.sanitize(str, { ALLOWED_TAGS: [] });
+            }
+            
+            // Basic sanitization fallback
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+        
+        /**
+         * Get color for buddy (safely)
+         * @param {string} name - Buddy name
+         * @returns {string} - Color string
+         */
+        getBuddyColor: function(name) {
+            // Use WorkBuddies.utils.stringToColor if available
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.stringToColor === 'function') {
+                return window.WorkBuddies.utils.stringToColor(name);
+            }
+            
+            // Default color if function not available
+            return 'hsl(210, 70%, 60%)';
+        },
+        
+        /**
+         * Initialize the network visualization controls
+         */
+        initNetworkViz: function() {
+            if (this.isInitialized) return;
+            
+            const modeSelect = document.getElementById('network-link-mode');
+            const radiusInput = document.getElementById('network-radius');
+            const radiusGroup = document.getElementById('network-radius-group');
+            
+            const syncRadiusVisibility = () => {
+                if (radiusGroup) {
+                    radiusGroup.style.display = this.linkMode === 'distance' ? '' : 'none';
+                }
+            };
+            
+            if (modeSelect) {
+                modeSelect.value = this.linkMode;
+                modeSelect.addEventListener('change', () => {
+                    this.linkMode = modeSelect.value;
+                    syncRadiusVisibility();
+                    this.updateNetworkViz();
+                });
+            }
+            
+            if (radiusInput) {
+                radiusInput.value = this.radiusMiles;
+                
+                // Rebuilding the graph on every keystroke would restart the layout repeatedly
+                const applyRadius = () => {
+                    const radius = parseFloat(radiusInput.value);
+                    if (!isNaN(radius) && radius > 0) {
+                        this.radiusMiles = radius;
+                        this.updateNetworkViz();
+                    }
+                };
+                
+                const utils = window.WorkBuddies.utils;
+                radiusInput.addEventListener('input',
+                    utils && typeof utils.debounce === 'function' ? utils.debounce(applyRadius, 300) : applyRadius);
+            }
+            
+            syncRadiusVisibility();
+            this.isInitialized = true;
+        },
+        
+        /**
+         * Check whether two buddies should be linked under the current mode
+         * @param {Object} a - First buddy
+         * @param {Object} b - Second buddy
+         * @returns {boolean} - Whether the buddies are linked
+         */
+        isLinked: function(a, b) {
+            const same = (x, y) => !!x && !!y && String(x).toLowerCase() === String(y).toLowerCase();
+            
+            switch (this.linkMode) {
+                case 'city':
+                    return same(a.City, b.City) && same(a.State, b.State) && same(a.Country, b.Country);
+                case 'state':
+                    return same(a.State, b.State) && same(a.Country, b.Country);
+                case 'distance': {
+                    const utils = window.WorkBuddies.utils;
+                    if (!a.latitude || !a.longitude || !b.latitude || !b.longitude) return false;
+                    const km = utils.haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+                    return km <= this.radiusMiles * KM_PER_MILE;
+                }
+                default:
+                    return false;
+            }
+        },
+        
+        /**
+         * Build graph nodes and links from buddy data
+         * @param {Object[]} data - Buddy data objects
+         * @returns {{nodes: Object[], links: Object[]}} - Graph for d3.forceSimulation
+         */
+        buildGraph: function(data) {
+            // Names are not unique in the roster, so nodes are keyed by position
+            const nodes = data.filter(buddy => buddy && buddy.WorkbuddyName).map((buddy, index) => ({
+                id: index,
+                name: buddy.WorkbuddyName,
+                buddy: buddy
+            }));
+            
+            const links = [];
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    if (this.isLinked(nodes[i].buddy, nodes[j].buddy)) {
+                        links.push({ source: nodes[i], target: nodes[j] });
+                    }
+                }
+            }
+            
+            return { nodes, links };
+        },
+        
+        /**
+         * Update the network visualization with current data
+         */
+        updateNetworkViz: function() {
+            try {
+                const container = document.getElementById('network-container');
+                if (!container) return;
+                
+                if (!this.isD3Available()) {
+                    console.warn("D3 library not available. Network visualization cannot be updated.");
+                    container.textContent = 'The D3 visualization library could not be loaded. Please refresh the page.';
+                    return;
+                }
+                
+                this.initNetworkViz();
+                
+                // Stop any running layout before rebuilding
+                this.cleanupNetworkViz();
+                container.innerHTML = '';
+                
+                // Get filtered data
+                const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered :
+                             (window.workBuddiesData ? window.workBuddiesData.filtered : []);
+                
+                const width = container.clientWidth || 800;
+                const height = container.clientHeight || 500;
+                
+                const svg = d3.select(container)
+                    .append('svg')
+                    .attr('width', '100%')
+                    .attr('height', '100%')
+                    .attr('viewBox', `0 0 ${width} ${height}`)
+                    .attr('class', 'network-svg');
+                
+                if (!data || data.length === 0) {
+                    svg.append('text')
+                        .attr('x', '50%')
+                        .attr('y', '50%')
+                        .attr('text-anchor', 'middle')
+                        .attr('dominant-baseline', 'middle')
+                        .text('No data to display');
+                    return;
+                }
+                
+                const { nodes, links } = this.buildGraph(data);
+                
+                // Zoomable inner group
+                const graph = svg.append('g');
+                svg.call(d3.zoom()
+                    .scaleExtent([0.2, 5])
+                    .on('zoom', event => graph.attr('transform', event.transform)));
+                
+                const link = graph.append('g')
+                    .attr('class', 'network-links')
+                    .selectAll('line')
+                    .data(links)
+                    .enter()
+                    .append('line')
+                    .attr('class', 'network-link');
+                
+                // Store reference to networkViz for event handlers
+                const self = this;
+                
+                const node = graph.append('g')
+                    .attr('class', 'network-nodes')
+                    .selectAll('g')
+                    .data(nodes)
+                    .enter()
+                    .append('g')
+                    .attr('class', 'network-node')
+                    .on('click', function(event, d) {
+                        self.showOnMap(d.name);
+                    })
+                    .call(d3.drag()
+                        .on('start', (event, d) => {
+                            if (!event.active) this.simulation.alphaTarget(0.3).restart();
+                            d.fx = d.x;
+                            d.fy = d.y;
+                        })
+                        .on('drag', (event, d) => {
+                            d.fx = event.x;
+                            d.fy = event.y;
+                        })
+                        .on('end', (event, d) => {
+                            if (!event.active) this.simulation.alphaTarget(0);
+                            d.fx = null;
+                            d.fy = null;
+                        }));
+                
+                node.append('circle')
+                    .attr('r', 8)
+                    .attr('fill', d => this.getBuddyColor(d.name));
+                
+                node.append('text')
+                    .attr('x', 11)
+                    .attr('y', 4)
+                    .style('font-size', '10px')
+                    .text(d => this.sanitizeString(d.name));
+                
+                node.append('title')
+                    .text(d => {
+                        const city = this.sanitizeString(d.buddy.City) || 'Unknown City';
+                        const state = this.sanitizeString(d.buddy.State) || 'Unknown State';
+                        return `${this.sanitizeString(d.name)} (${city}, ${state}) - click to show on map`;
+                    });
+                
+                this.simulation = d3.forceSimulation(nodes)
+                    .force('link', d3.forceLink(links).id(d => d.id).distance(40))
+                    .force('charge', d3.forceManyBody().strength(-60))
+                    .force('center', d3.forceCenter(width / 2, height / 2))
+                    .force('x', d3.forceX(width / 2).strength(0.05))
+                    .force('y', d3.forceY(height / 2).strength(0.05))
+                    .force('collide', d3.forceCollide(14))
+                    .on('tick', () => {
+                        link
+                            .attr('x1', d => d.source.x)
+                            .attr('y1', d => d.source.y)
+                            .attr('x2', d => d.target.x)
+                            .attr('y2', d => d.target.y);
+                        
+                        node.attr('transform', d => `translate(${d.x},${d.y})`);
+                    });
+            } catch (error) {
+                console.error("Error in network visualization");
+            }
+        },
+        
+        /**
+         * Switch to the map and zoom to a buddy
+         * @param {string} buddyName - The name of the buddy to show
+         */
+        showOnMap: function(buddyName) {
+            if (window.WorkBuddies.app && typeof window.WorkBuddies.app.cleanupCurrentTab === 'function') {
+                window.WorkBuddies.app.cleanupCurrentTab();
+            }
+            
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.switchTab === 'function') {
+                window.WorkBuddies.utils.switchTab('map');
+            } else if (typeof switchTab === 'function') {
+                switchTab('map');
+            }
+            
+            // Let the map finish resizing into the now-visible tab before flying
+            setTimeout(() => {
+                const mapViz = window.WorkBuddies.mapViz;
+                if (mapViz && mapViz.map) {
+                    mapViz.map.invalidateSize();
+                }
+                
+                if (mapViz && typeof mapViz.zoomToSpuddy === 'function') {
+                    mapViz.zoomToSpuddy(buddyName);
+                } else if (typeof zoomToSpuddy === 'function') {
+                    zoomToSpuddy(buddyName);
+                }
+            }, 100);
+        },
+        
+        /**
+         * Clean up resources when switching tabs
+         */
+        cleanupNetworkViz: function() {
+            // Stop the force layout so it doesn't keep ticking in a hidden tab
+            if (this.simulation) {
+                this.simulation.stop();
+                this.simulation = null;
+            }
+        }
+    };
+    
+    // Add network visualization to the namespace
+    window.WorkBuddies.networkViz = networkViz;
+    
+    // Backward compatibility for global functions
+    window.initNetworkViz = function() { networkViz.initNetworkViz(); };
+    window.cleanupNetworkViz = function() { networkViz.cleanupNetworkViz(); };
+    
+})(window);
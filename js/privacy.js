@@ -0,0 +1,256 @@
+/**
+ * Location privacy for WorkBuddies
+ * Applies each member's Visibility level before records reach the map, charts, popups or exports
+ *
+ * This only changes what the page shows. The data file is fetched as-is, so anyone can still read
+ * every row of data/data.csv, hidden members and entered coordinates included. To keep a location
+ * private, enter the coarse location (or leave the member out) in the published file itself.
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Visibility levels from least to most precise
+    //   hidden  - left out of every view
+    //   country - shown at the country's center, without city or state
+    //   state   - shown at the state or province's center, without city
+    //   city    - shown at the city's center
+    //   exact   - shown where entered
+    const VISIBILITY_LEVELS = ['hidden', 'country', 'state', 'city', 'exact'];
+    
+    // Level used when a member's Visibility cell is blank or the roster has no such column.
+    // Exact keeps rosters without the column on the map as they were entered.
+    const DEFAULT_VISIBILITY = 'exact';
+    
+    // States with fewer members shown in them than this are too small to hide in,
+    // so state-level members there are shown at country level instead
+    const MIN_GROUP_SIZE = 3;
+    
+    // Cities missing from the gazetteer are shown at the center of a grid cell this many degrees across (about 11 km)
+    const CITY_GRID_DEGREES = 0.1;
+    
+    // Geographic centers used for country-level members
+    const COUNTRY_CENTERS = {
+        US: { lat: 39.83, lng: -98.58 },
+        CA: { lat: 56.13, lng: -106.35 }
+    };
+    
+    // Location fields kept at each level
+    const LEVEL_FIELDS = {
+        country: ['Country'],
+        state: ['State', 'Country'],
+        city: ['City', 'State', 'Country'],
+        exact: ['City', 'State', 'Country']
+    };
+    
+    // Privacy module
+    const privacy = {
+        VISIBILITY_LEVELS: VISIBILITY_LEVELS,
+        DEFAULT_VISIBILITY: DEFAULT_VISIBILITY,
+        MIN_GROUP_SIZE: MIN_GROUP_SIZE,
+        
+        /**
+         * Get the visibility level a record asks for
+         * @param {Object} buddy - Buddy data object
+         * @returns {string} - One of VISIBILITY_LEVELS
+         */
+        getLevel: function(buddy) {
+            const level = buddy && buddy.Visibility;
+            return VISIBILITY_LEVELS.includes(level) ? level : DEFAULT_VISIBILITY;
+        },
+        
+        /**
+         * Apply every record's visibility level to loaded data
+         * Hidden members are removed, and other members' locations are coarsened to their level.
+         * Run once per load, after geocoding and validation, so no view shows the entered coordinates.
+         * The published data file is not changed (see the note at the top of this file).
+         * @param {Object[]} data - Normalized buddy records (updated in place)
+         * @param {Object} [report] - Normalization report, whose row list is kept in step with the records
+         * @param {Object[]} [others] - Records already loaded, counted towards state group sizes
+         * @returns {Promise<number>} Promise that resolves with the number of hidden members removed
+         */
+        apply: async function(data, report, others = []) {
+            // State centers need the outlines; without them state-level members fall back to country level
+            const regions = window.WorkBuddies.regions;
+            if (regions && typeof regions.loadBoundaries === 'function') {
+                try {
+                    await regions.loadBoundaries();
+                } catch (error) {
+                    console.warn("State outlines not available. State-level locations will be shown by country.");
+                }
+            }
+            
+            const rows = report && Array.isArray(report.rows) && report.rows.length === data.length ? report.rows : null;
+            let removed = 0;
+            
+            for (let index = data.length - 1; index >= 0; index--) {
+                if (data[index] && this.getLevel(data[index]) === 'hidden') {
+                    data.splice(index, 1);
+                    if (rows) rows.splice(index, 1);
+                    removed++;
+                }
+            }
+            
+            const stateCounts = this.countByState(data.concat(others));
+            
+            data.forEach(buddy => {
+                if (!buddy) return;
+                
+                let level = this.getLevel(buddy);
+                if (level === 'state' && (stateCounts[this.getStateKey(buddy)] || 0) < MIN_GROUP_SIZE) {
+                    level = 'country';
+                }
+                
+                this.coarsen(buddy, level);
+            });
+            
+            if (report && rows) {
+                report.kept = data.length;
+            }
+            
+            return removed;
+        },
+        
+        /**
+         * Count the members that will be shown within each state
+         * @param {Object[]} data - Buddy records
+         * @returns {Object} - Counts keyed by getStateKey
+         */
+        countByState: function(data) {
+            const counts = {};
+            
+            data.forEach(buddy => {
+                if (!buddy || !buddy.State) return;
+                
+                const level = this.getLevel(buddy);
+                if (level === 'hidden' || level === 'country') return;
+                
+                const key = this.getStateKey(buddy);
+                counts[key] = (counts[key] || 0) + 1;
+            });
+            
+            return counts;
+        },
+        
+        /**
+         * Build the key a record's state is counted under
+         * @param {Object} buddy - Buddy data object
+         * @returns {string} - Country and state, such as "US|NC"
+         */
+        getStateKey: function(buddy) {
+            return `${buddy.Country || ''}|${buddy.State || ''}`;
+        },
+        
+        /**
+         * Move a record to its level's location and clear the fields finer than it
+         * @param {Object} buddy - Buddy data object (updated in place)
+         * @param {string} level - Level to show the record at
+         */
+        coarsen: function(buddy, level) {
+            let center = null;
+            
+            if (level === 'state') {
+                center = this.getStateCenter(buddy);
+                
+                // States without an outline cannot be placed, so show them by country
+                if (!center) {
+                    level = 'country';
+                }
+            }
+            
+            if (level === 'country') {
+                center = COUNTRY_CENTERS[buddy.Country] || null;
+            } else if (level === 'city') {
+                center = this.getCityCenter(buddy);
+            }
+            
+            if (level !== 'exact') {
+                ['City', 'State'].forEach(field => {
+                    if (!LEVEL_FIELDS[level].includes(field)) {
+                        buddy[field] = '';
+                    }
+                });
+                
+                // Countries without a known center are left off the map rather than shown where entered
+                buddy.latitude = center ? center.lat : 0;
+                buddy.longitude = center ? center.lng : 0;
+            }
+            
+            // Rosters without the column keep their columns, so exports match the source
+            if (level !== 'exact' || 'Visibility' in buddy) {
+                buddy.Visibility = level;
+            }
+        },
+        
+        /**
+         * Find the center of a record's state or province
+         * @param {Object} buddy - Buddy data object
+         * @returns {{lat: number, lng: number}|null} - Center, or null if the state has no outline
+         */
+        getStateCenter: function(buddy) {
+            const regions = window.WorkBuddies.regions;
+            if (!buddy.State || !regions || typeof regions.getBoundary !== 'function') return null;
+            
+            return regions.getCenter(regions.getBoundary(buddy.State, buddy.Country));
+        },
+        
+        /**
+         * Find where to show a city-level record
+         * Uses the gazetteer's city center, or the center of the grid cell around the entered point if the city is unknown
+         * @param {Object} buddy - Buddy data object
+         * @returns {{lat: number, lng: number}|null} - Location, or null if the record has no coordinates
+         */
+        getCityCenter: function(buddy) {
+            const geocoder = window.WorkBuddies.geocoder;
+            const place = geocoder && geocoder.isLoaded() ?
+                geocoder.resolvePlace(geocoder.lookup(buddy.City, buddy.State, buddy.Country)) : null;
+            
+            if (place) {
+                return { lat: place.lat, lng: place.lng };
+            }
+            
+            if (!buddy.latitude || !buddy.longitude) return null;
+            
+            return this.snapToGrid(buddy.latitude, buddy.longitude);
+        },
+        
+        /**
+         * Move a point to the center of the grid cell it falls in
+         * Every point in a cell lands on the same spot, so the entered point cannot be worked back out
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @returns {{lat: number, lng: number}} - Cell center
+         */
+        snapToGrid: function(lat, lng) {
+            const snap = value => Math.round((Math.floor(value / CITY_GRID_DEGREES) + 0.5) * CITY_GRID_DEGREES * 1e5) / 1e5;
+            return { lat: snap(lat), lng: snap(lng) };
+        },
+        
+        /**
+         * Describe how precisely a record is shown, for its popup
+         * @param {Object} buddy - Buddy data object
+         * @returns {string} - Description, or an empty string for exact locations
+         */
+        describeLevel: function(buddy) {
+            switch (buddy && buddy.Visibility) {
+                case 'country':
+                    return 'Location shown by country only';
+                case 'state':
+                    return 'Location shown by state or province only';
+                case 'city':
+                    return 'Location shown at the city center';
+                default:
+                    return '';
+            }
+        }
+    };
+    
+    // Add privacy to the namespace
+    window.WorkBuddies.privacy = privacy;
+    
+})(window);
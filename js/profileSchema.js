@@ -0,0 +1,218 @@
+/**
+ * Member profile fields for WorkBuddies
+ * Declares the optional roster columns shown in map popups, with validation and safe rendering
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Optional profile columns, in popup order. Column names are matched case-insensitively
+    // against the key and aliases; any other column is ignored.
+    //   type    - text, list, timezone or handle
+    //   display - inline (label and value on one line), block (value on its own line) or tags
+    const PROFILE_FIELDS = [
+        {
+            key: 'Pronouns',
+            label: 'Pronouns',
+            aliases: ['pronoun'],
+            type: 'text',
+            display: 'inline',
+            maxLength: 30
+        },
+        {
+            key: 'Timezone',
+            label: 'Time zone',
+            aliases: ['time zone', 'tz'],
+            type: 'timezone',
+            display: 'inline'
+        },
+        {
+            key: 'Contact',
+            label: 'Contact',
+            aliases: ['contact handle', 'preferred contact', 'handle'],
+            type: 'handle',
+            display: 'inline',
+            maxLength: 60
+        },
+        {
+            key: 'Interests',
+            label: 'Interests',
+            aliases: ['interest', 'hobbies'],
+            type: 'list',
+            display: 'tags',
+            maxItems: 8,
+            maxLength: 30
+        },
+        {
+            key: 'Bio',
+            label: 'About',
+            aliases: ['about', 'short bio'],
+            type: 'text',
+            display: 'block',
+            maxLength: 280
+        }
+    ];
+    
+    // Characters allowed in a contact handle, such as @name, name#1234 or name:server.org
+    const HANDLE_PATTERN = /^@?[\p{L}\p{N}._#:+-]+$/u;
+    
+    // Separators between items in a list column (commas need the cell to be quoted in CSV)
+    const LIST_SEPARATOR = /[;,|]/;
+    
+    // Profile schema module
+    const profileSchema = {
+        PROFILE_FIELDS: PROFILE_FIELDS,
+        
+        /**
+         * Turn a stored (HTML-escaped) value into plain text
+         * @param {*} value - Stored value
+         * @returns {string} - Plain text
+         */
+        toPlainText: function(value) {
+            const dataExport = window.WorkBuddies.dataExport;
+            return dataExport && typeof dataExport.toPlainValue === 'function' ?
+                String(dataExport.toPlainValue(value)) : String(value || '');
+        },
+        
+        /**
+         * Find a profile field's raw value on a record
+         * @param {Object} buddy - Buddy data object
+         * @param {Object} field - Field from PROFILE_FIELDS
+         * @returns {string} - Plain text value, or an empty string if the column is missing or blank
+         */
+        getRawValue: function(buddy, field) {
+            const names = [field.key.toLowerCase()].concat(field.aliases);
+            const column = Object.keys(buddy || {}).find(key => names.includes(key.trim().toLowerCase()));
+            return column ? this.toPlainText(buddy[column]).trim() : '';
+        },
+        
+        /**
+         * Check and clean one field value
+         * @param {Object} field - Field from PROFILE_FIELDS
+         * @param {string} text - Plain text value
+         * @returns {{value: (string|string[])}|{error: string}} - Clean value, or why it was rejected
+         */
+        validateValue: function(field, text) {
+            switch (field.type) {
+                case 'list': {
+                    const items = text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+                    const tooLong = items.find(item => item.length > field.maxLength);
+                    
+                    if (tooLong) {
+                        return { error: `"${tooLong.slice(0, 20)}…" is longer than ${field.maxLength} characters` };
+                    }
+                    if (items.length > field.maxItems) {
+                        return { error: `Lists ${items.length} items; at most ${field.maxItems} are allowed` };
+                    }
+                    
+                    // Compare case-insensitively so "Art; art" shows one tag
+                    const seen = new Set();
+                    return {
+                        value: items.filter(item => {
+                            const key = item.toLowerCase();
+                            if (seen.has(key)) return false;
+                            seen.add(key);
+                            return true;
+                        })
+                    };
+                }
+                case 'timezone':
+                    try {
+                        // Throws a RangeError for names the browser does not know
+                        const zone = new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+                        return { value: zone };
+                    } catch (error) {
+                        return { error: `"${text}" is not a recognized time zone (use a name like America/New_York)` };
+                    }
+                case 'handle':
+                    if (text.length > field.maxLength) {
+                        return { error: `Longer than ${field.maxLength} characters` };
+                    }
+                    if (!HANDLE_PATTERN.test(text)) {
+                        return { error: 'Can only contain letters, numbers and @ . _ # : + -' };
+                    }
+                    return { value: text };
+                default:
+                    if (text.length > field.maxLength) {
+                        return { error: `Longer than ${field.maxLength} characters` };
+                    }
+                    return { value: text.replace(/\s+/g, ' ') };
+            }
+        },
+        
+        /**
+         * Read a record's profile fields
+         * Problems are returned rather than thrown, and the affected field is left out
+         * @param {Object} buddy - Buddy data object
+         * @returns {{fields: Object[], errors: Object[]}} - Fields as {field, value} in display order,
+         *     and errors as {key, label, message}
+         */
+        parse: function(buddy) {
+            const fields = [];
+            const errors = [];
+            
+            PROFILE_FIELDS.forEach(field => {
+                const text = this.getRawValue(buddy, field);
+                if (!text) return;
+                
+                const result = this.validateValue(field, text);
+                if (result.error) {
+                    errors.push({ key: field.key, label: field.label, message: result.error });
+                } else if (result.value.length > 0) {
+                    fields.push({ field, value: result.value });
+                }
+            });
+            
+            return { fields, errors };
+        },
+        
+        /**
+         * Add a record's profile fields to a popup
+         * Values are set as text, never parsed as HTML
+         * @param {HTMLElement} container - Popup element
+         * @param {Object} buddy - Buddy data object
+         */
+        renderInto: function(container, buddy) {
+            const { fields } = this.parse(buddy);
+            if (fields.length === 0) return;
+            
+            const list = document.createElement('dl');
+            list.className = 'profile-fields';
+            
+            fields.forEach(({ field, value }) => {
+                const term = document.createElement('dt');
+                term.textContent = field.label;
+                
+                const detail = document.createElement('dd');
+                
+                if (field.display === 'tags') {
+                    value.forEach(item => {
+                        const tag = document.createElement('span');
+                        tag.className = 'profile-tag';
+                        tag.textContent = item;
+                        detail.appendChild(tag);
+                    });
+                } else {
+                    detail.textContent = value;
+                }
+                
+                const row = document.createElement('div');
+                row.className = `profile-field profile-field-${field.display}`;
+                row.appendChild(term);
+                row.appendChild(detail);
+                list.appendChild(row);
+            });
+            
+            container.appendChild(list);
+        }
+    };
+    
+    // Add profile schema to the namespace
+    window.WorkBuddies.profileSchema = profileSchema;
+    
+})(window);
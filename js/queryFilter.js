@@ -0,0 +1,345 @@
+/**
+ * Advanced query filter for WorkBuddies
+ * Parses terms like `state:NC,VA country:US -city:"new bern"` into a filter predicate shown as removable chips
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Query field names, including aliases, mapped to the field they filter
+    const FIELD_ALIASES = {
+        name: 'name',
+        buddy: 'name',
+        city: 'city',
+        town: 'city',
+        state: 'state',
+        province: 'state',
+        country: 'country'
+    };
+    
+    // Chip labels for each field
+    const FIELD_LABELS = {
+        any: 'Any field',
+        name: 'Name',
+        city: 'City',
+        state: 'State/Province',
+        country: 'Country'
+    };
+    
+    // Query filter module
+    const queryFilter = {
+        FIELD_ALIASES: FIELD_ALIASES,
+        lastQuery: null,
+        lastParsed: null,
+        
+        /**
+         * Set up the query input
+         */
+        init: function() {
+            const input = document.getElementById('query-filter');
+            if (!input) return;
+            
+            const utils = window.WorkBuddies.utils;
+            const applyFilter = () => {
+                if (utils && typeof utils.filterData === 'function') {
+                    utils.filterData();
+                }
+            };
+            
+            input.addEventListener('input',
+                utils && typeof utils.debounce === 'function' ? utils.debounce(applyFilter, 300) : applyFilter);
+        },
+        
+        /**
+         * Turn a stored (HTML-escaped) value into plain text
+         * @param {*} value - Stored value
+         * @returns {string} - Plain text
+         */
+        toPlainText: function(value) {
+            const dataExport = window.WorkBuddies.dataExport;
+            return dataExport && typeof dataExport.toPlainValue === 'function' ?
+                String(dataExport.toPlainValue(value)) : String(value || '');
+        },
+        
+        /**
+         * Parse a query into terms
+         * Terms are separated by spaces; all of them must match. A term is `value` or `field:value`,
+         * optionally prefixed with "-" to exclude matches. Commas separate alternatives and
+         * double quotes keep spaces in a value.
+         * @param {string} query - Query text
+         * @returns {{terms: Object[], errors: Object[]}} - Terms as {field, values, negate, text}
+         *     and errors as {column, message}
+         */
+        parse: function(query) {
+            const text = String(query || '');
+            const terms = [];
+            const errors = [];
+            const isSpace = char => /\s/.test(char);
+            let pos = 0;
+            
+            const fail = (at, message) => {
+                errors.push({ column: at + 1, message });
+            };
+            
+            while (pos < text.length) {
+                if (isSpace(text[pos])) {
+                    pos++;
+                    continue;
+                }
+                
+                const start = pos;
+                let negate = false;
+                
+                if (text[pos] === '-') {
+                    negate = true;
+                    pos++;
+                    if (pos >= text.length || isSpace(text[pos])) {
+                        fail(start, 'A "-" must be followed by a term to exclude');
+                        continue;
+                    }
+                }
+                
+                // A field name is letters followed by a colon
+                let field = 'any';
+                const fieldMatch = /^([a-z]+):/i.exec(text.slice(pos));
+                if (fieldMatch) {
+                    const name = fieldMatch[1].toLowerCase();
+                    field = FIELD_ALIASES[name];
+                    if (!field) {
+                        fail(pos, `Unknown field "${fieldMatch[1]}". Use name, city, state or country`);
+                    }
+                    pos += fieldMatch[0].length;
+                }
+                
+                const values = [];
+                let valid = !!field;
+                
+                while (pos <= text.length) {
+                    let value;
+                    
+                    if (text[pos] === '"') {
+                        const close = text.indexOf('"', pos + 1);
+                        if (close === -1) {
+                            fail(pos, 'Missing closing quote');
+                            pos = text.length;
+                            valid = false;
+                            break;
+                        }
+                        value = text.slice(pos + 1, close);
+                        pos = close + 1;
+                    } else {
+                        const valueStart = pos;
+                        while (pos < text.length && !isSpace(text[pos]) && text[pos] !== ',') {
+                            pos++;
+                        }
+                        value = text.slice(valueStart, pos);
+                    }
+                    
+                    if (!value.trim()) {
+                        fail(pos, fieldMatch && values.length === 0 ?
+                            `"${fieldMatch[0]}" needs a value` : 'Empty value in a comma list');
+                        valid = false;
+                    } else {
+                        values.push(value.trim());
+                    }
+                    
+                    if (text[pos] !== ',') break;
+                    pos++;
+                }
+                
+                // Skip to the end of a malformed term so one mistake gives one error
+                if (pos < text.length && !isSpace(text[pos])) {
+                    if (valid) fail(pos, 'Add a space between terms');
+                    valid = false;
+                    while (pos < text.length && !isSpace(text[pos])) pos++;
+                }
+                
+                if (valid && values.length > 0) {
+                    terms.push({ field, values, negate, text: text.slice(start, pos) });
+                }
+            }
+            
+            return { terms, errors };
+        },
+        
+        /**
+         * Check whether a buddy matches one value of a field
+         * @param {Object} buddy - Buddy data object
+         * @param {string} field - Query field
+         * @param {string} value - Value to match
+         * @returns {boolean} - Whether it matches
+         */
+        matchesValue: function(buddy, field, value) {
+            const wanted = value.toLowerCase();
+            const contains = key => this.toPlainText(buddy[key]).toLowerCase().includes(wanted);
+            
+            // States and countries match by code or full name
+            const isState = () => {
+                const subdivisions = window.WorkBuddies.dataNormalizer?.SUBDIVISIONS;
+                const stateName = subdivisions && subdivisions[buddy.Country] ? subdivisions[buddy.Country][buddy.State] : '';
+                return String(buddy.State || '').toLowerCase() === wanted || String(stateName || '').toLowerCase() === wanted;
+            };
+            
+            const isCountry = () => {
+                const regions = window.WorkBuddies.regions;
+                const countryName = regions && typeof regions.getCountryName === 'function' ?
+                    regions.getCountryName(buddy.Country) : '';
+                return String(buddy.Country || '').toLowerCase() === wanted || String(countryName || '').toLowerCase() === wanted;
+            };
+            
+            switch (field) {
+                case 'name':
+                    return contains('WorkbuddyName');
+                case 'city':
+                    return contains('City');
+                case 'state':
+                    return isState();
+                case 'country':
+                    return isCountry();
+                default:
+                    return contains('WorkbuddyName') || contains('City') || isState() || isCountry();
+            }
+        },
+        
+        /**
+         * Check whether a buddy matches every term
+         * @param {Object} buddy - Buddy data object
+         * @param {Object[]} terms - Parsed terms
+         * @returns {boolean} - Whether it matches
+         */
+        matchesTerms: function(buddy, terms) {
+            return terms.every(term => {
+                const found = term.values.some(value => this.matchesValue(buddy, term.field, value));
+                return term.negate ? !found : found;
+            });
+        },
+        
+        /**
+         * Parse the query input, refresh the chips and errors, and build a predicate
+         * @returns {Function|null} - Predicate taking a buddy, or null when there is no valid query
+         */
+        buildPredicate: function() {
+            const query = document.getElementById('query-filter')?.value || '';
+            
+            if (query !== this.lastQuery) {
+                this.lastQuery = query;
+                this.lastParsed = this.parse(query);
+                this.render(this.lastParsed);
+            }
+            
+            const { terms, errors } = this.lastParsed;
+            
+            // A query with mistakes is not applied, so half-typed terms don't hide everyone
+            if (errors.length > 0 || terms.length === 0) return null;
+            
+            return buddy => this.matchesTerms(buddy, terms);
+        },
+        
+        /**
+         * Describe a term for its chip
+         * @param {Object} term - Parsed term
+         * @returns {string} - Description
+         */
+        describeTerm: function(term) {
+            const exact = term.field === 'state' || term.field === 'country';
+            const verb = exact ? (term.negate ? 'is not' : 'is') : (term.negate ? 'does not contain' : 'contains');
+            const values = term.values.map(value => `"${value}"`).join(' or ');
+            return `${FIELD_LABELS[term.field]} ${verb} ${values}`;
+        },
+        
+        /**
+         * Show the parsed terms as chips and any mistakes as inline errors
+         * @param {{terms: Object[], errors: Object[]}} parsed - Parse result
+         */
+        render: function(parsed) {
+            const input = document.getElementById('query-filter');
+            const errorList = document.getElementById('query-filter-errors');
+            const chips = document.getElementById('query-filter-chips');
+            
+            if (errorList) {
+                errorList.innerHTML = '';
+                parsed.errors.forEach(error => {
+                    const item = document.createElement('li');
+                    item.textContent = `Column ${error.column}: ${error.message}`;
+                    errorList.appendChild(item);
+                });
+                errorList.hidden = parsed.errors.length === 0;
+            }
+            
+            if (input) {
+                input.setAttribute('aria-invalid', parsed.errors.length > 0 ? 'true' : 'false');
+            }
+            
+            if (!chips) return;
+            
+            chips.innerHTML = '';
+            
+            // Chips only describe a query that is being applied
+            if (parsed.errors.length > 0) return;
+            
+            parsed.terms.forEach((term, index) => {
+                const description = this.describeTerm(term);
+                
+                const chip = document.createElement('li');
+                chip.className = `query-chip${term.negate ? ' query-chip-negated' : ''}`;
+                
+                const label = document.createElement('span');
+                label.textContent = description;
+                
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'query-chip-remove';
+                removeBtn.innerHTML = '&times;';
+                removeBtn.setAttribute('aria-label', `Remove filter: ${description}`);
+                removeBtn.addEventListener('click', () => this.removeTerm(index));
+                
+                chip.appendChild(label);
+                chip.appendChild(removeBtn);
+                chips.appendChild(chip);
+            });
+        },
+        
+        /**
+         * Remove one term from the query and re-filter
+         * @param {number} index - Term index
+         */
+        removeTerm: function(index) {
+            const input = document.getElementById('query-filter');
+            if (!input || !this.lastParsed) return;
+            
+            input.value = this.lastParsed.terms
+                .filter((_, i) => i !== index)
+                .map(term => term.text)
+                .join(' ');
+            
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
+                window.WorkBuddies.utils.filterData();
+            }
+            
+            input.focus();
+        },
+        
+        /**
+         * Describe the applied query for reports
+         * @returns {string[]} - One line per applied term
+         */
+        getSummary: function() {
+            if (!this.lastParsed || this.lastParsed.errors.length > 0) return [];
+            return this.lastParsed.terms.map(term => this.describeTerm(term));
+        }
+    };
+    
+    // Add query filter to the namespace
+    window.WorkBuddies.queryFilter = queryFilter;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        queryFilter.init();
+    });
+    
+})(window);
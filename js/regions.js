@@ -0,0 +1,267 @@
+/**
+ * Geographic groupings for WorkBuddies Visualization
+ * Country names, US Census Bureau regions and divisions, and state and province outlines
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Display names for the canonical country codes produced by dataNormalizer
+    const COUNTRY_NAMES = {
+        US: 'United States',
+        CA: 'Canada'
+    };
+    
+    // US Census Bureau regions, each split into its divisions
+    const CENSUS_REGIONS = {
+        'Northeast': {
+            'New England': ['CT', 'ME', 'MA', 'NH', 'RI', 'VT'],
+            'Middle Atlantic': ['NJ', 'NY', 'PA']
+        },
+        'Midwest': {
+            'East North Central': ['IL', 'IN', 'MI', 'OH', 'WI'],
+            'West North Central': ['IA', 'KS', 'MN', 'MO', 'NE', 'ND', 'SD']
+        },
+        'South': {
+            'South Atlantic': ['DE', 'DC', 'FL', 'GA', 'MD', 'NC', 'SC', 'VA', 'WV'],
+            'East South Central': ['AL', 'KY', 'MS', 'TN'],
+            'West South Central': ['AR', 'LA', 'OK', 'TX']
+        },
+        'West': {
+            'Mountain': ['AZ', 'CO', 'ID', 'MT', 'NV', 'NM', 'UT', 'WY'],
+            'Pacific': ['AK', 'CA', 'HI', 'OR', 'WA']
+        }
+    };
+    
+    // Regions module
+    const regions = {
+        COUNTRY_NAMES: COUNTRY_NAMES,
+        CENSUS_REGIONS: CENSUS_REGIONS,
+        BOUNDARIES_PATH: 'data/regions.geojson',
+        boundaries: null,
+        boundariesPromise: null,
+        
+        /**
+         * Load the bundled state and province outlines (cached after the first call)
+         * @returns {Promise<Object>} Promise that resolves with the GeoJSON FeatureCollection
+         */
+        loadBoundaries: function() {
+            if (!this.boundariesPromise) {
+                this.boundariesPromise = fetch(this.BOUNDARIES_PATH)
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Failed to load boundaries: ${response.status} ${response.statusText}`);
+                        }
+                        return response.json();
+                    })
+                    .then(geoData => {
+                        this.boundaries = geoData;
+                        return geoData;
+                    })
+                    .catch(error => {
+                        // Allow a later retry
+                        this.boundariesPromise = null;
+                        throw error;
+                    });
+            }
+            
+            return this.boundariesPromise;
+        },
+        
+        /**
+         * Find the outline feature for a state or province
+         * @param {string} code - State or province postal code
+         * @param {string} [country] - Country code
+         * @returns {Object|null} - GeoJSON feature, or null if not found or not loaded
+         */
+        getBoundary: function(code, country) {
+            if (!this.boundaries) return null;
+            
+            return this.boundaries.features.find(feature =>
+                feature.properties.code === code && (!country || feature.properties.country === country)) || null;
+        },
+        
+        /**
+         * Find the state or province containing a point
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @returns {Object|null} - GeoJSON feature, or null if outside every outline
+         */
+        findBoundaryAt: function(lat, lng) {
+            if (!this.boundaries) return null;
+            
+            return this.boundaries.features.find(feature => this.isPointInFeature(lat, lng, feature)) || null;
+        },
+        
+        /**
+         * Check whether a point lies inside a Polygon or MultiPolygon feature
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @param {Object} feature - GeoJSON feature
+         * @returns {boolean} - Whether the point is inside
+         */
+        isPointInFeature: function(lat, lng, feature) {
+            const geometry = feature && feature.geometry;
+            if (!geometry) return false;
+            
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] :
+                geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+            
+            // Even-odd rule across a polygon's rings handles holes
+            return polygons.some(rings => rings.reduce((inside, ring) =>
+                this.isPointInRing(lat, lng, ring) ? !inside : inside, false));
+        },
+        
+        /**
+         * Ray-casting test for a single ring of [lng, lat] positions
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @param {Array} ring - Closed ring of positions
+         * @returns {boolean} - Whether the point is inside the ring
+         */
+        isPointInRing: function(lat, lng, ring) {
+            let inside = false;
+            
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                
+                if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            
+            return inside;
+        },
+        
+        /**
+         * Distance from a point to the closest vertex of a feature's outline
+         * Outlines are simplified, so this is a tolerance check rather than an exact distance
+         * @param {number} lat - Latitude
+         * @param {number} lng - Longitude
+         * @param {Object} feature - GeoJSON feature
+         * @returns {number} - Distance in kilometres (Infinity if the feature has no outline)
+         */
+        distanceToFeature: function(lat, lng, feature) {
+            const utils = window.WorkBuddies.utils;
+            const geometry = feature && feature.geometry;
+            if (!geometry || !utils) return Infinity;
+            
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] :
+                geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+            let closest = Infinity;
+            
+            polygons.forEach(rings => rings.forEach(ring => ring.forEach(([x, y]) => {
+                closest = Math.min(closest, utils.haversineDistance(lat, lng, y, x));
+            })));
+            
+            return closest;
+        },
+        
+        /**
+         * Find the center of a feature's largest polygon
+         * Islands and other small parts are ignored so the point stays on the mainland
+         * @param {Object} feature - GeoJSON feature
+         * @returns {{lat: number, lng: number}|null} - Area-weighted center, or null if the feature has no outline
+         */
+        getCenter: function(feature) {
+            const geometry = feature && feature.geometry;
+            if (!geometry) return null;
+            
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] :
+                geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+            let best = null;
+            
+            polygons.forEach(rings => {
+                const ring = rings[0] || [];
+                let area = 0;
+                let x = 0;
+                let y = 0;
+                
+                // Shoelace formula on the outer ring, in degrees
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+                    area += cross;
+                    x += (ring[j][0] + ring[i][0]) * cross;
+                    y += (ring[j][1] + ring[i][1]) * cross;
+                }
+                
+                if (area !== 0 && (!best || Math.abs(area) > Math.abs(best.area))) {
+                    best = { area, lat: y / (3 * area), lng: x / (3 * area) };
+                }
+            });
+            
+            return best ? { lat: best.lat, lng: best.lng } : null;
+        },
+        
+        /**
+         * Get a display name for a country code
+         * @param {string} country - Country code
+         * @returns {string} - Display name, or the code itself if unknown
+         */
+        getCountryName: function(country) {
+            return COUNTRY_NAMES[country] || country || '';
+        },
+        
+        /**
+         * Get the Census region and division for a US state
+         * @param {string} state - State postal code
+         * @returns {{region: string, division: string}|null} - Grouping, or null if not a US state
+         */
+        getCensusGrouping: function(state) {
+            for (const region of Object.keys(CENSUS_REGIONS)) {
+                for (const division of Object.keys(CENSUS_REGIONS[region])) {
+                    if (CENSUS_REGIONS[region][division].includes(state)) {
+                        return { region, division };
+                    }
+                }
+            }
+            return null;
+        },
+        
+        /**
+         * Get the states in a region or division filter value
+         * @param {string} value - Filter value such as "region:South" or "division:Pacific"
+         * @returns {string[]|null} - State codes, or null if the value is not recognized
+         */
+        getStatesForGrouping: function(value) {
+            const [type, name] = String(value || '').split(':');
+            
+            if (type === 'region' && CENSUS_REGIONS[name]) {
+                return Object.values(CENSUS_REGIONS[name]).flat();
+            }
+            
+            if (type === 'division') {
+                for (const region of Object.keys(CENSUS_REGIONS)) {
+                    if (CENSUS_REGIONS[region][name]) {
+                        return CENSUS_REGIONS[region][name].slice();
+                    }
+                }
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Check whether a buddy falls inside a region or division filter value
+         * @param {Object} buddy - Buddy data object
+         * @param {string} value - Filter value such as "region:South" or "division:Pacific"
+         * @returns {boolean} - Whether the buddy is in the grouping
+         */
+        isInGrouping: function(buddy, value) {
+            const states = this.getStatesForGrouping(value);
+            if (!states || !buddy) return false;
+            
+            return buddy.Country === 'US' && states.includes(buddy.State);
+        }
+    };
+    
+    // Add regions module to the namespace
+    window.WorkBuddies.regions = regions;
+    
+})(window);
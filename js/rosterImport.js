@@ -0,0 +1,392 @@
+/**
+ * Roster import for WorkBuddies
+ * Drag-and-drop or choose a CSV/JSON roster, map its columns, preview it and replace or merge the data
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Labels for the canonical columns in the mapping form
+    const FIELD_LABELS = {
+        WorkbuddyName: 'Name',
+        City: 'City',
+        State: 'State/Province',
+        Country: 'Country',
+        latitude: 'Latitude',
+        longitude: 'Longitude',
+        JoinedDate: 'Joined date (optional)',
+        Visibility: 'Visibility (optional)'
+    };
+    
+    // Rows shown in the preview table
+    const PREVIEW_ROWS = 10;
+    
+    // Roster import module
+    const rosterImport = {
+        pending: null,
+        dragDepth: 0,
+        
+        /**
+         * Sanitize a string to prevent XSS
+         * @param {string} str - String to sanitize
+         * @returns {string} - Sanitized string
+         */
+        sanitizeString: function(str) {
+            if (!str) return '';
+            
+            // Use WorkBuddies.utils.sanitizeString if available
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.sanitizeString === 'function') {
+                return window.WorkBuddies.utils.sanitizeString(str);
+            }
+            
+            // Use DOMPurify if available
+            if (typeof DOMPurify !== 'undefined') {
+                return DOMPurify.sanitize(str, { ALLOWED_TAGS: [] });
+            }
+            
+            // Basic sanitization fallback
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+        
+        /**
+         * Set up the file picker, page drop target and preview panel
+         */
+        init: function() {
+            const fileInput = document.getElementById('roster-file');
+            const chooseBtn = document.getElementById('roster-choose-btn');
+            const closeBtn = document.getElementById('roster-import-close');
+            const cancelBtn = document.getElementById('roster-import-cancel');
+            const applyBtn = document.getElementById('roster-import-apply');
+            
+            if (chooseBtn && fileInput) {
+                chooseBtn.addEventListener('click', () => fileInput.click());
+                fileInput.addEventListener('change', () => {
+                    this.handleFile(fileInput.files[0]);
+                    
+                    // Allow the same file to be chosen again
+                    fileInput.value = '';
+                });
+            }
+            
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.hidePanel());
+            }
+            
+            if (cancelBtn) {
+                cancelBtn.addEventListener('click', () => this.hidePanel());
+            }
+            
+            if (applyBtn) {
+                applyBtn.addEventListener('click', () => this.apply());
+            }
+            
+            document.addEventListener('keydown', event => {
+                if (event.key === 'Escape') {
+                    this.hidePanel();
+                }
+            });
+            
+            this.initDropTarget();
+        },
+        
+        /**
+         * Accept roster files dropped anywhere on the page
+         */
+        initDropTarget: function() {
+            const overlay = document.getElementById('roster-drop-overlay');
+            
+            // Text and links dragged within the page are left alone
+            const isFileDrag = event => event.dataTransfer &&
+                Array.from(event.dataTransfer.types || []).includes('Files');
+            
+            document.addEventListener('dragenter', event => {
+                if (!isFileDrag(event)) return;
+                event.preventDefault();
+                
+                // dragenter and dragleave fire for every child element, so count the depth
+                this.dragDepth++;
+                if (overlay) overlay.hidden = false;
+            });
+            
+            document.addEventListener('dragover', event => {
+                if (!isFileDrag(event)) return;
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'copy';
+            });
+            
+            document.addEventListener('dragleave', event => {
+                if (!isFileDrag(event)) return;
+                
+                this.dragDepth = Math.max(0, this.dragDepth - 1);
+                if (this.dragDepth === 0 && overlay) overlay.hidden = true;
+            });
+            
+            document.addEventListener('drop', event => {
+                if (!isFileDrag(event)) return;
+                event.preventDefault();
+                
+                this.dragDepth = 0;
+                if (overlay) overlay.hidden = true;
+                
+                this.handleFile(event.dataTransfer.files[0]);
+            });
+        },
+        
+        /**
+         * Read a roster file and open the preview
+         * @param {File} file - CSV or JSON file
+         * @returns {Promise} Promise that resolves once the preview is shown
+         */
+        handleFile: async function(file) {
+            if (!file) return;
+            
+            try {
+                const table = await window.WorkBuddies.dataLoader.readRosterFile(file);
+                
+                this.pending = {
+                    fileName: file.name,
+                    format: table.format,
+                    headers: table.headers,
+                    rows: table.rows,
+                    mapping: window.WorkBuddies.dataNormalizer.suggestColumnMapping(table.headers)
+                };
+                
+                this.renderMapping();
+                this.renderPreview();
+                this.showPanel();
+            } catch (error) {
+                this.notify(error.message || 'The file could not be read', 'error');
+            }
+        },
+        
+        /**
+         * Build the column mapping form
+         */
+        renderMapping: function() {
+            const container = document.getElementById('roster-mapping');
+            if (!container || !this.pending) return;
+            
+            container.innerHTML = '';
+            
+            Object.keys(FIELD_LABELS).forEach(field => {
+                const group = document.createElement('div');
+                group.className = 'roster-mapping-field';
+                
+                const label = document.createElement('label');
+                label.htmlFor = `roster-map-${field}`;
+                label.textContent = FIELD_LABELS[field];
+                
+                const select = document.createElement('select');
+                select.id = `roster-map-${field}`;
+                
+                const noneOption = document.createElement('option');
+                noneOption.value = '-1';
+                noneOption.textContent = '(not in file)';
+                select.appendChild(noneOption);
+                
+                this.pending.headers.forEach((header, index) => {
+                    const option = document.createElement('option');
+                    option.value = String(index);
+                    option.textContent = this.sanitizeString(String(header)) || `Column ${index + 1}`;
+                    select.appendChild(option);
+                });
+                
+                select.value = String(this.pending.mapping[field]);
+                select.addEventListener('change', () => {
+                    this.pending.mapping[field] = parseInt(select.value, 10);
+                    this.renderPreview();
+                });
+                
+                group.appendChild(label);
+                group.appendChild(select);
+                container.appendChild(group);
+            });
+        },
+        
+        /**
+         * Check the column mapping
+         * @returns {string} - Problem description, or an empty string if the mapping is usable
+         */
+        validateMapping: function() {
+            const mapping = this.pending.mapping;
+            const used = Object.values(mapping).filter(index => index >= 0);
+            
+            if (new Set(used).size !== used.length) {
+                return 'Each column can only be mapped once.';
+            }
+            
+            const hasCoordinates = mapping.latitude >= 0 && mapping.longitude >= 0;
+            const hasPlace = mapping.City >= 0 && mapping.State >= 0;
+            
+            if (!hasCoordinates && !hasPlace) {
+                return 'Map Latitude and Longitude, or City and State so locations can be looked up.';
+            }
+            
+            return '';
+        },
+        
+        /**
+         * Normalize the pending file with the current mapping
+         * @returns {{data: Object[], report: Object}} - Normalized rows and a change report
+         */
+        normalizePending: function() {
+            return window.WorkBuddies.dataNormalizer.normalizeMappedRows(
+                this.pending.headers, this.pending.rows, this.pending.mapping);
+        },
+        
+        /**
+         * Refresh the preview table and summary
+         */
+        renderPreview: function() {
+            const fileLabel = document.getElementById('roster-import-file');
+            const errorText = document.getElementById('roster-import-error');
+            const table = document.getElementById('roster-preview');
+            const applyBtn = document.getElementById('roster-import-apply');
+            if (!this.pending || !table) return;
+            
+            const problem = this.validateMapping();
+            const { data, report } = problem ? { data: [], report: null } : this.normalizePending();
+            
+            if (fileLabel) {
+                const skipped = report ? report.dropped.length : 0;
+                fileLabel.textContent = `${this.sanitizeString(this.pending.fileName)}: ` +
+                    `${data.length} ${data.length === 1 ? 'row' : 'rows'} ready to import` +
+                    (skipped ? `, ${skipped} skipped` : '');
+            }
+            
+            if (errorText) {
+                errorText.textContent = problem;
+            }
+            
+            if (applyBtn) {
+                applyBtn.disabled = !!problem || data.length === 0;
+            }
+            
+            table.innerHTML = '';
+            
+            const headRow = document.createElement('tr');
+            Object.keys(FIELD_LABELS).forEach(field => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = FIELD_LABELS[field];
+                headRow.appendChild(th);
+            });
+            
+            const thead = document.createElement('thead');
+            thead.appendChild(headRow);
+            table.appendChild(thead);
+            
+            const tbody = document.createElement('tbody');
+            data.slice(0, PREVIEW_ROWS).forEach(buddy => {
+                const tr = document.createElement('tr');
+                Object.keys(FIELD_LABELS).forEach(field => {
+                    const td = document.createElement('td');
+                    td.textContent = this.sanitizeString(String(buddy[field] === undefined ? '' : buddy[field]));
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+            table.appendChild(tbody);
+        },
+        
+        /**
+         * Import the pending file, replacing or merging with the current data
+         * @returns {Promise} Promise that resolves once the data is updated
+         */
+        apply: async function() {
+            if (!this.pending || this.validateMapping()) return;
+            
+            try {
+                const { data, report } = this.normalizePending();
+                const modeInput = document.querySelector('input[name="roster-import-mode"]:checked');
+                const mode = modeInput && modeInput.value === 'replace' ? 'replace' : 'merge';
+                
+                const current = mode === 'merge' && window.WorkBuddies.data ? window.WorkBuddies.data.raw || [] : [];
+                const dataLoader = window.WorkBuddies.dataLoader;
+                
+                // Geocode, validate and apply privacy, showing any problems straight away
+                const hidden = await dataLoader.prepareRecords(data, report,
+                    { current: mode === 'merge' ? current : null, open: true });
+                
+                if (mode === 'replace') {
+                    dataLoader.updateGlobalData(data, report);
+                } else {
+                    // Report row numbers only describe the imported file, not the merged list
+                    dataLoader.updateGlobalData(dataLoader.mergeData(current, data), null);
+                }
+                
+                // Re-apply the current filters to the new data
+                if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
+                    window.WorkBuddies.utils.filterData();
+                }
+                
+                this.hidePanel();
+                this.notify(`${mode === 'replace' ? 'Replaced the roster with' : 'Merged'} ${data.length} ` +
+                    `${data.length === 1 ? 'Spuddy' : 'Spuddies'} from ${this.pending.fileName}` +
+                    `${hidden > 0 ? ` (${hidden} hidden by their Visibility setting)` : ''}`, 'success');
+                this.pending = null;
+            } catch (error) {
+                console.error('Error importing roster');
+                this.notify('The roster could not be imported', 'error');
+            }
+        },
+        
+        /**
+         * Show a toast message
+         * @param {string} message - Message to display
+         * @param {string} type - Message type (success, error, info, warning)
+         */
+        notify: function(message, type) {
+            if (typeof window.WorkBuddies.showToast === 'function') {
+                window.WorkBuddies.showToast(message, type);
+            } else if (type === 'error') {
+                console.error(message);
+            }
+        },
+        
+        /**
+         * Open the preview panel
+         */
+        showPanel: function() {
+            const panel = document.getElementById('roster-import-panel');
+            if (!panel) return;
+            
+            panel.hidden = false;
+            
+            const firstSelect = panel.querySelector('select');
+            if (firstSelect) firstSelect.focus();
+        },
+        
+        /**
+         * Dismiss the preview panel without importing
+         */
+        hidePanel: function() {
+            const panel = document.getElementById('roster-import-panel');
+            if (!panel || panel.hidden) return;
+            
+            panel.hidden = true;
+            
+            const chooseBtn = document.getElementById('roster-choose-btn');
+            if (chooseBtn) chooseBtn.focus();
+        }
+    };
+    
+    // Add roster import to the namespace
+    window.WorkBuddies.rosterImport = rosterImport;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        rosterImport.init();
+    });
+    
+})(window);
@@ -0,0 +1,491 @@
+/**
+ * Saved views for WorkBuddies
+ * Stores named presets of the filters, tab, basemap and map bounds in localStorage
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Filter and tab settings kept in a view, as named in the shareable URL
+    const VIEW_KEYS = ['tab', 'name', 'country', 'state', 'region', 'tz', 'q', 'from', 'to'];
+    
+    // Limits that keep stored and imported views small
+    const MAX_VIEWS = 50;
+    const MAX_NAME_LENGTH = 60;
+    const MAX_VALUE_LENGTH = 200;
+    const MAX_IMPORT_BYTES = 1024 * 1024;
+    
+    // Labels for tabs in the view descriptions
+    const TAB_LABELS = {
+        map: 'Map',
+        states: 'State Distribution',
+        choropleth: 'State Map',
+        network: 'Network',
+        list: 'List'
+    };
+    
+    // Saved views module
+    const savedViews = {
+        STORAGE_KEY: 'workbuddies-saved-views',
+        views: [],
+        
+        /**
+         * Load saved views and set up the sidebar controls
+         */
+        init: function() {
+            const form = document.getElementById('saved-view-form');
+            const exportBtn = document.getElementById('saved-views-export');
+            const importBtn = document.getElementById('saved-views-import');
+            const fileInput = document.getElementById('saved-views-file');
+            
+            this.views = this.load();
+            this.render();
+            
+            if (form) {
+                form.addEventListener('submit', event => {
+                    event.preventDefault();
+                    const input = document.getElementById('saved-view-name');
+                    if (input && this.saveCurrent(input.value)) {
+                        input.value = '';
+                    }
+                });
+            }
+            
+            if (exportBtn) {
+                exportBtn.addEventListener('click', () => this.exportViews());
+            }
+            
+            if (importBtn && fileInput) {
+                importBtn.addEventListener('click', () => fileInput.click());
+                fileInput.addEventListener('change', () => {
+                    this.importViews(fileInput.files[0]);
+                    
+                    // Allow the same file to be chosen again
+                    fileInput.value = '';
+                });
+            }
+        },
+        
+        /**
+         * Check and clean a view from storage or an imported file
+         * @param {Object} entry - Possible view
+         * @returns {Object|null} - Clean view, or null if it is not usable
+         */
+        normalizeView: function(entry) {
+            if (!entry || typeof entry !== 'object') return null;
+            
+            const name = typeof entry.name === 'string' ? entry.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+            if (!name) return null;
+            
+            // Only keep known settings with short string values
+            const state = {};
+            const source = entry.state && typeof entry.state === 'object' ? entry.state : {};
+            VIEW_KEYS.forEach(key => {
+                if (typeof source[key] === 'string' && source[key] && source[key].length <= MAX_VALUE_LENGTH) {
+                    state[key] = source[key];
+                }
+            });
+            
+            const basemaps = window.WorkBuddies.basemaps;
+            const basemap = typeof entry.basemap === 'string' && basemaps && basemaps.BASEMAPS[entry.basemap] ?
+                entry.basemap : null;
+            
+            let bounds = null;
+            if (Array.isArray(entry.bounds) && entry.bounds.length === 2) {
+                const [[south, west], [north, east]] = entry.bounds.map(corner => Array.isArray(corner) ? corner.map(Number) : []);
+                const valid = [south, north].every(lat => Math.abs(lat) <= 90) &&
+                    [west, east].every(lng => Math.abs(lng) <= 540) && south <= north;
+                if (valid) bounds = [[south, west], [north, east]];
+            }
+            
+            return {
+                id: typeof entry.id === 'string' && /^[\w-]{1,40}$/.test(entry.id) ? entry.id : this.createId(),
+                name,
+                state,
+                basemap,
+                bounds,
+                savedAt: typeof entry.savedAt === 'string' && !isNaN(Date.parse(entry.savedAt)) ?
+                    entry.savedAt : new Date().toISOString()
+            };
+        },
+        
+        /**
+         * Parse saved views from JSON
+         * Accepts a plain array or an exported file with a views array
+         * @param {string} json - JSON text
+         * @returns {Object[]|null} - Clean views, or null if the JSON is not a list of views
+         */
+        parseViews: function(json) {
+            let parsed;
+            try {
+                parsed = JSON.parse(json);
+            } catch (error) {
+                return null;
+            }
+            
+            const list = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.views) ? parsed.views : null);
+            if (!list) return null;
+            
+            return list.map(entry => this.normalizeView(entry)).filter(Boolean).slice(0, MAX_VIEWS);
+        },
+        
+        /**
+         * Create an id for a new view
+         * @returns {string} - Id
+         */
+        createId: function() {
+            return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        },
+        
+        /**
+         * Read saved views from localStorage
+         * @returns {Object[]} - Saved views
+         */
+        load: function() {
+            const darkMode = window.WorkBuddies.darkMode;
+            if (!darkMode || typeof darkMode.safeGetStorageItem !== 'function') return [];
+            
+            const stored = darkMode.safeGetStorageItem(this.STORAGE_KEY, value => this.parseViews(value) !== null);
+            return stored ? this.parseViews(stored) : [];
+        },
+        
+        /**
+         * Write the saved views to localStorage
+         * @returns {boolean} - Success or failure
+         */
+        persist: function() {
+            const darkMode = window.WorkBuddies.darkMode;
+            if (!darkMode || typeof darkMode.safeSetStorageItem !== 'function') return false;
+            
+            return darkMode.safeSetStorageItem(this.STORAGE_KEY, JSON.stringify(this.views),
+                value => this.parseViews(value) !== null);
+        },
+        
+        /**
+         * Write the saved views, telling the user if the browser would not store them
+         * (storage full, or turned off as in some private windows)
+         * @returns {boolean} - Whether the views were written
+         */
+        persistOrNotify: function() {
+            const saved = this.persist();
+            if (!saved) {
+                this.notify('Saved views could not be stored in this browser, so they will be lost when the page closes', 'error');
+            }
+            return saved;
+        },
+        
+        /**
+         * Capture the current filters, tab, basemap and map bounds
+         * @returns {Object} - View settings without a name
+         */
+        captureCurrent: function() {
+            const urlState = window.WorkBuddies.urlState;
+            const current = urlState && typeof urlState.captureState === 'function' ? urlState.captureState() : {};
+            
+            const state = {};
+            VIEW_KEYS.forEach(key => {
+                if (current[key]) state[key] = String(current[key]);
+            });
+            
+            const map = window.WorkBuddies.mapViz?.map || window.map;
+            let bounds = null;
+            if (map) {
+                const mapBounds = map.getBounds();
+                bounds = [
+                    [Number(mapBounds.getSouth().toFixed(4)), Number(mapBounds.getWest().toFixed(4))],
+                    [Number(mapBounds.getNorth().toFixed(4)), Number(mapBounds.getEast().toFixed(4))]
+                ];
+            }
+            
+            const basemaps = window.WorkBuddies.basemaps;
+            
+            return {
+                state,
+                basemap: basemaps ? basemaps.activeId : null,
+                bounds
+            };
+        },
+        
+        /**
+         * Save the current view under a name, replacing any view with the same name
+         * @param {string} name - View name
+         * @returns {boolean} - Whether the view was saved
+         */
+        saveCurrent: function(name) {
+            const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+            if (!trimmed) {
+                this.notify('Give the view a name first', 'warning');
+                return false;
+            }
+            
+            const existing = this.views.find(view => view.name.toLowerCase() === trimmed.toLowerCase());
+            if (existing && !confirm(`Replace the saved view "${existing.name}"?`)) {
+                return false;
+            }
+            
+            if (!existing && this.views.length >= MAX_VIEWS) {
+                this.notify(`You can save up to ${MAX_VIEWS} views. Delete one to make room.`, 'warning');
+                return false;
+            }
+            
+            const view = this.normalizeView(Object.assign({ name: trimmed }, this.captureCurrent()));
+            
+            if (existing) {
+                view.id = existing.id;
+                this.views[this.views.indexOf(existing)] = view;
+            } else {
+                this.views.push(view);
+            }
+            
+            const saved = this.persistOrNotify();
+            this.render();
+            if (saved) {
+                this.notify(`Saved view "${view.name}"`, 'success');
+            }
+            return saved;
+        },
+        
+        /**
+         * Apply a saved view
+         * @param {string} id - View id
+         * @returns {Promise} Promise that resolves once the view is applied
+         */
+        applyView: async function(id) {
+            const view = this.views.find(entry => entry.id === id);
+            const urlState = window.WorkBuddies.urlState;
+            if (!view || !urlState) return;
+            
+            // Filters and the tab go through the same path as a shared link
+            await urlState.applyState(Object.assign({}, view.state));
+            
+            const basemaps = window.WorkBuddies.basemaps;
+            if (view.basemap && basemaps && typeof basemaps.setActive === 'function') {
+                basemaps.setActive(view.basemap);
+            }
+            
+            // Fit the saved bounds after the map has fitted itself to the filtered markers
+            const map = window.WorkBuddies.mapViz?.map || window.map;
+            if (map && view.bounds) {
+                map.fitBounds(view.bounds, { animate: false });
+            }
+            
+            this.notify(`Applied view "${view.name}"`, 'info');
+        },
+        
+        /**
+         * Rename a saved view
+         * @param {string} id - View id
+         */
+        renameView: function(id) {
+            const view = this.views.find(entry => entry.id === id);
+            if (!view) return;
+            
+            const name = prompt('New name for this view:', view.name);
+            const trimmed = name === null ? '' : name.trim().slice(0, MAX_NAME_LENGTH);
+            if (!trimmed || trimmed === view.name) return;
+            
+            if (this.views.some(entry => entry !== view && entry.name.toLowerCase() === trimmed.toLowerCase())) {
+                this.notify(`There is already a view called "${trimmed}"`, 'warning');
+                return;
+            }
+            
+            view.name = trimmed;
+            this.persistOrNotify();
+            this.render();
+        },
+        
+        /**
+         * Delete a saved view
+         * @param {string} id - View id
+         */
+        deleteView: function(id) {
+            const view = this.views.find(entry => entry.id === id);
+            if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+            
+            this.views = this.views.filter(entry => entry !== view);
+            this.persistOrNotify();
+            this.render();
+        },
+        
+        /**
+         * Download the saved views as a JSON file
+         */
+        exportViews: function() {
+            if (this.views.length === 0) {
+                this.notify('There are no saved views to export', 'warning');
+                return;
+            }
+            
+            const dataExport = window.WorkBuddies.dataExport;
+            const utils = window.WorkBuddies.utils;
+            if (!dataExport || !utils) return;
+            
+            const content = JSON.stringify({ type: 'workbuddies-saved-views', version: 1, views: this.views }, null, 2);
+            dataExport.downloadFile(content, utils.getExportFileName('json', 'views'), 'application/json');
+        },
+        
+        /**
+         * Import views from a JSON file, replacing views with the same name
+         * @param {File} file - JSON file
+         * @returns {Promise} Promise that resolves once the views are imported
+         */
+        importViews: async function(file) {
+            if (!file) return;
+            
+            if (file.size > MAX_IMPORT_BYTES) {
+                this.notify('That file is too large to be a saved views file', 'error');
+                return;
+            }
+            
+            let text;
+            try {
+                text = await file.text();
+            } catch (error) {
+                console.error('Error reading saved views file');
+                this.notify('That file could not be read', 'error');
+                return;
+            }
+            
+            const imported = this.parseViews(text);
+            if (!imported) {
+                this.notify('That file does not contain saved views', 'error');
+                return;
+            }
+            
+            // Count what was added or replaced; views past MAX_VIEWS are skipped
+            let count = 0;
+            imported.forEach(view => {
+                const index = this.views.findIndex(entry => entry.name.toLowerCase() === view.name.toLowerCase());
+                if (index !== -1) {
+                    view.id = this.views[index].id;
+                    this.views[index] = view;
+                    count++;
+                } else if (this.views.length < MAX_VIEWS) {
+                    // Imported ids could clash with existing ones
+                    view.id = this.createId();
+                    this.views.push(view);
+                    count++;
+                }
+            });
+            
+            const saved = this.persistOrNotify();
+            this.render();
+            if (!saved) return;
+            
+            const skipped = imported.length - count;
+            this.notify(`Imported ${count} ${count === 1 ? 'view' : 'views'}` +
+                `${skipped > 0 ? ` (${skipped} skipped: you can save up to ${MAX_VIEWS} views)` : ''}`,
+                skipped > 0 ? 'warning' : 'success');
+        },
+        
+        /**
+         * Summarize a view's settings
+         * @param {Object} view - Saved view
+         * @returns {string} - Short description
+         */
+        describeView: function(view) {
+            const parts = [TAB_LABELS[view.state.tab] || 'Map'];
+            
+            ['name', 'country', 'state', 'region', 'q'].forEach(key => {
+                if (view.state[key]) parts.push(view.state[key]);
+            });
+            
+            if (view.state.tz) {
+                const timeZones = window.WorkBuddies.timeZones;
+                parts.push(timeZones ? timeZones.getLabel(view.state.tz) : view.state.tz);
+            }
+            
+            if (view.state.from || view.state.to) {
+                parts.push(`Joined ${view.state.from || 'any time'} to ${view.state.to || 'now'}`);
+            }
+            
+            return parts.join(' · ');
+        },
+        
+        /**
+         * Rebuild the saved views list
+         */
+        render: function() {
+            const list = document.getElementById('saved-views-list');
+            if (!list) return;
+            
+            list.innerHTML = '';
+            
+            if (this.views.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'saved-views-empty';
+                empty.textContent = 'No saved views yet.';
+                list.appendChild(empty);
+                return;
+            }
+            
+            this.views.forEach(view => {
+                const item = document.createElement('li');
+                item.className = 'saved-view';
+                
+                const applyBtn = document.createElement('button');
+                applyBtn.type = 'button';
+                applyBtn.className = 'saved-view-apply';
+                applyBtn.setAttribute('aria-label', `Apply view ${view.name}`);
+                
+                const name = document.createElement('span');
+                name.className = 'saved-view-name';
+                name.textContent = view.name;
+                
+                const details = document.createElement('span');
+                details.className = 'saved-view-details';
+                details.textContent = this.describeView(view);
+                
+                applyBtn.appendChild(name);
+                applyBtn.appendChild(details);
+                applyBtn.addEventListener('click', () => this.applyView(view.id));
+                
+                const renameBtn = document.createElement('button');
+                renameBtn.type = 'button';
+                renameBtn.className = 'saved-view-action';
+                renameBtn.textContent = 'Rename';
+                renameBtn.setAttribute('aria-label', `Rename view ${view.name}`);
+                renameBtn.addEventListener('click', () => this.renameView(view.id));
+                
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'saved-view-action';
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.setAttribute('aria-label', `Delete view ${view.name}`);
+                deleteBtn.addEventListener('click', () => this.deleteView(view.id));
+                
+                item.appendChild(applyBtn);
+                item.appendChild(renameBtn);
+                item.appendChild(deleteBtn);
+                list.appendChild(item);
+            });
+        },
+        
+        /**
+         * Show a toast message
+         * @param {string} message - Message to display
+         * @param {string} type - Message type (success, error, info, warning)
+         */
+        notify: function(message, type) {
+            if (typeof window.WorkBuddies.showToast === 'function') {
+                window.WorkBuddies.showToast(message, type);
+            } else if (type === 'error') {
+                console.error(message);
+            }
+        }
+    };
+    
+    // Add saved views to the namespace
+    window.WorkBuddies.savedViews = savedViews;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        savedViews.init();
+    });
+    
+})(window);
@@ -0,0 +1,623 @@
+/**
+ * Body-doubling session planner for WorkBuddies
+ * Finds start times that fall within reasonable hours for a group of buddies across time zones
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Minutes in a day
+    const DAY_MINUTES = 24 * 60;
+    
+    // Suggested start times are checked at this interval
+    const SLOT_STEP_MINUTES = 30;
+    
+    // How many start times to suggest
+    const MAX_SUGGESTIONS = 3;
+    
+    // How many unavailable buddies to name under each suggestion
+    const MAX_NAMES_LISTED = 5;
+    
+    // Default reasonable hours, in each buddy's own time
+    const DEFAULT_HOURS = { start: 9, end: 21 };
+    
+    // Session planner module
+    const sessionPlanner = {
+        picked: new Set(),
+        plan: null,
+        selected: null,
+        
+        /**
+         * Set up the sidebar controls
+         */
+        init: function() {
+            const startSelect = document.getElementById('session-hours-start');
+            const endSelect = document.getElementById('session-hours-end');
+            const dateInput = document.getElementById('session-date');
+            const planBtn = document.getElementById('session-plan');
+            const icsBtn = document.getElementById('session-ics');
+            const search = document.getElementById('session-pick-search');
+            
+            [startSelect, endSelect].forEach((select, index) => {
+                if (!select) return;
+                
+                for (let hour = 0; hour < 24; hour++) {
+                    const option = document.createElement('option');
+                    option.value = hour;
+                    option.textContent = this.formatHour(hour);
+                    select.appendChild(option);
+                }
+                select.value = index === 0 ? DEFAULT_HOURS.start : DEFAULT_HOURS.end;
+            });
+            
+            if (dateInput) {
+                dateInput.value = this.toDateValue(new Date());
+            }
+            
+            document.querySelectorAll('input[name="session-source"]').forEach(radio => {
+                radio.addEventListener('change', () => {
+                    const picker = document.getElementById('session-picker');
+                    if (picker) {
+                        picker.hidden = this.getSource() !== 'picked';
+                    }
+                    this.clearPlan();
+                });
+            });
+            
+            // Settings changes re-plan straight away once there is a plan to update
+            ['session-hours-start', 'session-hours-end', 'session-length', 'session-date'].forEach(id => {
+                const input = document.getElementById(id);
+                if (!input) return;
+                
+                input.addEventListener('change', () => {
+                    if (this.plan) {
+                        this.runPlan();
+                    }
+                });
+            });
+            
+            if (search) {
+                search.addEventListener('input', () => this.renderPickList());
+            }
+            
+            if (planBtn) {
+                planBtn.addEventListener('click', () => this.runPlan());
+            }
+            
+            if (icsBtn) {
+                icsBtn.addEventListener('click', () => this.downloadCalendar());
+            }
+        },
+        
+        /**
+         * Turn a stored (HTML-escaped) value into plain text for display
+         * @param {*} value - Stored value
+         * @returns {string} - Plain text
+         */
+        toPlainText: function(value) {
+            const dataExport = window.WorkBuddies.dataExport;
+            return dataExport && typeof dataExport.toPlainValue === 'function' ?
+                String(dataExport.toPlainValue(value)) : String(value || '');
+        },
+        
+        /**
+         * Rebuild the pick list after data is loaded, keeping picks that are still in the data
+         * Called by utils.populateFilters
+         */
+        refresh: function() {
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.raw || [] : [];
+            this.picked = new Set(data.filter(buddy => this.picked.has(buddy)));
+            this.renderPickList();
+            this.clearPlan();
+        },
+        
+        /**
+         * Get the selected source of attendees
+         * @returns {string} - 'filtered' or 'picked'
+         */
+        getSource: function() {
+            const checked = document.querySelector('input[name="session-source"]:checked');
+            return checked && checked.value === 'picked' ? 'picked' : 'filtered';
+        },
+        
+        /**
+         * List every buddy with a checkbox, narrowed by the search box
+         */
+        renderPickList: function() {
+            const list = document.getElementById('session-pick-list');
+            if (!list) return;
+            
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.raw || [] : [];
+            const query = (document.getElementById('session-pick-search')?.value || '').trim().toLowerCase();
+            
+            list.innerHTML = '';
+            
+            data.map(buddy => ({ buddy, name: this.toPlainText(buddy.WorkbuddyName) }))
+                .filter(entry => !query || entry.name.toLowerCase().includes(query))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(({ buddy, name }) => {
+                    const item = document.createElement('li');
+                    const label = document.createElement('label');
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = this.picked.has(buddy);
+                    checkbox.addEventListener('change', () => {
+                        if (checkbox.checked) {
+                            this.picked.add(buddy);
+                        } else {
+                            this.picked.delete(buddy);
+                        }
+                    });
+                    
+                    const place = [buddy.City, buddy.State].map(value => this.toPlainText(value)).filter(Boolean).join(', ');
+                    
+                    label.appendChild(checkbox);
+                    label.appendChild(document.createTextNode(` ${name}${place ? ` (${place})` : ''}`));
+                    item.appendChild(label);
+                    list.appendChild(item);
+                });
+        },
+        
+        /**
+         * Get the buddies to plan for, with their time zones
+         * @returns {{attendees: Array<{buddy: Object, zone: string}>, unknown: number}} - Buddies with a
+         *     known time zone, and how many were left out because theirs could not be worked out
+         */
+        getAttendees: function() {
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered || [] : [];
+            const raw = window.WorkBuddies.data ? window.WorkBuddies.data.raw || [] : [];
+            const chosen = this.getSource() === 'picked' ? raw.filter(buddy => this.picked.has(buddy)) : data;
+            const timeZones = window.WorkBuddies.timeZones;
+            
+            const attendees = [];
+            let unknown = 0;
+            
+            chosen.forEach(buddy => {
+                const zone = timeZones ? timeZones.getZone(buddy) : null;
+                if (zone) {
+                    attendees.push({ buddy, zone });
+                } else {
+                    unknown++;
+                }
+            });
+            
+            return { attendees, unknown };
+        },
+        
+        /**
+         * Read the planner settings
+         * @returns {{date: string, length: number, startHour: number, endHour: number}} - Settings
+         */
+        getSettings: function() {
+            const readHour = (id, fallback) => {
+                const hour = parseInt(document.getElementById(id)?.value, 10);
+                return hour >= 0 && hour < 24 ? hour : fallback;
+            };
+            const length = parseInt(document.getElementById('session-length')?.value, 10);
+            const date = document.getElementById('session-date')?.value || '';
+            
+            return {
+                date: /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : this.toDateValue(new Date()),
+                length: length > 0 ? length : 60,
+                startHour: readHour('session-hours-start', DEFAULT_HOURS.start),
+                endHour: readHour('session-hours-end', DEFAULT_HOURS.end)
+            };
+        },
+        
+        /**
+         * Format a date as YYYY-MM-DD in the viewer's time zone, for a date input
+         * @param {Date} date - Date
+         * @returns {string} - Date as YYYY-MM-DD
+         */
+        toDateValue: function(date) {
+            const pad = value => String(value).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        },
+        
+        /**
+         * Get the moment a number of minutes into a day in the viewer's time zone
+         * @param {string} date - Day as YYYY-MM-DD
+         * @param {number} minutes - Minutes after midnight
+         * @returns {Date} - Moment
+         */
+        getSlotStart: function(date, minutes) {
+            const [year, month, day] = date.split('-').map(Number);
+            return new Date(year, month - 1, day, 0, minutes);
+        },
+        
+        /**
+         * Get the time of day a moment falls at in a time zone
+         * @param {Date} moment - Moment
+         * @param {string} zone - IANA time zone
+         * @returns {number} - Minutes after local midnight
+         */
+        getLocalMinutes: function(moment, zone) {
+            const offset = window.WorkBuddies.timeZones.getOffsetMinutes(zone, moment);
+            const utcMinutes = moment.getUTCHours() * 60 + moment.getUTCMinutes();
+            return ((utcMinutes + offset) % DAY_MINUTES + DAY_MINUTES) % DAY_MINUTES;
+        },
+        
+        /**
+         * Check whether a session fits entirely inside reasonable hours
+         * Hours may wrap past midnight (such as 8 PM to 2 AM); equal start and end hours mean any time
+         * @param {number} localStart - Session start, in minutes after local midnight
+         * @param {number} length - Session length in minutes
+         * @param {number} startHour - First reasonable hour
+         * @param {number} endHour - Hour reasonable time ends
+         * @returns {boolean} - Whether the whole session is within the hours
+         */
+        isWithinHours: function(localStart, length, startHour, endHour) {
+            const windowStart = startHour * 60;
+            const windowLength = ((endHour - startHour) * 60 + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES;
+            const intoWindow = (localStart - windowStart + DAY_MINUTES) % DAY_MINUTES;
+            
+            return intoWindow + length <= windowLength;
+        },
+        
+        /**
+         * Split attendees by whether a session start suits them
+         * @param {Array<{buddy: Object, zone: string}>} attendees - Attendees from getAttendees
+         * @param {Date} start - Session start
+         * @param {Object} settings - Settings from getSettings
+         * @returns {{start: Date, available: Object[], unavailable: Object[]}} - Slot with the attendees on each side
+         */
+        evaluateSlot: function(attendees, start, settings) {
+            const available = [];
+            const unavailable = [];
+            
+            attendees.forEach(attendee => {
+                const localStart = this.getLocalMinutes(start, attendee.zone);
+                if (this.isWithinHours(localStart, settings.length, settings.startHour, settings.endHour)) {
+                    available.push(attendee);
+                } else {
+                    unavailable.push(attendee);
+                }
+            });
+            
+            return { start, available, unavailable };
+        },
+        
+        /**
+         * Work out the hourly grid and the suggested start times
+         * @param {Array<{buddy: Object, zone: string}>} attendees - Attendees from getAttendees
+         * @param {Object} settings - Settings from getSettings
+         * @returns {{grid: Object[], suggestions: Object[]}} - One slot per hour of the viewer's day,
+         *     and up to MAX_SUGGESTIONS non-overlapping slots with the most attendees available
+         */
+        computePlan: function(attendees, settings) {
+            const slots = [];
+            for (let minutes = 0; minutes < DAY_MINUTES; minutes += SLOT_STEP_MINUTES) {
+                slots.push(this.evaluateSlot(attendees, this.getSlotStart(settings.date, minutes), settings));
+            }
+            
+            const grid = slots.filter(slot => slot.start.getMinutes() === 0);
+            
+            // Best first; ties go to the earlier time
+            const ranked = slots
+                .filter(slot => slot.available.length > 0)
+                .sort((a, b) => b.available.length - a.available.length || a.start - b.start);
+            
+            const suggestions = [];
+            ranked.forEach(slot => {
+                if (suggestions.length >= MAX_SUGGESTIONS) return;
+                
+                const overlaps = suggestions.some(chosen =>
+                    Math.abs(chosen.start - slot.start) < settings.length * 60000);
+                if (!overlaps) {
+                    suggestions.push(slot);
+                }
+            });
+            
+            suggestions.sort((a, b) => a.start - b.start);
+            
+            return { grid, suggestions };
+        },
+        
+        /**
+         * Plan for the current attendees and settings, and show the result
+         */
+        runPlan: function() {
+            if (!window.WorkBuddies.timeZones) {
+                this.showStatus('Time zones are not available.');
+                return;
+            }
+            
+            const { attendees, unknown } = this.getAttendees();
+            this.clearPlan();
+            
+            if (attendees.length === 0) {
+                this.showStatus(this.getSource() === 'picked' ?
+                    'Pick at least one Spuddy with a known location.' :
+                    'No Spuddies with a known time zone match the filters.');
+                return;
+            }
+            
+            const settings = this.getSettings();
+            this.plan = Object.assign({ attendees, unknown, settings }, this.computePlan(attendees, settings));
+            
+            // Start with the best suggestion chosen, if any time suits anyone
+            this.selected = this.plan.suggestions.length > 0 ?
+                this.plan.suggestions.reduce((best, slot) => slot.available.length > best.available.length ? slot : best) :
+                null;
+            
+            this.render();
+        },
+        
+        /**
+         * Forget the current plan and empty the results
+         */
+        clearPlan: function() {
+            this.plan = null;
+            this.selected = null;
+            this.render();
+        },
+        
+        /**
+         * Choose the slot the calendar invite is for
+         * @param {Object} slot - Slot from the grid or suggestions
+         */
+        selectSlot: function(slot) {
+            this.selected = slot;
+            this.render();
+        },
+        
+        /**
+         * Format an hour of the day
+         * @param {number} hour - Hour from 0 to 23
+         * @returns {string} - Hour such as "9 AM"
+         */
+        formatHour: function(hour) {
+            return new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, { hour: 'numeric' });
+        },
+        
+        /**
+         * Format a moment in the viewer's time zone
+         * @param {Date} moment - Moment
+         * @returns {string} - Time such as "3:30 PM"
+         */
+        formatTime: function(moment) {
+            return moment.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+        },
+        
+        /**
+         * Describe a slot's time range in the viewer's time zone
+         * @param {Object} slot - Slot from evaluateSlot
+         * @returns {string} - Range such as "3:00 PM–4:00 PM"
+         */
+        formatRange: function(slot) {
+            const end = new Date(slot.start.getTime() + this.plan.settings.length * 60000);
+            return `${this.formatTime(slot.start)}–${this.formatTime(end)}`;
+        },
+        
+        /**
+         * List the names of attendees, shortened after MAX_NAMES_LISTED
+         * @param {Object[]} attendees - Attendees
+         * @returns {string} - Comma-separated names
+         */
+        listNames: function(attendees) {
+            const names = attendees.slice(0, MAX_NAMES_LISTED).map(attendee => this.toPlainText(attendee.buddy.WorkbuddyName));
+            const more = attendees.length - names.length;
+            return names.join(', ') + (more > 0 ? ` and ${more} more` : '');
+        },
+        
+        /**
+         * Show the grid, suggestions and status for the current plan
+         */
+        render: function() {
+            const gridEl = document.getElementById('session-grid');
+            const suggestionsEl = document.getElementById('session-suggestions');
+            const icsBtn = document.getElementById('session-ics');
+            
+            if (gridEl) gridEl.innerHTML = '';
+            if (suggestionsEl) suggestionsEl.innerHTML = '';
+            if (icsBtn) icsBtn.disabled = !this.selected;
+            
+            if (!this.plan) return;
+            
+            const total = this.plan.attendees.length;
+            
+            if (gridEl) {
+                this.plan.grid.forEach(slot => {
+                    const cell = document.createElement('button');
+                    cell.type = 'button';
+                    cell.className = 'session-cell';
+                    cell.style.setProperty('--session-share', (slot.available.length / total).toFixed(2));
+                    cell.setAttribute('aria-pressed', String(slot === this.selected));
+                    cell.setAttribute('aria-label', `${this.formatTime(slot.start)}: ${slot.available.length} of ${total} Spuddies`);
+                    cell.title = slot.unavailable.length > 0 ? `Outside their hours: ${this.listNames(slot.unavailable)}` : 'Everyone is within their hours';
+                    
+                    const hour = document.createElement('span');
+                    hour.className = 'session-cell-hour';
+                    hour.textContent = this.formatHour(slot.start.getHours());
+                    
+                    const count = document.createElement('span');
+                    count.className = 'session-cell-count';
+                    count.textContent = slot.available.length;
+                    
+                    cell.appendChild(hour);
+                    cell.appendChild(count);
+                    cell.addEventListener('click', () => this.selectSlot(slot));
+                    gridEl.appendChild(cell);
+                });
+            }
+            
+            if (suggestionsEl) {
+                this.plan.suggestions.forEach(slot => {
+                    const item = document.createElement('li');
+                    item.className = 'meetup-choice session-choice';
+                    if (slot === this.selected) {
+                        item.classList.add('session-choice-selected');
+                    }
+                    
+                    const name = document.createElement('button');
+                    name.type = 'button';
+                    name.className = 'meetup-choice-name';
+                    name.textContent = `${this.formatRange(slot)}: ${slot.available.length} of ${total} Spuddies`;
+                    name.setAttribute('aria-pressed', String(slot === this.selected));
+                    name.addEventListener('click', () => this.selectSlot(slot));
+                    
+                    const detail = document.createElement('span');
+                    detail.className = 'meetup-choice-detail';
+                    detail.textContent = slot.unavailable.length > 0 ?
+                        `Outside their hours: ${this.listNames(slot.unavailable)}` : 'Everyone is within their hours';
+                    
+                    item.appendChild(name);
+                    item.appendChild(detail);
+                    suggestionsEl.appendChild(item);
+                });
+            }
+            
+            const viewerZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const timeZones = window.WorkBuddies.timeZones;
+            const parts = [`Times are in your time zone (${timeZones.getLabel(viewerZone)})`];
+            
+            if (this.selected) {
+                parts.push(`Selected ${this.formatRange(this.selected)}`);
+            } else {
+                parts.push('No time suits anyone; try wider hours or a shorter session');
+            }
+            
+            if (this.plan.unknown > 0) {
+                parts.push(`${this.plan.unknown} without a known time zone left out`);
+            }
+            
+            this.showStatus(parts.join(' · '));
+        },
+        
+        /**
+         * Escape text for an iCalendar property value
+         * @param {string} text - Plain text
+         * @returns {string} - Escaped text
+         */
+        escapeICS: function(text) {
+            return String(text)
+                .replace(/\\/g, '\\\\')
+                .replace(/;/g, '\\;')
+                .replace(/,/g, '\\,')
+                .replace(/\r?\n/g, '\\n');
+        },
+        
+        /**
+         * Fold an iCalendar line so no line is longer than 75 bytes
+         * @param {string} line - Unfolded line
+         * @returns {string} - Folded line, with CRLF and a space before each continuation
+         */
+        foldICSLine: function(line) {
+            const encoder = new TextEncoder();
+            const parts = [];
+            let current = '';
+            let bytes = 0;
+            
+            for (const char of line) {
+                const size = encoder.encode(char).length;
+                
+                // Continuation lines start with a space, which counts towards their length
+                if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+                    parts.push(current);
+                    current = '';
+                    bytes = 0;
+                }
+                
+                current += char;
+                bytes += size;
+            }
+            
+            parts.push(current);
+            return parts.join('\r\n ');
+        },
+        
+        /**
+         * Format a moment as an iCalendar UTC date-time
+         * @param {Date} moment - Moment
+         * @returns {string} - Date-time such as 20240105T150000Z
+         */
+        toICSDate: function(moment) {
+            return moment.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        },
+        
+        /**
+         * Build an iCalendar file for a slot
+         * @param {Object} slot - Slot from evaluateSlot
+         * @returns {string} - iCalendar content
+         */
+        buildCalendar: function(slot) {
+            const { settings } = this.plan;
+            const timeZones = window.WorkBuddies.timeZones;
+            const end = new Date(slot.start.getTime() + settings.length * 60000);
+            
+            const describe = attendee => `${this.toPlainText(attendee.buddy.WorkbuddyName)} ` +
+                `(${timeZones.formatLocalTime(attendee.zone, slot.start)}, ${timeZones.getShortName(attendee.zone)})`;
+            
+            const description = [
+                `Reasonable hours: ${this.formatHour(settings.startHour)} to ${this.formatHour(settings.endHour)} in each Spuddy's own time.`,
+                '',
+                `Within their hours (${slot.available.length}):`,
+                ...slot.available.map(describe)
+            ];
+            
+            if (slot.unavailable.length > 0) {
+                description.push('', `Outside their hours (${slot.unavailable.length}):`, ...slot.unavailable.map(describe));
+            }
+            
+            const lines = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                'PRODID:-//WorkBuddies//SpuddieBuddyMap//EN',
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                'BEGIN:VEVENT',
+                `UID:${Date.now()}-${Math.random().toString(36).slice(2)}@workbuddies`,
+                `DTSTAMP:${this.toICSDate(new Date())}`,
+                `DTSTART:${this.toICSDate(slot.start)}`,
+                `DTEND:${this.toICSDate(end)}`,
+                `SUMMARY:${this.escapeICS('WorkBuddies body-doubling session')}`,
+                `DESCRIPTION:${this.escapeICS(description.join('\n'))}`,
+                'END:VEVENT',
+                'END:VCALENDAR'
+            ];
+            
+            return lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
+        },
+        
+        /**
+         * Download a calendar invite for the selected slot
+         */
+        downloadCalendar: function() {
+            if (!this.plan || !this.selected) return;
+            
+            try {
+                const dataExport = window.WorkBuddies.dataExport;
+                const fileName = window.WorkBuddies.utils.getExportFileName('ics', 'session');
+                dataExport.downloadFile(this.buildCalendar(this.selected), fileName, 'text/calendar;charset=utf-8');
+            } catch (error) {
+                console.error('Error creating calendar invite');
+                this.showStatus('The calendar invite could not be created.');
+            }
+        },
+        
+        /**
+         * Show a status message under the planner
+         * @param {string} message - Message to show
+         */
+        showStatus: function(message) {
+            const status = document.getElementById('session-status');
+            if (status) {
+                status.textContent = message;
+            }
+        }
+    };
+    
+    // Add session planner to the namespace
+    window.WorkBuddies.sessionPlanner = sessionPlanner;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        sessionPlanner.init();
+    });
+    
+})(window);
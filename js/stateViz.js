@@ -11,10 +11,22 @@
         window.WorkBuddies = {};
     }
     
+    // Computed styles copied onto exported SVG elements, so the file looks the same outside the page
+    const EXPORT_STYLE_PROPERTIES = [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'opacity',
+        'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+    ];
+    
+    // Page layout for the PDF report, in points
+    const REPORT_MARGIN = 48;
+    const REPORT_ROW_HEIGHT = 18;
+    
     // State visualization module
     const stateViz = {
         chart: null,
         isInitialized: false,
+        exportControlsReady: false,
+        groupBy: 'state',
         
         /**
          * Check if D3 is available
@@ -56,6 +68,8 @@
          */
         initStateViz: function() {
             try {
+                this.initExportControls();
+                
                 // Check if D3 is available
                 if (!this.isD3Available()) {
                     console.warn("D3 library not available. State visualization cannot be initialized.");
@@ -90,6 +104,34 @@
             }
         },
         
+        /**
+         * Wire the chart's grouping option and its SVG and PDF export buttons (once)
+         */
+        initExportControls: function() {
+            if (this.exportControlsReady) return;
+            this.exportControlsReady = true;
+            
+            const groupSelect = document.getElementById('state-viz-group');
+            if (groupSelect) {
+                groupSelect.value = this.groupBy;
+                groupSelect.addEventListener('change', () => {
+                    this.groupBy = groupSelect.value === 'timezone' ? 'timezone' : 'state';
+                    this.updateStateViz();
+                });
+            }
+            
+            const svgBtn = document.getElementById('state-export-svg');
+            const pdfBtn = document.getElementById('state-export-pdf');
+            
+            if (svgBtn) {
+                svgBtn.addEventListener('click', () => this.exportStateVizAsSVG());
+            }
+            
+            if (pdfBtn) {
+                pdfBtn.addEventListener('click', () => this.exportStateReportPDF());
+            }
+        },
+        
         /**
          * Show a message when D3 is not available
          */
@@ -163,6 +205,9 @@
                 const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered : 
                              (window.workBuddiesData ? window.workBuddiesData.filtered : []);
                 
+                // Growth over time, drawn under the bar chart when the roster has join dates
+                this.updateGrowthChart(data || []);
+                
                 if (!data || data.length === 0) {
                     svg.append('text')
                         .attr('x', '50%')
@@ -185,20 +230,21 @@
                 const chartGroup = svg.append('g')
                     .attr('transform', `translate(${margin.left},${margin.top})`);
                 
-                // Count buddies by state
-                const stateCounts = {};
-                data.forEach(buddy => {
-                    if (buddy && buddy.State) {
-                        const state = this.sanitizeString(buddy.State);
-                        stateCounts[state] = (stateCounts[state] || 0) + 1;
-                    }
-                });
+                // Count buddies by state, or by time zone from east to west
+                const timeZones = window.WorkBuddies.timeZones;
+                const byTimeZone = this.groupBy === 'timezone' && !!timeZones;
+                const stateData = byTimeZone ? timeZones.getCounts(data) : this.getStateCounts(data);
+                const keyOf = d => byTimeZone ? d.zone : d.state;
                 
-                // Convert to array for D3
-                const stateData = Object.entries(stateCounts).map(([state, count]) => ({
-                    state: this.sanitizeString(state),
-                    count
-                })).sort((a, b) => b.count - a.count);
+                if (stateData.length === 0) {
+                    svg.append('text')
+                        .attr('x', '50%')
+                        .attr('y', '50%')
+                        .attr('text-anchor', 'middle')
+                        .attr('dominant-baseline', 'middle')
+                        .text(byTimeZone ? 'No time zones to display' : 'No data to display');
+                    return;
+                }
                 
                 // Add title
                 chartGroup.append('text')
@@ -207,17 +253,23 @@
                     .attr('text-anchor', 'middle')
                     .style('font-size', '16px')
                     .style('font-weight', 'bold')
-                    .text('Spuddy Distribution by State');
+                    .text(byTimeZone ? 'Spuddies by Time Zone' : 'Spuddy Distribution by State');
                 
                 // X axis
                 const x = d3.scaleBand()
                     .range([0, width])
-                    .domain(stateData.map(d => d.state))
+                    .domain(stateData.map(keyOf))
                     .padding(0.2);
                 
+                // Time zones are labelled by their main city to keep the axis short
+                const xAxis = d3.axisBottom(x);
+                if (byTimeZone) {
+                    xAxis.tickFormat(zone => timeZones.getShortName(zone));
+                }
+                
                 chartGroup.append('g')
                     .attr('transform', `translate(0,${height})`)
-                    .call(d3.axisBottom(x))
+                    .call(xAxis)
                     .selectAll('text')
                     .attr('transform', 'translate(-10,0)rotate(-45)')
                     .style('text-anchor', 'end');
@@ -248,83 +300,37 @@
                     .enter()
                     .append('rect')
                     .attr('class', 'bar')
-                    .attr('x', d => x(d.state))
+                    .attr('x', d => x(keyOf(d)))
                     .attr('y', height) // Start from the bottom for animation
                     .attr('width', x.bandwidth())
                     .attr('height', 0) // Start with height 0 for animation
-                    .attr('fill', d => {
-                        // Gradient from orange (high) to blue (low)
-                        const ratio = d.count / maxCount;
-                        return d3.interpolateRgb('#4682B4', '#FF8C00')(ratio);
-                    })
+                    .attr('fill', d => self.getCountColor(d.count / maxCount))
                     .on('mouseover', function(event, d) {
                         d3.select(this).attr('fill', '#FFD700'); // Highlight on hover
                         
                         // Add tooltip
                         const tooltip = chartGroup.append('g')
                             .attr('class', 'tooltip')
-                            .attr('transform', `translate(${x(d.state) + x.bandwidth() / 2},${y(d.count) - 10})`);
+                            .attr('transform', `translate(${x(keyOf(d)) + x.bandwidth() / 2},${y(d.count) - 10})`);
                         
                         tooltip.append('text')
                             .attr('text-anchor', 'middle')
-                            .text(`${d.count} Spuddies`)
+                            .text(byTimeZone ? `${d.label}: ${d.count} Spuddies` : `${d.count} Spuddies`)
                             .style('font-size', '12px')
                             .style('font-weight', 'bold');
                     })
                     .on('mouseout', function(event, d) {
                         // Revert color on mouseout
-                        const ratio = d.count / maxCount;
-                        d3.select(this).attr('fill', d3.interpolateRgb('#4682B4', '#FF8C00')(ratio));
+                        d3.select(this).attr('fill', self.getCountColor(d.count / maxCount));
                         
                         // Remove tooltip
                         chartGroup.select('.tooltip').remove();
                     })
                     .on('click', function(event, d) {
-                        // Filter to show only buddies from this state
-                        const stateFilter = document.getElementById('state-filter');
-                        if (stateFilter) stateFilter.value = d.state;
-                        
-                        // Call filterData function
-                        if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
-                            window.WorkBuddies.utils.filterData();
-                        } else if (typeof filterData === 'function') {
-                            filterData();
-                        }
-                        
-                        // Switch to map view
-                        if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.switchTab === 'function') {
-                            window.WorkBuddies.utils.switchTab('map');
-                        } else if (typeof switchTab === 'function') {
-                            switchTab('map');
-                        }
-                        
-                        // Find buddies in this state
-                        const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered : 
-                                     (window.workBuddiesData ? window.workBuddiesData.filtered : []);
-                                    
-                        const stateBuddies = data.filter(buddy => buddy.State === d.state);
-                        
-                        // Focus map on these buddies
-                        if (stateBuddies.length > 0) {
-                            const map = window.WorkBuddies.mapViz?.map || window.map;
-                            
-                            if (map) {
-                                // Create bounds to fit all buddies in this state
-                                const bounds = L.latLngBounds();
-                                stateBuddies.forEach(buddy => {
-                                    // Handle both camelCase and PascalCase property names
-                                    const lat = buddy.latitude || buddy.Latitude;
-                                    const lng = buddy.longitude || buddy.Longitude;
-                                    if (lat && lng) {
-                                        bounds.extend([lat, lng]);
-                                    }
-                                });
-                                
-                                // If valid bounds, fit map to these bounds
-                                if (bounds.isValid()) {
-                                    map.fitBounds(bounds, { padding: [50, 50] });
-                                }
-                            }
+                        if (byTimeZone) {
+                            self.focusOnTimeZone(d.zone);
+                        } else {
+                            self.focusOnState(d.state);
                         }
                     })
                     // Animate bars growing upward
@@ -345,6 +351,228 @@
             }
         },
         
+        /**
+         * Draw the cumulative number of Spuddies by join date
+         * Hidden when none of the data has a join date
+         * @param {Object[]} data - Buddy data objects
+         */
+        updateGrowthChart: function(data) {
+            const container = document.getElementById('growth-viz-container');
+            if (!container) return;
+            
+            container.innerHTML = '';
+            
+            const series = this.getGrowthSeries(data);
+            container.hidden = series.length === 0;
+            if (series.length === 0) return;
+            
+            const containerWidth = container.clientWidth || 800;
+            const containerHeight = 300;
+            
+            const margin = { top: 30, right: 30, bottom: 50, left: 60 };
+            const width = containerWidth - margin.left - margin.right;
+            const height = containerHeight - margin.top - margin.bottom;
+            
+            const first = series[0];
+            const last = series[series.length - 1];
+            const formatDate = date => window.WorkBuddies.timeline ?
+                window.WorkBuddies.timeline.formatDate(date) : date;
+            
+            const svg = d3.select(container)
+                .append('svg')
+                .attr('width', '100%')
+                .attr('height', `${containerHeight}px`)
+                .attr('class', 'growth-viz-svg')
+                .attr('role', 'img')
+                .attr('aria-label', `Cumulative Spuddies by join date: ${first.count} by ${formatDate(first.key)}, ` +
+                    `${last.count} by ${formatDate(last.key)}`);
+            
+            const chartGroup = svg.append('g')
+                .attr('transform', `translate(${margin.left},${margin.top})`);
+            
+            chartGroup.append('text')
+                .attr('x', width / 2)
+                .attr('y', -10)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '16px')
+                .style('font-weight', 'bold')
+                .text('Community Growth Over Time');
+            
+            // A single join date still needs a time span to draw
+            const start = series.length > 1 ? first.date : new Date(first.date.getTime() - 24 * 60 * 60 * 1000);
+            const x = d3.scaleUtc()
+                .domain([start, last.date])
+                .range([0, width]);
+            
+            chartGroup.append('g')
+                .attr('transform', `translate(0,${height})`)
+                .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(width / 100))));
+            
+            const y = d3.scaleLinear()
+                .domain([0, last.count * 1.1])
+                .range([height, 0]);
+            
+            chartGroup.append('g')
+                .call(d3.axisLeft(y).ticks(Math.min(10, last.count)).tickFormat(d3.format('d')));
+            
+            chartGroup.append('text')
+                .attr('transform', 'rotate(-90)')
+                .attr('y', -40)
+                .attr('x', -height / 2)
+                .attr('text-anchor', 'middle')
+                .text('Total Spuddies');
+            
+            // Totals only change on join dates, so draw steps rather than slopes
+            const line = d3.line()
+                .x(d => x(d.date))
+                .y(d => y(d.count))
+                .curve(d3.curveStepAfter);
+            
+            chartGroup.append('path')
+                .datum(series)
+                .attr('class', 'growth-line')
+                .attr('d', line);
+            
+            chartGroup.selectAll('.growth-point')
+                .data(series)
+                .enter()
+                .append('circle')
+                .attr('class', 'growth-point')
+                .attr('cx', d => x(d.date))
+                .attr('cy', d => y(d.count))
+                .attr('r', 3)
+                .append('title')
+                .text(d => `${formatDate(d.key)}: ${d.count} Spuddies`);
+            
+            const undated = data.filter(buddy => buddy && !buddy.JoinedDate).length;
+            if (undated > 0) {
+                chartGroup.append('text')
+                    .attr('x', width / 2)
+                    .attr('y', height + 40)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '12px')
+                    .text(undated === 1 ? '1 Spuddy has no join date and is not counted' :
+                        `${undated} Spuddies have no join date and are not counted`);
+            }
+        },
+        
+        /**
+         * Count buddies joined by each join date
+         * @param {Object[]} data - Buddy data objects
+         * @returns {Array<{key: string, date: Date, count: number}>} - Running totals, oldest first
+         */
+        getGrowthSeries: function(data) {
+            const perDate = {};
+            (data || []).forEach(buddy => {
+                if (buddy && buddy.JoinedDate) {
+                    perDate[buddy.JoinedDate] = (perDate[buddy.JoinedDate] || 0) + 1;
+                }
+            });
+            
+            let total = 0;
+            return Object.keys(perDate).sort().map(key => {
+                total += perDate[key];
+                return { key, date: new Date(`${key}T00:00:00Z`), count: total };
+            });
+        },
+        
+        /**
+         * Count buddies by state
+         * @param {Object[]} data - Buddy data objects
+         * @returns {Array<{state: string, count: number}>} - Counts sorted from most to fewest
+         */
+        getStateCounts: function(data) {
+            const stateCounts = {};
+            (data || []).forEach(buddy => {
+                if (buddy && buddy.State) {
+                    const state = this.sanitizeString(buddy.State);
+                    stateCounts[state] = (stateCounts[state] || 0) + 1;
+                }
+            });
+            
+            // Convert to array for D3
+            return Object.entries(stateCounts).map(([state, count]) => ({
+                state: this.sanitizeString(state),
+                count
+            })).sort((a, b) => b.count - a.count);
+        },
+        
+        /**
+         * Get the fill color for a count relative to the largest count
+         * @param {number} ratio - Value between 0 and 1
+         * @returns {string} - Color on the blue (low) to orange (high) gradient
+         */
+        getCountColor: function(ratio) {
+            return d3.interpolateRgb('#4682B4', '#FF8C00')(ratio);
+        },
+        
+        /**
+         * Filter to a state, switch to the map and fit it to that state's buddies
+         * @param {string} state - State to focus on
+         */
+        focusOnState: function(state) {
+            // Filter to show only buddies from this state
+            const stateFilter = document.getElementById('state-filter');
+            if (stateFilter) stateFilter.value = state;
+            
+            // Call filterData function
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
+                window.WorkBuddies.utils.filterData();
+            } else if (typeof filterData === 'function') {
+                filterData();
+            }
+            
+            // Switch to map view
+            if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.switchTab === 'function') {
+                window.WorkBuddies.utils.switchTab('map');
+            } else if (typeof switchTab === 'function') {
+                switchTab('map');
+            }
+            
+            // Find buddies in this state
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered : 
+                         (window.workBuddiesData ? window.workBuddiesData.filtered : []);
+                        
+            const stateBuddies = data.filter(buddy => buddy.State === state);
+            
+            // Focus map on these buddies
+            if (stateBuddies.length > 0) {
+                const map = window.WorkBuddies.mapViz?.map || window.map;
+                
+                if (map) {
+                    // Create bounds to fit all buddies in this state
+                    const bounds = L.latLngBounds();
+                    stateBuddies.forEach(buddy => {
+                        // Handle both camelCase and PascalCase property names
+                        const lat = buddy.latitude || buddy.Latitude;
+                        const lng = buddy.longitude || buddy.Longitude;
+                        if (lat && lng) {
+                            bounds.extend([lat, lng]);
+                        }
+                    });
+                    
+                    // If valid bounds, fit map to these bounds
+                    if (bounds.isValid()) {
+                        map.fitBounds(bounds, { padding: [50, 50] });
+                    }
+                }
+            }
+        },
+        
+        /**
+         * Filter to a time zone and switch to the map, which fits itself to the remaining buddies
+         * @param {string} zone - IANA time zone
+         */
+        focusOnTimeZone: function(zone) {
+            const timeZoneFilter = document.getElementById('timezone-filter');
+            if (timeZoneFilter) timeZoneFilter.value = zone;
+            
+            const utils = window.WorkBuddies.utils;
+            if (utils && typeof utils.filterData === 'function') {
+                utils.filterData().then(() => utils.switchTab('map'));
+            }
+        },
+        
         /**
          * Clean up resources when switching tabs
          */
@@ -394,6 +622,249 @@
                     container.classList.remove('exporting');
                 });
             }, 300);
+        },
+        
+        /**
+         * Build a standalone copy of the chart SVG
+         * Computed styles are inlined so the current light or dark theme is kept
+         * @returns {{markup: string, width: number, height: number}|null} - SVG markup and size, or null if there is no chart
+         */
+        getExportSVG: function() {
+            const svg = document.querySelector('.state-viz-svg');
+            if (!svg) return null;
+            
+            const bounds = svg.getBoundingClientRect();
+            const width = Math.round(bounds.width) || 800;
+            const height = Math.round(bounds.height) || 500;
+            
+            const clone = svg.cloneNode(true);
+            
+            // Both trees list elements in the same order, so styles can be copied pairwise
+            const sourceElements = svg.querySelectorAll('*');
+            const cloneElements = clone.querySelectorAll('*');
+            const tooltips = [];
+            sourceElements.forEach((element, index) => {
+                // Hover tooltips are not part of the chart; found here, while the classes are still on
+                if (element.closest('.tooltip')) {
+                    if (element.classList.contains('tooltip')) {
+                        tooltips.push(cloneElements[index]);
+                    }
+                    return;
+                }
+                
+                const computed = window.getComputedStyle(element);
+                const style = EXPORT_STYLE_PROPERTIES
+                    .map(property => `${property}:${computed.getPropertyValue(property)}`)
+                    .join(';');
+                cloneElements[index].setAttribute('style', style);
+                cloneElements[index].removeAttribute('class');
+            });
+            
+            // Removed after the loop so the two lists stay paired
+            tooltips.forEach(tooltip => tooltip.remove());
+            
+            clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+            clone.setAttribute('width', width);
+            clone.setAttribute('height', height);
+            clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+            clone.removeAttribute('class');
+            
+            // The page background comes from CSS, so draw it into the file
+            const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            background.setAttribute('width', '100%');
+            background.setAttribute('height', '100%');
+            background.setAttribute('fill', window.getComputedStyle(svg).backgroundColor);
+            clone.insertBefore(background, clone.firstChild);
+            
+            const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+            
+            return { markup, width, height };
+        },
+        
+        /**
+         * Export the state visualization as a vector SVG file
+         */
+        exportStateVizAsSVG: function() {
+            const exported = this.getExportSVG();
+            if (!exported) {
+                alert('The State Distribution chart is not available to export yet.');
+                return;
+            }
+            
+            const dataExport = window.WorkBuddies.dataExport;
+            const fileName = window.WorkBuddies.utils.getExportFileName('svg', 'states');
+            
+            if (dataExport && typeof dataExport.downloadFile === 'function') {
+                dataExport.downloadFile(exported.markup, fileName, 'image/svg+xml');
+            }
+        },
+        
+        /**
+         * Render SVG markup to a PNG data URL
+         * @param {{markup: string, width: number, height: number}} exported - SVG from getExportSVG
+         * @param {number} scale - Pixel density multiplier
+         * @returns {Promise<string>} Promise that resolves with the PNG data URL
+         */
+        renderSVGToPNG: function(exported, scale) {
+            return new Promise((resolve, reject) => {
+                const image = new Image();
+                
+                image.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = exported.width * scale;
+                    canvas.height = exported.height * scale;
+                    
+                    const context = canvas.getContext('2d');
+                    context.scale(scale, scale);
+                    context.drawImage(image, 0, 0, exported.width, exported.height);
+                    
+                    resolve(canvas.toDataURL('image/png'));
+                };
+                image.onerror = () => reject(new Error('Failed to render chart'));
+                
+                // A data URL keeps the image same-origin, so the canvas can be read back
+                image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(exported.markup);
+            });
+        },
+        
+        /**
+         * Get the full name of a state or province
+         * @param {string} code - State or province postal code
+         * @returns {string} - Full name, or an empty string if unknown
+         */
+        getStateName: function(code) {
+            const subdivisions = window.WorkBuddies.dataNormalizer ? window.WorkBuddies.dataNormalizer.SUBDIVISIONS : {};
+            
+            for (const country of Object.keys(subdivisions)) {
+                if (subdivisions[country][code]) return subdivisions[country][code];
+            }
+            
+            return '';
+        },
+        
+        /**
+         * Export a printable PDF report with the chart, a per-state table and the active filters
+         * @returns {Promise} Promise that resolves once the download has started
+         */
+        exportStateReportPDF: async function() {
+            if (!window.jspdf || typeof window.jspdf.jsPDF !== 'function') {
+                alert('PDF library not loaded. Please refresh the page and try again.');
+                return;
+            }
+            
+            const exported = this.getExportSVG();
+            if (!exported) {
+                alert('The State Distribution chart is not available to export yet.');
+                return;
+            }
+            
+            try {
+                const utils = window.WorkBuddies.utils;
+                const store = window.WorkBuddies.data || {};
+                const data = store.filtered || [];
+                const total = store.raw ? store.raw.length : data.length;
+                
+                // Report on the same grouping as the chart
+                const timeZones = window.WorkBuddies.timeZones;
+                const byTimeZone = this.groupBy === 'timezone' && !!timeZones;
+                const stateData = byTimeZone ? timeZones.getCounts(data) : this.getStateCounts(data);
+                const groupName = byTimeZone ?
+                    (stateData.length === 1 ? 'time zone' : 'time zones') :
+                    (stateData.length === 1 ? 'state or province' : 'states and provinces');
+                
+                const doc = new window.jspdf.jsPDF({ unit: 'pt', format: 'letter' });
+                const pageWidth = doc.internal.pageSize.getWidth();
+                const pageHeight = doc.internal.pageSize.getHeight();
+                const contentWidth = pageWidth - REPORT_MARGIN * 2;
+                let y = REPORT_MARGIN;
+                
+                // Title and filter summary
+                doc.setFont('helvetica', 'bold');
+                doc.setFontSize(18);
+                doc.text(byTimeZone ? 'WorkBuddies Time Zone Report' : 'WorkBuddies State Report', REPORT_MARGIN, y);
+                y += 20;
+                
+                doc.setFont('helvetica', 'normal');
+                doc.setFontSize(10);
+                doc.text(`Generated ${new Date().toLocaleString()}`, REPORT_MARGIN, y);
+                y += 24;
+                
+                doc.setFont('helvetica', 'bold');
+                doc.setFontSize(12);
+                doc.text('Filters', REPORT_MARGIN, y);
+                y += 16;
+                
+                doc.setFont('helvetica', 'normal');
+                doc.setFontSize(10);
+                const filters = utils.getFilterSummary();
+                (filters.length > 0 ? filters : ['None (all Spuddies)']).forEach(line => {
+                    doc.splitTextToSize(line, contentWidth).forEach(wrapped => {
+                        doc.text(wrapped, REPORT_MARGIN, y);
+                        y += 14;
+                    });
+                });
+                doc.text(`Showing ${data.length} of ${total} Spuddies in ${stateData.length} ${groupName}`, REPORT_MARGIN, y);
+                y += 24;
+                
+                // Chart, scaled to the page width at print resolution
+                const image = await this.renderSVGToPNG(exported, 3);
+                const imageHeight = contentWidth * exported.height / exported.width;
+                doc.addImage(image, 'PNG', REPORT_MARGIN, y, contentWidth, imageHeight);
+                
+                // Per-state (or per-time-zone) table on its own pages
+                doc.addPage();
+                y = REPORT_MARGIN;
+                
+                const columns = [
+                    { label: byTimeZone ? 'Zone' : 'State', x: REPORT_MARGIN, align: 'left' },
+                    { label: 'Name', x: REPORT_MARGIN + (byTimeZone ? 90 : 60), align: 'left' },
+                    { label: 'Spuddies', x: REPORT_MARGIN + contentWidth - 90, align: 'right' },
+                    { label: 'Share', x: REPORT_MARGIN + contentWidth, align: 'right' }
+                ];
+                
+                const drawHeader = () => {
+                    doc.setFont('helvetica', 'bold');
+                    doc.setFontSize(10);
+                    columns.forEach(column => doc.text(column.label, column.x, y, { align: column.align }));
+                    doc.line(REPORT_MARGIN, y + 5, REPORT_MARGIN + contentWidth, y + 5);
+                    doc.setFont('helvetica', 'normal');
+                    y += REPORT_ROW_HEIGHT;
+                };
+                
+                doc.setFont('helvetica', 'bold');
+                doc.setFontSize(12);
+                doc.text(byTimeZone ? 'Spuddies by Time Zone' : 'Spuddies by State and Province', REPORT_MARGIN, y);
+                y += 24;
+                drawHeader();
+                
+                stateData.forEach(d => {
+                    if (y > pageHeight - REPORT_MARGIN - REPORT_ROW_HEIGHT) {
+                        doc.addPage();
+                        y = REPORT_MARGIN;
+                        drawHeader();
+                    }
+                    
+                    const share = data.length ? `${((d.count / data.length) * 100).toFixed(1)}%` : '';
+                    const values = byTimeZone ?
+                        [timeZones.getShortName(d.zone), d.label, String(d.count), share] :
+                        [d.state, this.getStateName(d.state), String(d.count), share];
+                    columns.forEach((column, index) => doc.text(values[index], column.x, y, { align: column.align }));
+                    y += REPORT_ROW_HEIGHT;
+                });
+                
+                // Page numbers
+                const pageCount = doc.getNumberOfPages();
+                for (let page = 1; page <= pageCount; page++) {
+                    doc.setPage(page);
+                    doc.setFontSize(9);
+                    doc.text(`Page ${page} of ${pageCount}`, pageWidth / 2, pageHeight - REPORT_MARGIN / 2, { align: 'center' });
+                }
+                
+                doc.save(utils.getExportFileName('pdf', byTimeZone ? 'timezones' : 'states'));
+            } catch (error) {
+                console.error('Error exporting state report');
+                alert('Failed to export the state report. Please try again.');
+            }
         }
     };
     
@@ -405,5 +876,7 @@
     window.updateStateViz = function() { stateViz.updateStateViz(); };
     window.cleanupStateViz = function() { stateViz.cleanupStateViz(); };
     window.exportStateVizAsPNG = function() { stateViz.exportStateVizAsPNG(); };
+    window.exportStateVizAsSVG = function() { stateViz.exportStateVizAsSVG(); };
+    window.exportStateReportPDF = function() { return stateViz.exportStateReportPDF(); };
     
 })(window);
\ No newline at end of file
@@ -0,0 +1,414 @@
+/**
+ * Time zones for WorkBuddies
+ * Derives each Spuddy's IANA time zone offline from their location, for local times and the time-zone filter
+ *
+ * There is no bundled time-zone boundary data. Coordinates are matched to a state or province with the
+ * bundled outlines in data/regions.geojson, and the zone comes from the hand-written US and Canada table
+ * below. States split between zones use rough longitude/latitude boxes, so members near those lines can
+ * get the neighbouring zone, and members outside the US and Canada get no zone unless their profile gives one.
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Time zone of each US state and Canadian province, by country code. States split between zones
+    // list rules checked in order (a zone and the longitude/latitude box it covers), then the zone
+    // for the rest of the state. The boxes are approximate; the real lines follow county borders.
+    const STATE_TIME_ZONES = {
+        US: {
+            AL: 'America/Chicago',
+            AK: [{ zone: 'America/Adak', maxLng: -169.5 }, 'America/Anchorage'],
+            AZ: 'America/Phoenix',
+            AR: 'America/Chicago',
+            CA: 'America/Los_Angeles',
+            CO: 'America/Denver',
+            CT: 'America/New_York',
+            DE: 'America/New_York',
+            DC: 'America/New_York',
+            FL: [{ zone: 'America/Chicago', maxLng: -85.0 }, 'America/New_York'],
+            GA: 'America/New_York',
+            HI: 'Pacific/Honolulu',
+            ID: [{ zone: 'America/Los_Angeles', minLat: 45.5 }, 'America/Boise'],
+            IL: 'America/Chicago',
+            IN: [
+                { zone: 'America/Chicago', maxLng: -86.8, minLat: 40.8 },
+                { zone: 'America/Chicago', maxLng: -86.6, maxLat: 38.4 },
+                'America/Indiana/Indianapolis'
+            ],
+            IA: 'America/Chicago',
+            KS: [{ zone: 'America/Denver', maxLng: -101.5 }, 'America/Chicago'],
+            KY: [{ zone: 'America/New_York', minLng: -85.95 }, 'America/Chicago'],
+            LA: 'America/Chicago',
+            ME: 'America/New_York',
+            MD: 'America/New_York',
+            MA: 'America/New_York',
+            MI: [{ zone: 'America/Menominee', maxLng: -87.5, minLat: 45.0, maxLat: 46.5 }, 'America/Detroit'],
+            MN: 'America/Chicago',
+            MS: 'America/Chicago',
+            MO: 'America/Chicago',
+            MT: 'America/Denver',
+            NE: [{ zone: 'America/Denver', maxLng: -101.2 }, 'America/Chicago'],
+            NV: 'America/Los_Angeles',
+            NH: 'America/New_York',
+            NJ: 'America/New_York',
+            NM: 'America/Denver',
+            NY: 'America/New_York',
+            NC: 'America/New_York',
+            ND: [{ zone: 'America/Denver', maxLng: -101.0, maxLat: 47.3 }, 'America/Chicago'],
+            OH: 'America/New_York',
+            OK: 'America/Chicago',
+            OR: [{ zone: 'America/Boise', minLng: -118.2, maxLat: 44.3 }, 'America/Los_Angeles'],
+            PA: 'America/New_York',
+            RI: 'America/New_York',
+            SC: 'America/New_York',
+            SD: [{ zone: 'America/Denver', maxLng: -100.5 }, 'America/Chicago'],
+            TN: [
+                { zone: 'America/New_York', minLng: -84.95 },
+                { zone: 'America/New_York', minLng: -85.5, maxLat: 35.25 },
+                'America/Chicago'
+            ],
+            TX: [{ zone: 'America/Denver', maxLng: -104.9 }, 'America/Chicago'],
+            UT: 'America/Denver',
+            VT: 'America/New_York',
+            VA: 'America/New_York',
+            WA: 'America/Los_Angeles',
+            WV: 'America/New_York',
+            WI: 'America/Chicago',
+            WY: 'America/Denver'
+        },
+        CA: {
+            AB: 'America/Edmonton',
+            BC: [
+                { zone: 'America/Edmonton', minLng: -117.4, maxLat: 51.8 },
+                { zone: 'America/Dawson_Creek', minLng: -122.5, minLat: 55.7 },
+                'America/Vancouver'
+            ],
+            MB: 'America/Winnipeg',
+            NB: 'America/Moncton',
+            NL: [{ zone: 'America/Goose_Bay', minLat: 51.5 }, 'America/St_Johns'],
+            NS: 'America/Halifax',
+            NT: 'America/Edmonton',
+            NU: [
+                { zone: 'America/Cambridge_Bay', maxLng: -102.0 },
+                { zone: 'America/Rankin_Inlet', maxLng: -85.0 },
+                'America/Iqaluit'
+            ],
+            ON: [{ zone: 'America/Winnipeg', maxLng: -90.0 }, 'America/Toronto'],
+            PE: 'America/Halifax',
+            QC: 'America/Toronto',
+            SK: 'America/Regina',
+            YT: 'America/Whitehorse'
+        }
+    };
+    
+    // Time zones module
+    const timeZones = {
+        STATE_TIME_ZONES: STATE_TIME_ZONES,
+        zoneCache: new WeakMap(),
+        formatters: new Map(),
+        
+        /**
+         * Set up the time-zone filter
+         */
+        init: function() {
+            const filter = document.getElementById('timezone-filter');
+            if (!filter) return;
+            
+            filter.addEventListener('change', () => {
+                if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
+                    window.WorkBuddies.utils.filterData();
+                }
+            });
+        },
+        
+        /**
+         * Work out each record's time zone from its entered coordinates
+         * Run by dataLoader.prepareRecords before privacy.apply, which may move the coordinates
+         * to a state or country center in another zone
+         * @param {Object[]} data - Buddy records (updated in place)
+         * @returns {Promise} Promise that resolves once every record has a geoTimeZone field
+         */
+        assignZones: async function(data) {
+            const regions = window.WorkBuddies.regions;
+            if (regions && typeof regions.loadBoundaries === 'function') {
+                try {
+                    await regions.loadBoundaries();
+                } catch (error) {
+                    console.warn("State outlines not available. Time zones will follow the State column.");
+                }
+            }
+            
+            data.forEach(buddy => {
+                if (buddy) {
+                    buddy.geoTimeZone = this.lookupZone(buddy) || '';
+                }
+            });
+        },
+        
+        /**
+         * Get a buddy's time zone
+         * A valid Timezone profile column wins; otherwise the zone stored by assignZones is used,
+         * or looked up from the coordinates for records that did not go through it
+         * @param {Object} buddy - Buddy data object
+         * @returns {string|null} - IANA time zone, or null if it cannot be worked out
+         */
+        getZone: function(buddy) {
+            if (!buddy || typeof buddy !== 'object') return null;
+            if (this.zoneCache.has(buddy)) return this.zoneCache.get(buddy);
+            
+            let zone = this.getProfileZone(buddy);
+            if (!zone && typeof buddy.geoTimeZone === 'string') {
+                zone = buddy.geoTimeZone || null;
+            } else if (!zone && buddy.Visibility !== 'country') {
+                // Coarsened country-level locations are a placeholder in the middle of the country
+                zone = this.lookupZone(buddy);
+            }
+            
+            // Only cache once the outlines are in, so an early lookup is not kept
+            const regions = window.WorkBuddies.regions;
+            if (regions && regions.boundaries) {
+                this.zoneCache.set(buddy, zone);
+            }
+            
+            return zone;
+        },
+        
+        /**
+         * Read the time zone a buddy gave in their profile
+         * @param {Object} buddy - Buddy data object
+         * @returns {string|null} - IANA time zone, or null if none was given or it is invalid
+         */
+        getProfileZone: function(buddy) {
+            const profileSchema = window.WorkBuddies.profileSchema;
+            if (!profileSchema) return null;
+            
+            const field = profileSchema.PROFILE_FIELDS.find(entry => entry.type === 'timezone');
+            const text = field ? profileSchema.getRawValue(buddy, field) : '';
+            if (!text) return null;
+            
+            return profileSchema.validateValue(field, text).value || null;
+        },
+        
+        /**
+         * Look up a buddy's time zone from their coordinates
+         * The state is found from the bundled outlines, falling back to the State column near borders and coasts
+         * @param {Object} buddy - Buddy data object
+         * @returns {string|null} - IANA time zone, or null if the location is unknown
+         */
+        lookupZone: function(buddy) {
+            const lat = buddy.latitude;
+            const lng = buddy.longitude;
+            
+            if (!lat || !lng) return null;
+            
+            const regions = window.WorkBuddies.regions;
+            const feature = regions && typeof regions.findBoundaryAt === 'function' ? regions.findBoundaryAt(lat, lng) : null;
+            const country = feature ? feature.properties.country : buddy.Country;
+            const state = feature ? feature.properties.code : buddy.State;
+            
+            const entry = STATE_TIME_ZONES[country] ? STATE_TIME_ZONES[country][state] : null;
+            if (!entry) return null;
+            if (typeof entry === 'string') return entry;
+            
+            const rule = entry.find(item => typeof item === 'string' ||
+                ((item.minLng === undefined || lng >= item.minLng) &&
+                (item.maxLng === undefined || lng <= item.maxLng) &&
+                (item.minLat === undefined || lat >= item.minLat) &&
+                (item.maxLat === undefined || lat <= item.maxLat)));
+            
+            return typeof rule === 'string' ? rule : rule.zone;
+        },
+        
+        /**
+         * Get a cached date formatter for a time zone
+         * @param {string} zone - IANA time zone
+         * @param {string} kind - "parts" for offset calculations, "time" for display
+         * @returns {Intl.DateTimeFormat} - Formatter
+         */
+        getFormatter: function(zone, kind) {
+            const key = `${kind}|${zone}`;
+            
+            if (!this.formatters.has(key)) {
+                const options = kind === 'parts' ?
+                    { timeZone: zone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric' } :
+                    { timeZone: zone, weekday: 'short', hour: 'numeric', minute: '2-digit' };
+                this.formatters.set(key, new Intl.DateTimeFormat(kind === 'parts' ? 'en-US' : undefined, options));
+            }
+            
+            return this.formatters.get(key);
+        },
+        
+        /**
+         * Get a time zone's offset from UTC at a moment, including daylight saving time
+         * @param {string} zone - IANA time zone
+         * @param {Date} [date] - Moment to check (defaults to now)
+         * @returns {number} - Minutes ahead of UTC (negative across the Americas)
+         */
+        getOffsetMinutes: function(zone, date = new Date()) {
+            const parts = {};
+            this.getFormatter(zone, 'parts').formatToParts(date).forEach(part => {
+                parts[part.type] = Number(part.value);
+            });
+            
+            const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+            const utc = Math.floor(date.getTime() / 60000) * 60000;
+            
+            return Math.round((local - utc) / 60000);
+        },
+        
+        /**
+         * Format the current time in a time zone
+         * @param {string} zone - IANA time zone
+         * @param {Date} [date] - Moment to show (defaults to now)
+         * @returns {string} - Weekday and time, such as "Mon 3:45 PM"
+         */
+        formatLocalTime: function(zone, date = new Date()) {
+            return this.getFormatter(zone, 'time').format(date);
+        },
+        
+        /**
+         * Get the short name of a time zone, taken from its main city
+         * @param {string} zone - IANA time zone
+         * @returns {string} - City, such as "New York"
+         */
+        getShortName: function(zone) {
+            return String(zone || '').split('/').pop().replace(/_/g, ' ');
+        },
+        
+        /**
+         * Get a readable name for a time zone
+         * @param {string} zone - IANA time zone
+         * @returns {string} - Name such as "Eastern Time (New York)"
+         */
+        getLabel: function(zone) {
+            const city = this.getShortName(zone);
+            
+            try {
+                // The generic name stays the same through daylight saving time
+                const name = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'longGeneric' })
+                    .formatToParts(new Date())
+                    .find(part => part.type === 'timeZoneName');
+                return name ? `${name.value} (${city})` : city;
+            } catch (error) {
+                return city;
+            }
+        },
+        
+        /**
+         * Sort time zones from east to west, as the offsets are now
+         * @param {string[]} zones - IANA time zones
+         * @returns {string[]} - Sorted copy
+         */
+        sortZones: function(zones) {
+            const now = new Date();
+            return zones.slice().sort((a, b) =>
+                this.getOffsetMinutes(b, now) - this.getOffsetMinutes(a, now) || a.localeCompare(b));
+        },
+        
+        /**
+         * Populate the time-zone filter from the loaded data
+         * Called by utils.populateFilters
+         */
+        populateFilter: function() {
+            const filter = document.getElementById('timezone-filter');
+            if (!filter) return;
+            
+            const previousValue = filter.value;
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.raw || [] : [];
+            const zones = this.sortZones(Array.from(new Set(data.map(buddy => this.getZone(buddy)).filter(Boolean))));
+            
+            // Clear existing options (except "All Time Zones")
+            while (filter.options.length > 1) {
+                filter.remove(1);
+            }
+            
+            zones.forEach(zone => {
+                const option = document.createElement('option');
+                option.value = zone;
+                option.textContent = this.getLabel(zone);
+                filter.appendChild(option);
+            });
+            
+            // Keep the previous selection if it still exists
+            filter.value = zones.includes(previousValue) ? previousValue : 'all';
+        },
+        
+        /**
+         * Read the time-zone filter
+         * @returns {string} - Selected IANA time zone, or "all"
+         */
+        getFilterValue: function() {
+            return document.getElementById('timezone-filter')?.value || 'all';
+        },
+        
+        /**
+         * Count buddies by time zone
+         * @param {Object[]} data - Buddy data objects
+         * @returns {Array<{zone: string, label: string, count: number}>} - Counts ordered from east to west
+         */
+        getCounts: function(data) {
+            const counts = {};
+            (data || []).forEach(buddy => {
+                const zone = this.getZone(buddy);
+                if (zone) {
+                    counts[zone] = (counts[zone] || 0) + 1;
+                }
+            });
+            
+            return this.sortZones(Object.keys(counts)).map(zone => ({
+                zone,
+                label: this.getLabel(zone),
+                count: counts[zone]
+            }));
+        },
+        
+        /**
+         * Add a buddy's local time to a popup
+         * @param {HTMLElement} container - Popup element
+         * @param {Object} buddy - Buddy data object
+         */
+        renderInto: function(container, buddy) {
+            const zone = this.getZone(buddy);
+            if (!zone) return;
+            
+            const div = document.createElement('div');
+            div.className = 'local-time';
+            div.dataset.timeZone = zone;
+            div.title = zone;
+            this.updateTimes(div);
+            
+            container.appendChild(div);
+        },
+        
+        /**
+         * Refresh the local times shown in an element
+         * Popups are built ahead of time, so they are refreshed each time one opens
+         * @param {HTMLElement} element - A local-time element or an element containing them
+         */
+        updateTimes: function(element) {
+            if (!element) return;
+            
+            const targets = element.classList && element.classList.contains('local-time') ?
+                [element] : Array.from(element.querySelectorAll('.local-time'));
+            
+            targets.forEach(target => {
+                const zone = target.dataset.timeZone;
+                target.textContent = `Local time: ${this.formatLocalTime(zone)} · ${this.getLabel(zone)}`;
+            });
+        }
+    };
+    
+    // Add time zones to the namespace
+    window.WorkBuddies.timeZones = timeZones;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        timeZones.init();
+    });
+    
+})(window);
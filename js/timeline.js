@@ -0,0 +1,322 @@
+/**
+ * Join-date timeline for WorkBuddies
+ * A map slider that reveals Spuddies in the order they joined, and the "joined between" filter
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Milliseconds between frames while playing
+    const PLAY_INTERVAL = 400;
+    
+    // Roughly how many frames a full playback takes, however many join dates there are
+    const PLAY_FRAMES = 40;
+    
+    // Timeline module
+    const timeline = {
+        map: null,
+        control: null,
+        dates: [],
+        index: 0,
+        playTimer: null,
+        
+        /**
+         * Set up the "joined between" filter inputs
+         */
+        init: function() {
+            ['joined-from-filter', 'joined-to-filter'].forEach(id => {
+                const input = document.getElementById(id);
+                if (!input) return;
+                
+                input.addEventListener('change', () => {
+                    if (window.WorkBuddies.utils && typeof window.WorkBuddies.utils.filterData === 'function') {
+                        window.WorkBuddies.utils.filterData();
+                    }
+                });
+            });
+        },
+        
+        /**
+         * Add the timeline control to a map
+         * @param {Object} map - Leaflet map
+         */
+        attach: function(map) {
+            this.map = map;
+            this.createControl();
+            this.updateControl();
+        },
+        
+        /**
+         * Re-read the join dates after data is loaded
+         * Called by utils.populateFilters
+         */
+        refresh: function() {
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.raw || [] : [];
+            
+            this.pause();
+            this.dates = Array.from(new Set(data
+                .map(buddy => buddy && buddy.JoinedDate)
+                .filter(Boolean))).sort();
+            
+            // Start at the end, with everyone shown
+            this.index = Math.max(this.dates.length - 1, 0);
+            
+            // The date filter only makes sense when the roster has join dates
+            const group = document.getElementById('joined-filter-group');
+            if (group) {
+                group.hidden = this.dates.length === 0;
+            }
+            
+            ['joined-from-filter', 'joined-to-filter'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input && this.dates.length > 0) {
+                    input.min = this.dates[0];
+                    input.max = this.dates[this.dates.length - 1];
+                }
+            });
+            
+            this.updateControl();
+        },
+        
+        /**
+         * Check whether the slider is holding markers back
+         * @returns {boolean} - True unless the slider is at the end
+         */
+        isActive: function() {
+            return this.dates.length > 0 && this.index < this.dates.length - 1;
+        },
+        
+        /**
+         * Check whether a buddy has joined by the slider's date
+         * Everyone is shown at the end of the timeline, including Spuddies without a join date
+         * @param {Object} buddy - Buddy data object
+         * @returns {boolean} - Whether the buddy should be on the map
+         */
+        isRevealed: function(buddy) {
+            if (!this.isActive()) return true;
+            return !!(buddy && buddy.JoinedDate && buddy.JoinedDate <= this.dates[this.index]);
+        },
+        
+        /**
+         * Format a YYYY-MM-DD date for display
+         * @param {string} date - Date as YYYY-MM-DD
+         * @returns {string} - Readable date
+         */
+        formatDate: function(date) {
+            // Join dates have no time zone, so read and print them as UTC
+            return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined,
+                { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+        },
+        
+        /**
+         * Create the play button and slider shown on the map
+         */
+        createControl: function() {
+            this.control = L.control({position: 'bottomleft'});
+            
+            // Store reference to timeline
+            const self = this;
+            
+            this.control.onAdd = function() {
+                const div = L.DomUtil.create('div', 'timeline-controls');
+                
+                const playBtn = L.DomUtil.create('button', 'timeline-play', div);
+                playBtn.type = 'button';
+                playBtn.id = 'timeline-play';
+                playBtn.addEventListener('click', () => self.togglePlay());
+                
+                const slider = L.DomUtil.create('input', '', div);
+                slider.type = 'range';
+                slider.id = 'timeline-slider';
+                slider.min = 0;
+                slider.step = 1;
+                slider.setAttribute('aria-label', 'Joined by');
+                slider.addEventListener('input', () => {
+                    self.pause();
+                    self.setIndex(parseInt(slider.value, 10));
+                });
+                
+                const label = L.DomUtil.create('span', 'timeline-label', div);
+                label.id = 'timeline-label';
+                
+                // Keep slider drags from panning the map
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+                
+                return div;
+            };
+        },
+        
+        /**
+         * Show the control only when there are join dates, and sync it with the current position
+         */
+        updateControl: function() {
+            if (!this.map || !this.control) return;
+            
+            if (this.dates.length === 0) {
+                this.control.remove();
+                return;
+            }
+            
+            if (!this.control.getContainer() || !this.control.getContainer().parentNode) {
+                this.control.addTo(this.map);
+            }
+            
+            const slider = document.getElementById('timeline-slider');
+            if (slider) {
+                slider.max = this.dates.length - 1;
+                slider.value = this.index;
+            }
+            
+            this.updateLabel();
+        },
+        
+        /**
+         * Update the date, count and play button labels
+         */
+        updateLabel: function() {
+            const label = document.getElementById('timeline-label');
+            const slider = document.getElementById('timeline-slider');
+            const playBtn = document.getElementById('timeline-play');
+            if (!label || this.dates.length === 0) return;
+            
+            const data = window.WorkBuddies.data ? window.WorkBuddies.data.filtered || [] : [];
+            const revealed = data.filter(buddy => this.isRevealed(buddy)).length;
+            const text = this.isActive() ?
+                `Joined by ${this.formatDate(this.dates[this.index])}: ${revealed} of ${data.length}` :
+                `Everyone: ${data.length}`;
+            
+            label.textContent = text;
+            if (slider) {
+                slider.setAttribute('aria-valuetext', text);
+            }
+            
+            if (playBtn) {
+                playBtn.textContent = this.playTimer ? '❚❚' : '▶';
+                playBtn.setAttribute('aria-label', this.playTimer ? 'Pause timeline' : 'Play timeline');
+            }
+        },
+        
+        /**
+         * Move the slider to a join date and redraw the map
+         * @param {number} index - Position in the list of join dates
+         */
+        setIndex: function(index) {
+            this.index = Math.min(Math.max(index, 0), Math.max(this.dates.length - 1, 0));
+            
+            const slider = document.getElementById('timeline-slider');
+            if (slider) {
+                slider.value = this.index;
+            }
+            
+            // Keep the viewport still so the community can be watched filling in
+            if (window.WorkBuddies.mapViz && typeof window.WorkBuddies.mapViz.updateMap === 'function') {
+                window.WorkBuddies.mapViz.updateMap({ keepView: true });
+            }
+            
+            this.updateLabel();
+        },
+        
+        /**
+         * Play the timeline from the start, or from the current date if partway through
+         */
+        play: function() {
+            if (this.playTimer || this.dates.length < 2) return;
+            
+            if (!this.isActive()) {
+                this.setIndex(0);
+            }
+            
+            const step = Math.max(1, Math.ceil(this.dates.length / PLAY_FRAMES));
+            
+            this.playTimer = setInterval(() => {
+                this.setIndex(this.index + step);
+                if (!this.isActive()) {
+                    this.pause();
+                }
+            }, PLAY_INTERVAL);
+            
+            this.updateLabel();
+        },
+        
+        /**
+         * Stop playing, leaving the slider where it is
+         */
+        pause: function() {
+            if (!this.playTimer) return;
+            
+            clearInterval(this.playTimer);
+            this.playTimer = null;
+            this.updateLabel();
+        },
+        
+        /**
+         * Play or pause the timeline
+         */
+        togglePlay: function() {
+            if (this.playTimer) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        },
+        
+        /**
+         * Read the "joined between" filter
+         * @returns {{from: string, to: string}|null} - Range as YYYY-MM-DD (either end may be empty), or null if unset
+         */
+        getDateRange: function() {
+            const from = document.getElementById('joined-from-filter')?.value || '';
+            const to = document.getElementById('joined-to-filter')?.value || '';
+            
+            if (!from && !to) return null;
+            
+            // Accept the two dates in either order
+            return from && to && from > to ? { from: to, to: from } : { from, to };
+        },
+        
+        /**
+         * Check whether a buddy joined within a date range
+         * Spuddies without a join date never match a range
+         * @param {Object} buddy - Buddy data object
+         * @param {{from: string, to: string}} range - Range from getDateRange
+         * @returns {boolean} - Whether the buddy matches
+         */
+        matchesDateRange: function(buddy, range) {
+            const date = buddy && buddy.JoinedDate;
+            if (!date) return false;
+            
+            return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+        },
+        
+        /**
+         * Describe the "joined between" filter for reports
+         * @returns {string} - Description, or an empty string when the filter is unset
+         */
+        getDateRangeSummary: function() {
+            const range = this.getDateRange();
+            if (!range) return '';
+            
+            if (range.from && range.to) {
+                return `Joined: ${this.formatDate(range.from)} to ${this.formatDate(range.to)}`;
+            }
+            
+            return range.from ? `Joined: on or after ${this.formatDate(range.from)}` :
+                `Joined: on or before ${this.formatDate(range.to)}`;
+        }
+    };
+    
+    // Add timeline to the namespace
+    window.WorkBuddies.timeline = timeline;
+    
+    // Initialize when document is ready
+    document.addEventListener('DOMContentLoaded', function() {
+        timeline.init();
+    });
+    
+})(window);
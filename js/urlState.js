@@ -0,0 +1,254 @@
+/**
+ * Shareable URL state for WorkBuddies Visualization
+ * Keeps filters, the active tab and the map viewport in the URL hash
+ */
+
+(function(window) {
+    'use strict';
+    
+    // Create namespace for the application if it doesn't exist
+    if (!window.WorkBuddies) {
+        window.WorkBuddies = {};
+    }
+    
+    // Hash parameters that describe filters and tabs (changes create history entries)
+    const FILTER_PARAMS = ['tab', 'name', 'country', 'state', 'region', 'tz', 'q', 'from', 'to'];
+    
+    // Filter inputs keyed by their hash parameter
+    const FILTER_INPUTS = {
+        name: 'name-filter',
+        country: 'country-filter',
+        state: 'state-filter',
+        region: 'region-filter',
+        tz: 'timezone-filter',
+        q: 'query-filter',
+        from: 'joined-from-filter',
+        to: 'joined-to-filter'
+    };
+    
+    // URL state module
+    const urlState = {
+        initialized: false,
+        pushTimer: null,
+        PUSH_DELAY: 500,
+        
+        /**
+         * Initialize URL state: restore from the hash and start tracking changes
+         * @returns {Promise} Promise that resolves once the hash state is applied
+         */
+        init: async function() {
+            if (this.initialized) return;
+            this.initialized = true;
+            
+            // Step through filter changes with browser back and forward
+            window.addEventListener('popstate', () => {
+                this.applyState(this.readHash());
+            });
+            
+            // Track the map viewport without adding history entries
+            const map = window.WorkBuddies.mapViz?.map || window.map;
+            if (map) {
+                map.on('moveend', () => {
+                    this.update({ push: false });
+                });
+            }
+            
+            await this.applyState(this.readHash());
+            
+            // The restored state replaces the entry that loaded the page rather than adding one
+            if (this.pushTimer) {
+                clearTimeout(this.pushTimer);
+                this.pushTimer = null;
+            }
+            this.update({ push: false });
+        },
+        
+        /**
+         * Read state from the URL hash
+         * @returns {Object} - Parsed and validated state
+         */
+        readHash: function() {
+            const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+            const state = {};
+            
+            FILTER_PARAMS.forEach(key => {
+                const value = params.get(key);
+                if (value !== null && value !== '') {
+                    state[key] = value;
+                }
+            });
+            
+            // Only accept a viewport that is numerically valid
+            const zoom = parseInt(params.get('zoom'), 10);
+            const lat = parseFloat(params.get('lat'));
+            const lng = parseFloat(params.get('lng'));
+            
+            if (!isNaN(zoom) && zoom >= 0 && zoom <= 19) {
+                state.zoom = zoom;
+            }
+            
+            if (!isNaN(lat) && !isNaN(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+                state.lat = lat;
+                state.lng = lng;
+            }
+            
+            return state;
+        },
+        
+        /**
+         * Capture the current application state
+         * @returns {Object} - Current state
+         */
+        captureState: function() {
+            const state = {
+                tab: window.WorkBuddies.data ? window.WorkBuddies.data.activeTab : 'map'
+            };
+            
+            Object.keys(FILTER_INPUTS).forEach(key => {
+                const value = document.getElementById(FILTER_INPUTS[key])?.value || '';
+                if (value && value !== 'all') {
+                    state[key] = value;
+                }
+            });
+            
+            const map = window.WorkBuddies.mapViz?.map || window.map;
+            if (map) {
+                const center = map.getCenter();
+                state.zoom = map.getZoom();
+                state.lat = Number(center.lat.toFixed(4));
+                state.lng = Number(center.lng.toFixed(4));
+            }
+            
+            return state;
+        },
+        
+        /**
+         * Serialize state into a hash string
+         * @param {Object} state - State to serialize
+         * @param {string[]} [keys] - Keys to include (defaults to all)
+         * @returns {string} - Hash without the leading "#"
+         */
+        serialize: function(state, keys) {
+            const params = new URLSearchParams();
+            const include = keys || FILTER_PARAMS.concat(['zoom', 'lat', 'lng']);
+            
+            include.forEach(key => {
+                if (state[key] !== undefined && state[key] !== '') {
+                    params.set(key, state[key]);
+                }
+            });
+            
+            return params.toString();
+        },
+        
+        /**
+         * Write the current state to the URL
+         * Filter or tab changes add a history entry; viewport changes replace it
+         * @param {Object} [options] - Update options
+         * @param {boolean} [options.push] - Whether a filter or tab change may add a history entry
+         */
+        update: function(options = {}) {
+            if (!window.history || typeof window.history.replaceState !== 'function') return;
+            
+            const state = this.captureState();
+            const hash = '#' + this.serialize(state);
+            
+            if (hash === window.location.hash) return;
+            
+            // Only create a history entry when the filters or tab actually changed
+            const filtersChanged = this.serialize(state, FILTER_PARAMS) !==
+                this.serialize(this.readHash(), FILTER_PARAMS);
+            
+            try {
+                if (options.push && filtersChanged) {
+                    window.history.pushState(null, '', hash);
+                } else {
+                    window.history.replaceState(null, '', hash);
+                }
+            } catch (e) {
+                console.error('Error updating URL state');
+            }
+        },
+        
+        /**
+         * Record a filter or tab change
+         * Debounced so typing a name creates one history entry, not one per key
+         */
+        recordChange: function() {
+            if (this.pushTimer) {
+                clearTimeout(this.pushTimer);
+            }
+            
+            this.pushTimer = setTimeout(() => {
+                this.pushTimer = null;
+                this.update({ push: true });
+            }, this.PUSH_DELAY);
+        },
+        
+        /**
+         * Apply a state object to the filters, tabs and map
+         * @param {Object} state - State to apply
+         * @returns {Promise} Promise that resolves once the state is applied
+         */
+        applyState: async function(state) {
+            const utils = window.WorkBuddies.utils;
+            if (!utils) return;
+            
+            // Country first, so the state list is narrowed before selecting a state
+            this.setFilterValue('country', state.country);
+            if (typeof utils.populateStateFilter === 'function') {
+                utils.populateStateFilter();
+            }
+            this.setFilterValue('state', state.state);
+            this.setFilterValue('region', state.region);
+            this.setFilterValue('tz', state.tz);
+            this.setFilterValue('name', state.name);
+            this.setFilterValue('q', state.q);
+            this.setFilterValue('from', state.from);
+            this.setFilterValue('to', state.to);
+            
+            if (typeof utils.filterData === 'function') {
+                await utils.filterData();
+            }
+            
+            const tab = state.tab && document.querySelector(`.tab-btn[data-tab="${CSS.escape(state.tab)}"]`) ?
+                state.tab : 'map';
+            
+            if (window.WorkBuddies.data && window.WorkBuddies.data.activeTab !== tab) {
+                if (window.WorkBuddies.app && typeof window.WorkBuddies.app.cleanupCurrentTab === 'function') {
+                    window.WorkBuddies.app.cleanupCurrentTab();
+                }
+                utils.switchTab(tab);
+            }
+            
+            // Restore the viewport after the map has fitted itself to the filtered markers
+            const map = window.WorkBuddies.mapViz?.map || window.map;
+            if (map && state.zoom !== undefined && state.lat !== undefined) {
+                map.setView([state.lat, state.lng], state.zoom, { animate: false });
+            }
+        },
+        
+        /**
+         * Set a filter input from a hash value
+         * @param {string} key - Hash parameter name
+         * @param {string} [value] - Value to apply
+         */
+        setFilterValue: function(key, value) {
+            const input = document.getElementById(FILTER_INPUTS[key]);
+            if (!input) return;
+            
+            if (input.tagName === 'SELECT') {
+                // Only select values that exist in the dropdown
+                const exists = value && Array.from(input.options).some(option => option.value === value);
+                input.value = exists ? value : 'all';
+            } else {
+                input.value = value || '';
+                input.dispatchEvent(new Event('change'));
+            }
+        }
+    };
+    
+    // Add URL state module to the namespace
+    window.WorkBuddies.urlState = urlState;
+    
+})(window);
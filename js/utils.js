@@ -90,6 +90,8 @@
                     raw: null,
                     filtered: null,
                     states: null,
+                    countries: null,
+                    normalizationReport: null,
                     activeTab: 'map',
                     isLoading: false,
                     lastFilterApplied: Date.now()
@@ -124,82 +126,41 @@
                 
                 const csvText = await response.text();
                 
-                // Use PapaParse for safer CSV parsing if available
-                let data;
-                if (typeof Papa !== 'undefined') {
-                    const results = Papa.parse(csvText, {
-                        header: true,
-                        skipEmptyLines: true,
-                        transformHeader: header => this.sanitizeString(header.trim()),
-                        transform: (value, header) => {
-                            // Convert latitude and longitude to numbers
-                            if (header.toLowerCase() === 'latitude' || header.toLowerCase() === 'longitude') {
-                                const num = parseFloat(value);
-                                return isNaN(num) ? 0 : num;
-                            }
-                            // Sanitize string values
-                            return this.sanitizeString(value);
-                        }
-                    });
-                    data = results.data;
-                } else {
-                    // Fallback to manual parsing with sanitization
-                    const rows = csvText.trim().split('\n');
-                    const headers = rows[0].split(',').map(header => this.sanitizeString(header.trim()));
-                    
-                    data = [];
-                    for (let i = 1; i < rows.length; i++) {
-                        const rowData = rows[i].split(',').map(cell => this.sanitizeString(cell.trim()));
-                        
-                        // Skip empty rows
-                        if (rowData.length === 1 && rowData[0] === '') continue;
-                        
-                        // Skip rows with wrong number of columns
-                        if (rowData.length !== headers.length) {
-                            continue;
-                        }
-                        
-                        const rowObj = {};
-                        
-                        headers.forEach((header, index) => {
-                            // Convert latitude and longitude to numbers
-                            if (header === 'latitude' || header === 'longitude') {
-                                rowObj[header] = parseFloat(rowData[index]);
-                                if (isNaN(rowObj[header])) {
-                                    rowObj[header] = 0;
-                                }
-                            } else {
-                                rowObj[header] = rowData[index];
-                            }
-                        });
-                        
-                        data.push(rowObj);
-                    }
+                // Run the shared normalization pipeline
+                const normalizer = window.WorkBuddies.dataNormalizer;
+                if (!normalizer || typeof normalizer.normalizeCSV !== 'function') {
+                    throw new Error('Data normalizer not available');
                 }
                 
-                // Handle empty names
-                data.forEach((item, index) => {
-                    if (!item.WorkbuddyName) {
-                        item.WorkbuddyName = `MysteriousSpuddy${1000 + index}`;
-                    }
-                });
+                const { data, report } = normalizer.normalizeCSV(csvText);
+                
+                // Geocode, validate and apply privacy; problems are listed in the sidebar
+                if (window.WorkBuddies.dataLoader && typeof window.WorkBuddies.dataLoader.prepareRecords === 'function') {
+                    await window.WorkBuddies.dataLoader.prepareRecords(data, report);
+                }
+                
+                // Keep the report of changed and dropped rows for review
+                window.WorkBuddies.data.normalizationReport = report;
                 
                 // Store raw data
                 window.WorkBuddies.data.raw = data;
                 window.WorkBuddies.data.filtered = [...data];
                 
-                // Extract unique states
+                // Extract unique states and countries
                 const statesSet = new Set(data.map(item => item.State).filter(state => state));
                 window.WorkBuddies.data.states = Array.from(statesSet).sort();
                 
+                const countriesSet = new Set(data.map(item => item.Country).filter(country => country));
+                window.WorkBuddies.data.countries = Array.from(countriesSet).sort();
+                
                 // Update total count
                 const totalCountElement = document.getElementById('total-count');
                 if (totalCountElement) {
                     totalCountElement.textContent = data.length;
                 }
                 
-                // Populate state filter
-                this.populateStateFilter();
+                // Populate filter dropdowns
+                this.populateFilters();
                 
                 return data;
             } catch (error) {
@@ -211,19 +172,92 @@
         },
         
         /**
-         * Populate the state filter dropdown
+         * Populate all filter dropdowns from the data store
+         */
+        populateFilters: function() {
+            this.populateCountryFilter();
+            this.populateStateFilter();
+            this.populateRegionFilter();
+            
+            // Cities available as "near me" search centers
+            if (typeof window.WorkBuddies.nearbySearch?.populateOrigins === 'function') {
+                window.WorkBuddies.nearbySearch.populateOrigins();
+            }
+            
+            // Time zones derived from each Spuddy's location
+            if (typeof window.WorkBuddies.timeZones?.populateFilter === 'function') {
+                window.WorkBuddies.timeZones.populateFilter();
+            }
+            
+            // Join dates for the timeline slider and date filter
+            if (typeof window.WorkBuddies.timeline?.refresh === 'function') {
+                window.WorkBuddies.timeline.refresh();
+            }
+            
+            // Spuddies to pick for a body-doubling session
+            if (typeof window.WorkBuddies.sessionPlanner?.refresh === 'function') {
+                window.WorkBuddies.sessionPlanner.refresh();
+            }
+        },
+        
+        /**
+         * Populate the country filter dropdown
+         */
+        populateCountryFilter: function() {
+            const countryFilter = document.getElementById('country-filter');
+            if (!countryFilter) return;
+            
+            const previousValue = countryFilter.value;
+            
+            // Clear existing options (except "All Countries")
+            while (countryFilter.options.length > 1) {
+                countryFilter.remove(1);
+            }
+            
+            // Get countries from data store
+            const countries = window.WorkBuddies.data.countries || [];
+            const regions = window.WorkBuddies.regions;
+            
+            // Add country options
+            countries.forEach(country => {
+                const sanitizedCountry = this.sanitizeString(country);
+                const option = document.createElement('option');
+                option.value = sanitizedCountry;
+                option.textContent = regions ? regions.getCountryName(sanitizedCountry) : sanitizedCountry;
+                countryFilter.appendChild(option);
+            });
+            
+            // Keep the previous selection if it still exists
+            if (countries.includes(previousValue)) {
+                countryFilter.value = previousValue;
+            }
+        },
+        
+        /**
+         * Populate the state filter dropdown, narrowed to the selected country
          */
         populateStateFilter: function() {
             const stateFilter = document.getElementById('state-filter');
             if (!stateFilter) return;
             
+            const previousValue = stateFilter.value;
+            const countryFilter = document.getElementById('country-filter')?.value || 'all';
+            
             // Clear existing options (except "All States")
             while (stateFilter.options.length > 1) {
                 stateFilter.remove(1);
             }
             
             // Get states from data store
-            const states = window.WorkBuddies.data.states || [];
+            let states = window.WorkBuddies.data.states || [];
+            
+            // Only list states that have buddies in the selected country
+            if (countryFilter !== 'all' && window.WorkBuddies.data.raw) {
+                const countryStates = new Set(window.WorkBuddies.data.raw
+                    .filter(buddy => buddy && buddy.Country === countryFilter)
+                    .map(buddy => buddy.State));
+                states = states.filter(state => countryStates.has(state));
+            }
             
             // Add state options
             states.forEach(state => {
@@ -233,10 +267,63 @@
                 option.textContent = sanitizedState;
                 stateFilter.appendChild(option);
             });
+            
+            // Keep the previous selection if it is still in the list
+            stateFilter.value = states.includes(previousValue) ? previousValue : 'all';
+        },
+        
+        /**
+         * Populate the region filter dropdown with Census regions and divisions
+         * Each option shows how many buddies live in that grouping
+         */
+        populateRegionFilter: function() {
+            const regionFilter = document.getElementById('region-filter');
+            const regions = window.WorkBuddies.regions;
+            if (!regionFilter || !regions) return;
+            
+            const previousValue = regionFilter.value;
+            const data = window.WorkBuddies.data.raw || [];
+            
+            // Clear existing options and groups (except "All Regions")
+            while (regionFilter.children.length > 1) {
+                regionFilter.removeChild(regionFilter.lastChild);
+            }
+            
+            const countIn = value => data.filter(buddy => regions.isInGrouping(buddy, value)).length;
+            
+            // Add regions, then divisions grouped under their region
+            const regionGroup = document.createElement('optgroup');
+            regionGroup.label = 'Census Regions';
+            
+            Object.keys(regions.CENSUS_REGIONS).forEach(region => {
+                const option = document.createElement('option');
+                option.value = `region:${region}`;
+                option.textContent = `${region} (${countIn(option.value)})`;
+                regionGroup.appendChild(option);
+            });
+            regionFilter.appendChild(regionGroup);
+            
+            Object.keys(regions.CENSUS_REGIONS).forEach(region => {
+                const divisionGroup = document.createElement('optgroup');
+                divisionGroup.label = `${region} Divisions`;
+                
+                Object.keys(regions.CENSUS_REGIONS[region]).forEach(division => {
+                    const option = document.createElement('option');
+                    option.value = `division:${division}`;
+                    option.textContent = `${division} (${countIn(option.value)})`;
+                    divisionGroup.appendChild(option);
+                });
+                regionFilter.appendChild(divisionGroup);
+            });
+            
+            if (previousValue) {
+                regionFilter.value = previousValue;
+            }
         },
         
         /**
          * Filter data based on current filter settings
+         * @returns {Promise} Promise that resolves once the filtered data is applied
          */
         filterData: function() {
             // Track when this filter was applied
@@ -249,11 +336,21 @@
             }
             
             // Get filter values
-            const nameFilter = document.getElementById('name-filter')?.value?.toLowerCase() || '';
+            const nameFilter = document.getElementById('name-filter')?.value?.trim() || '';
             const stateFilter = document.getElementById('state-filter')?.value || 'all';
+            const countryFilter = document.getElementById('country-filter')?.value || 'all';
+            const regionFilter = document.getElementById('region-filter')?.value || 'all';
+            const regions = window.WorkBuddies.regions;
+            const nearbySearch = window.WorkBuddies.nearbySearch;
+            const fuzzySearch = window.WorkBuddies.fuzzySearch;
+            const queryPredicate = window.WorkBuddies.queryFilter ? window.WorkBuddies.queryFilter.buildPredicate() : null;
+            const timeline = window.WorkBuddies.timeline;
+            const joinedRange = timeline ? timeline.getDateRange() : null;
+            const timeZones = window.WorkBuddies.timeZones;
+            const timeZoneFilter = timeZones ? timeZones.getFilterValue() : 'all';
             
             // Use setTimeout to prevent UI freezing with large datasets
-            setTimeout(() => {
+            return new Promise(resolve => setTimeout(() => {
                 try {
                     // Only proceed if this is still the most recent filter request
                     if (currentFilterTime !== window.WorkBuddies.data.lastFilterApplied) return;
@@ -268,15 +365,41 @@
                         // Make sure buddy has required properties
                         if (!buddy) return false;
                         
-                        const nameMatch = !nameFilter || 
-                            (buddy.WorkbuddyName && buddy.WorkbuddyName.toLowerCase().includes(nameFilter));
+                        // Fuzzy search covers name, city, state and country
+                        const nameMatch = !nameFilter || (fuzzySearch ? fuzzySearch.matches(buddy, nameFilter) :
+                            (buddy.WorkbuddyName && buddy.WorkbuddyName.toLowerCase().includes(nameFilter.toLowerCase())));
                             
                         const stateMatch = stateFilter === 'all' || 
                             (buddy.State && buddy.State === stateFilter);
                         
-                        return nameMatch && stateMatch;
+                        const countryMatch = countryFilter === 'all' || 
+                            (buddy.Country && buddy.Country === countryFilter);
+                        
+                        const regionMatch = regionFilter === 'all' || !regions || 
+                            regions.isInGrouping(buddy, regionFilter);
+                        
+                        const nearbyMatch = !nearbySearch || nearbySearch.matches(buddy);
+                        
+                        const queryMatch = !queryPredicate || queryPredicate(buddy);
+                        
+                        const joinedMatch = !joinedRange || timeline.matchesDateRange(buddy, joinedRange);
+                        
+                        const timeZoneMatch = timeZoneFilter === 'all' || timeZones.getZone(buddy) === timeZoneFilter;
+                        
+                        return nameMatch && stateMatch && countryMatch && regionMatch && nearbyMatch && queryMatch &&
+                            joinedMatch && timeZoneMatch;
                     });
                     
+                    // Refresh the distance-ranked "near me" list
+                    if (nearbySearch && typeof nearbySearch.renderResults === 'function') {
+                        nearbySearch.renderResults();
+                    }
+                    
+                    // Return the list to its first page and announce the new count
+                    if (typeof window.WorkBuddies.listView?.onFilterChange === 'function') {
+                        window.WorkBuddies.listView.onFilterChange(window.WorkBuddies.data.filtered.length);
+                    }
+                    
                     // Update the active visualization
                     this.updateActiveVisualization();
                     
@@ -286,13 +409,19 @@
                         totalCountElement.textContent = window.WorkBuddies.data.filtered.length;
                     }
                     
+                    // Keep the shareable URL in step with the filters
+                    if (typeof window.WorkBuddies.urlState?.recordChange === 'function') {
+                        window.WorkBuddies.urlState.recordChange();
+                    }
+                    
                 } catch (error) {
                     console.error('Error filtering data');
                 } finally {
                     // Hide loading indicator
                     this.showAppLoading(false);
+                    resolve();
                 }
-            }, 0);
+            }, 0));
         },
         
         /**
@@ -316,6 +445,13 @@
                         updateStateViz();
                     }
                     break;
+                case 'choropleth':
+                    if (typeof window.WorkBuddies.choroplethViz?.updateChoropleth === 'function') {
+                        window.WorkBuddies.choroplethViz.updateChoropleth();
+                    } else if (typeof updateChoropleth === 'function') {
+                        updateChoropleth();
+                    }
+                    break;
                 case 'network':
                     if (typeof window.WorkBuddies.networkViz?.updateNetworkViz === 'function') {
                         window.WorkBuddies.networkViz.updateNetworkViz();
@@ -323,6 +459,13 @@
                         updateNetworkViz();
                     }
                     break;
+                case 'list':
+                    if (typeof window.WorkBuddies.listView?.updateListView === 'function') {
+                        window.WorkBuddies.listView.updateListView();
+                    } else if (typeof updateListView === 'function') {
+                        updateListView();
+                    }
+                    break;
             }
         },
         
@@ -356,6 +499,11 @@
             
             // Update the visualization
             this.updateActiveVisualization();
+            
+            // Keep the shareable URL in step with the active tab
+            if (typeof window.WorkBuddies.urlState?.recordChange === 'function') {
+                window.WorkBuddies.urlState.recordChange();
+            }
         },
         
         /**
@@ -376,12 +524,40 @@
             return `hsl(${hue}, 70%, 60%)`;
         },
         
+        /**
+         * Calculate the great-circle distance between two points (haversine formula)
+         * @param {number} lat1 - Latitude of the first point
+         * @param {number} lng1 - Longitude of the first point
+         * @param {number} lat2 - Latitude of the second point
+         * @param {number} lng2 - Longitude of the second point
+         * @returns {number} - Distance in kilometres
+         */
+        haversineDistance: function(lat1, lng1, lat2, lng2) {
+            const EARTH_RADIUS_KM = 6371;
+            const toRadians = degrees => degrees * Math.PI / 180;
+            
+            const dLat = toRadians(lat2 - lat1);
+            const dLng = toRadians(lng2 - lng1);
+            
+            const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+                Math.sin(dLng / 2) * Math.sin(dLng / 2);
+            
+            return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        },
+        
         /**
          * Export the current visualization as PNG
          */
         exportAsPNG: function() {
             const activeTab = window.WorkBuddies.data.activeTab;
             
+            // The map has its own canvas export that does not depend on tile servers
+            if (activeTab === 'map' && typeof window.WorkBuddies.mapExport?.exportMap === 'function') {
+                window.WorkBuddies.mapExport.exportMap();
+                return;
+            }
+            
             // Check if html2canvas is available
             if (typeof html2canvas === 'undefined') {
                 alert('Export library not loaded. Please refresh the page and try again.');
@@ -396,6 +572,9 @@
                 case 'states':
                     elementId = 'state-viz-container';
                     break;
+                case 'choropleth':
+                    elementId = 'choropleth-container';
+                    break;
                 case 'network':
                     elementId = 'network-container';
                     break;
@@ -421,7 +600,7 @@
             }).then(canvas => {
                 // Create download link
                 const link = document.createElement('a');
-                link.download = `workbuddies-${activeTab}-${new Date().toISOString().split('T')[0]}.png`;
+                link.download = this.getExportFileName('png');
                 link.href = canvas.toDataURL('image/png');
                 link.click();
             }).catch(error => {
@@ -430,6 +609,68 @@
             });
         },
         
+        /**
+         * Build a download file name for a tab
+         * @param {string} extension - File extension without the dot
+         * @param {string} [tab] - Tab the export comes from (defaults to the active tab)
+         * @returns {string} - File name such as "workbuddies-map-2025-01-31.csv"
+         */
+        getExportFileName: function(extension, tab) {
+            const activeTab = tab || (window.WorkBuddies.data ? window.WorkBuddies.data.activeTab : 'map');
+            return `workbuddies-${activeTab}-${new Date().toISOString().split('T')[0]}.${extension}`;
+        },
+        
+        /**
+         * Describe the active filters for reports
+         * @returns {string[]} - One line per active filter (empty when nothing is filtered)
+         */
+        getFilterSummary: function() {
+            const lines = [];
+            const nameFilter = document.getElementById('name-filter')?.value?.trim() || '';
+            const countryFilter = document.getElementById('country-filter')?.value || 'all';
+            const stateFilter = document.getElementById('state-filter')?.value || 'all';
+            const regionFilter = document.getElementById('region-filter')?.value || 'all';
+            const regions = window.WorkBuddies.regions;
+            const nearbySearch = window.WorkBuddies.nearbySearch;
+            
+            if (nameFilter) {
+                lines.push(`Search: "${nameFilter}"`);
+            }
+            
+            if (countryFilter !== 'all') {
+                lines.push(`Country: ${regions ? regions.getCountryName(countryFilter) : countryFilter}`);
+            }
+            
+            if (stateFilter !== 'all') {
+                lines.push(`State/Province: ${stateFilter}`);
+            }
+            
+            if (regionFilter !== 'all') {
+                const [type, name] = regionFilter.split(':');
+                lines.push(`${type === 'division' ? 'Census division' : 'Census region'}: ${name}`);
+            }
+            
+            const timeZoneFilter = window.WorkBuddies.timeZones ? window.WorkBuddies.timeZones.getFilterValue() : 'all';
+            if (timeZoneFilter !== 'all') {
+                lines.push(`Time zone: ${window.WorkBuddies.timeZones.getLabel(timeZoneFilter)}`);
+            }
+            
+            if (nearbySearch && nearbySearch.isActive && nearbySearch.origin) {
+                lines.push(`Within ${nearbySearch.radius} ${nearbySearch.unit} of ${nearbySearch.origin.label}`);
+            }
+            
+            if (typeof window.WorkBuddies.queryFilter?.getSummary === 'function') {
+                lines.push(...window.WorkBuddies.queryFilter.getSummary());
+            }
+            
+            const joinedSummary = window.WorkBuddies.timeline ? window.WorkBuddies.timeline.getDateRangeSummary() : '';
+            if (joinedSummary) {
+                lines.push(joinedSummary);
+            }
+            
+            return lines;
+        },
+        
         /**
          * Debounce function to limit how often a function is called
          * @param {Function} func - The function to debounce
@@ -581,10 +822,12 @@
     // Backward compatibility for global functions
     window.loadData = function() { return utils.loadData(); };
     window.populateStateFilter = function() { utils.populateStateFilter(); };
-    window.filterData = function() { utils.filterData(); };
+    window.populateFilters = function() { utils.populateFilters(); };
+    window.filterData = function() { return utils.filterData(); };
     window.updateActiveVisualization = function() { utils.updateActiveVisualization(); };
     window.switchTab = function(tabId) { utils.switchTab(tabId); };
     window.stringToColor = function(str) { return utils.stringToColor(str); };
+    window.haversineDistance = function(lat1, lng1, lat2, lng2) { return utils.haversineDistance(lat1, lng1, lat2, lng2); };
     window.exportAsPNG = function() { utils.exportAsPNG(); };
     window.showAppLoading = function(show, message) { utils.showAppLoading(show, message); };
     window.showErrorMessage = function(message) { utils.showErrorMessage(message); };